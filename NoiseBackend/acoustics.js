@@ -0,0 +1,71 @@
+// acoustics.js
+// Noise metrics used in compliance reports. Levels are in dB and combined
+// on an energy basis, never by arithmetic mean.
+const { percentile } = require("./downsample");
+
+// Day / evening / night periods of Lden (EU Environmental Noise Directive),
+// by local hour; the penalty is added to the period's level
+const PERIODS = {
+	day: { from: 7, to: 19, hours: 12, penalty: 0 },
+	evening: { from: 19, to: 23, hours: 4, penalty: 5 },
+	night: { from: 23, to: 7, hours: 8, penalty: 10 },
+};
+
+const toEnergy = (level) => 10 ** (level / 10);
+const toLevel = (energy) => 10 * Math.log10(energy);
+
+// Equivalent continuous level: 10·log10(mean(10^(L/10)))
+function leq(levels) {
+	if (levels.length === 0) return null;
+	let energy = 0;
+	for (const level of levels) energy += toEnergy(level);
+	return toLevel(energy / levels.length);
+}
+
+// Leq from a summed energy (as stored in rollups) and its sample count
+function leqFromEnergy(energy, count) {
+	return count > 0 ? toLevel(energy / count) : null;
+}
+
+// L_N: the level exceeded N% of the time, e.g. L90 is the background level
+function exceedanceLevel(levels, n) {
+	return percentile(levels, 100 - n);
+}
+
+function periodOf(hour) {
+	if (hour >= PERIODS.day.from && hour < PERIODS.day.to) return "day";
+	if (hour >= PERIODS.evening.from && hour < PERIODS.evening.to) {
+		return "evening";
+	}
+	return "night";
+}
+
+// Lden from the Leq of each period; null unless all three are known
+function lden({ day, evening, night }) {
+	const levels = { day, evening, night };
+	if (Object.values(levels).some((level) => !Number.isFinite(level))) {
+		return null;
+	}
+
+	let energy = 0;
+	for (const [name, period] of Object.entries(PERIODS)) {
+		energy += period.hours * toEnergy(levels[name] + period.penalty);
+	}
+	return toLevel(energy / 24);
+}
+
+// Rounded to 0.1 dB for reports
+function round(level) {
+	return level === null ? null : Math.round(level * 10) / 10;
+}
+
+module.exports = {
+	PERIODS,
+	leq,
+	leqFromEnergy,
+	exceedanceLevel,
+	periodOf,
+	lden,
+	round,
+	toEnergy,
+};
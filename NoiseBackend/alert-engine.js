@@ -0,0 +1,326 @@
+// alert-engine.js
+// Evaluates per-node threshold rules on incoming readings and tracks alerts
+const EventEmitter = require("node:events");
+const { ObjectId } = require("mongodb");
+
+// Seeded when no rules exist: alert when a node's avg stays above its
+// configured threshold for 10 seconds
+const DEFAULT_RULE = {
+	name: "Above configured threshold",
+	nodeId: "*",
+	metric: "avg",
+	threshold: null,
+	durationSec: 10,
+	hysteresisDb: 3,
+	cooldownSec: 60,
+	enabled: true,
+};
+
+const THRESHOLD_CACHE_MS = 30000;
+
+// Reading fields a rule can compare against its threshold
+const METRICS = ["level", "avg", "min", "max", "current"];
+
+class AlertEngine extends EventEmitter {
+	// resolveThreshold(nodeId) supplies the threshold for rules without one
+	constructor(db, io, { resolveThreshold }) {
+		super();
+		this.rulesCollection = db.collection("alert_rules");
+		this.alerts = db.collection("alerts");
+		this.io = io;
+		this.resolveThreshold = resolveThreshold;
+		this.rules = [];
+		this.state = new Map();
+		this.thresholdCache = new Map();
+	}
+
+	async initialize() {
+		await this.alerts.createIndex({ nodeId: 1, openedAt: -1 });
+		await this.alerts.createIndex({ status: 1 });
+
+		if ((await this.rulesCollection.countDocuments({}, { limit: 1 })) === 0) {
+			await this.rulesCollection.insertOne({
+				...DEFAULT_RULE,
+				createdAt: Date.now(),
+			});
+		}
+
+		await this.loadRules();
+
+		// Pick up alerts left open by a previous run so they can resolve
+		const open = await this.alerts.find({ status: "open" }).toArray();
+		for (const alert of open) {
+			const st = this.getState(alert.ruleId.toString(), alert.nodeId);
+			st.openAlertId = alert._id;
+			st.peak = alert.peak;
+		}
+
+		console.log(
+			`🚨 Alert engine ready (${this.rules.length} rules, ${open.length} open alerts)`,
+		);
+	}
+
+	async loadRules() {
+		this.rules = await this.rulesCollection.find({}).toArray();
+
+		// Drop tracking for rules deleted or disabled, here or on another instance
+		const active = new Set(
+			this.rules
+				.filter((rule) => rule.enabled)
+				.map((rule) => rule._id.toString()),
+		);
+		for (const key of this.state.keys()) {
+			if (!active.has(key.slice(0, key.indexOf(":")))) this.state.delete(key);
+		}
+	}
+
+	getState(ruleId, nodeId) {
+		const key = `${ruleId}:${nodeId}`;
+		if (!this.state.has(key)) {
+			this.state.set(key, {
+				aboveSince: null,
+				openAlertId: null,
+				peak: null,
+				lastResolvedAt: null,
+			});
+		}
+		return this.state.get(key);
+	}
+
+	async thresholdFor(rule, nodeId) {
+		if (typeof rule.threshold === "number") return rule.threshold;
+
+		const cached = this.thresholdCache.get(nodeId);
+		if (cached && Date.now() - cached.at < THRESHOLD_CACHE_MS) {
+			return cached.value;
+		}
+
+		const value = await this.resolveThreshold(nodeId);
+		this.thresholdCache.set(nodeId, { value, at: Date.now() });
+		return value;
+	}
+
+	// Call when a node's configured threshold changes
+	invalidateThreshold(nodeId) {
+		this.thresholdCache.delete(nodeId);
+	}
+
+	async evaluate(reading) {
+		const { nodeId, payload } = reading;
+		if (!payload || typeof payload !== "object") return;
+
+		for (const rule of this.rules) {
+			if (!rule.enabled) continue;
+			if (rule.nodeId !== "*" && rule.nodeId !== nodeId) continue;
+
+			const value = Number(payload[rule.metric]);
+			if (!Number.isFinite(value)) continue;
+
+			const threshold = await this.thresholdFor(rule, nodeId);
+			if (typeof threshold !== "number") continue;
+
+			// Durations use server receive time: buffered device readings
+			// must not open alerts for the past
+			const now = reading.receivedAt || Date.now();
+			const st = this.getState(rule._id.toString(), nodeId);
+
+			if (st.openAlertId) {
+				st.peak = Math.max(st.peak ?? value, value);
+				// Hysteresis: only clear once clearly below the threshold
+				if (value < threshold - (rule.hysteresisDb || 0)) {
+					await this.resolve(st, now);
+				}
+				continue;
+			}
+
+			if (value <= threshold) {
+				st.aboveSince = null;
+				continue;
+			}
+
+			st.aboveSince = st.aboveSince ?? now;
+			const sustained = now - st.aboveSince >= (rule.durationSec || 0) * 1000;
+			const cooledDown =
+				!st.lastResolvedAt ||
+				now - st.lastResolvedAt >= (rule.cooldownSec || 0) * 1000;
+
+			if (sustained && cooledDown) {
+				await this.raise(rule, st, nodeId, threshold, value, now);
+			}
+		}
+	}
+
+	async raise(rule, st, nodeId, threshold, value, now) {
+		const alert = {
+			_id: new ObjectId(),
+			ruleId: rule._id,
+			ruleName: rule.name,
+			nodeId,
+			metric: rule.metric,
+			threshold,
+			value,
+			peak: value,
+			status: "open",
+			openedAt: now,
+			resolvedAt: null,
+		};
+
+		// Claim the state before awaiting so concurrent readings cannot raise twice
+		st.openAlertId = alert._id;
+		st.peak = value;
+		await this.alerts.insertOne(alert);
+
+		console.log(
+			`🚨 Alert raised: ${nodeId} ${rule.metric}=${value} > ${threshold} (${rule.name})`,
+		);
+		this.io.to("clients").emit("alert:raised", this.toPublic(alert));
+		this.emit("raised", this.toPublic(alert));
+	}
+
+	async resolve(st, now) {
+		const alertId = st.openAlertId;
+		const peak = st.peak;
+		st.openAlertId = null;
+		st.aboveSince = null;
+		st.lastResolvedAt = now;
+
+		const alert = await this.alerts.findOneAndUpdate(
+			{ _id: alertId, status: "open" },
+			{ $set: { status: "resolved", resolvedAt: now, peak } },
+			{ returnDocument: "after" },
+		);
+		if (!alert) return;
+
+		console.log(`✅ Alert resolved: ${alert.nodeId} (${alert.ruleName})`);
+		this.io.to("clients").emit("alert:resolved", this.toPublic(alert));
+		this.emit("resolved", this.toPublic(alert));
+	}
+
+	toPublic(doc) {
+		const { _id, ruleId, ...rest } = doc;
+		return { alertId: _id.toString(), ruleId: ruleId.toString(), ...rest };
+	}
+
+	async list({ nodeId, status, limit = 100 } = {}) {
+		const query = {};
+		if (nodeId) query.nodeId = nodeId;
+		if (status) query.status = status;
+
+		const docs = await this.alerts
+			.find(query)
+			.sort({ openedAt: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 100, 1000))
+			.toArray();
+
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	// Rules
+
+	validateRule(input) {
+		const rule = {};
+
+		if (input.name !== undefined) rule.name = String(input.name);
+		if (input.nodeId !== undefined) rule.nodeId = String(input.nodeId);
+		if (input.metric !== undefined) {
+			if (!METRICS.includes(input.metric)) {
+				throw new Error(`metric must be one of: ${METRICS.join(", ")}`);
+			}
+			rule.metric = input.metric;
+		}
+		if (input.enabled !== undefined) rule.enabled = !!input.enabled;
+
+		if (input.threshold !== undefined) {
+			if (input.threshold !== null && !Number.isFinite(input.threshold)) {
+				throw new Error("threshold must be a number or null");
+			}
+			rule.threshold = input.threshold;
+		}
+
+		for (const key of ["durationSec", "hysteresisDb", "cooldownSec"]) {
+			if (input[key] === undefined) continue;
+			if (!Number.isFinite(input[key]) || input[key] < 0) {
+				throw new Error(`${key} must be a non-negative number`);
+			}
+			rule[key] = input[key];
+		}
+
+		return rule;
+	}
+
+	rulePublic(doc) {
+		const { _id, ...rest } = doc;
+		return { ruleId: _id.toString(), ...rest };
+	}
+
+	listRules() {
+		return this.rules.map((rule) => this.rulePublic(rule));
+	}
+
+	async createRule(input, createdBy = null) {
+		const rule = {
+			...DEFAULT_RULE,
+			name: "Custom rule",
+			...this.validateRule(input),
+			createdAt: Date.now(),
+			createdBy,
+		};
+
+		const { insertedId } = await this.rulesCollection.insertOne(rule);
+		await this.loadRules();
+		return this.rulePublic({ ...rule, _id: insertedId });
+	}
+
+	async updateRule(ruleId, input, updatedBy = null) {
+		if (!ObjectId.isValid(ruleId)) return null;
+
+		const doc = await this.rulesCollection.findOneAndUpdate(
+			{ _id: new ObjectId(ruleId) },
+			{
+				$set: { ...this.validateRule(input), updatedAt: Date.now(), updatedBy },
+			},
+			{ returnDocument: "after" },
+		);
+		if (doc && !doc.enabled) await this.resolveRuleAlerts(doc._id);
+		await this.loadRules();
+		return doc ? this.rulePublic(doc) : null;
+	}
+
+	async deleteRule(ruleId) {
+		if (!ObjectId.isValid(ruleId)) return false;
+
+		const _id = new ObjectId(ruleId);
+		const result = await this.rulesCollection.deleteOne({ _id });
+		await this.resolveRuleAlerts(_id);
+		await this.loadRules();
+
+		return result.deletedCount > 0;
+	}
+
+	// Close alerts a deleted or disabled rule can no longer resolve. They may
+	// have been raised on any instance, so this goes by the stored alerts.
+	async resolveRuleAlerts(ruleId) {
+		const filter = { ruleId, status: "open" };
+		const open = await this.alerts.find(filter).toArray();
+		if (open.length === 0) return;
+
+		const resolvedAt = Date.now();
+		await this.alerts.updateMany(
+			{ _id: { $in: open.map((alert) => alert._id) }, status: "open" },
+			{ $set: { status: "resolved", resolvedAt } },
+		);
+
+		for (const alert of open) {
+			const resolved = this.toPublic({
+				...alert,
+				status: "resolved",
+				resolvedAt,
+			});
+			console.log(`✅ Alert resolved: ${alert.nodeId} (${alert.ruleName})`);
+			this.io.to("clients").emit("alert:resolved", resolved);
+			this.emit("resolved", resolved);
+		}
+	}
+}
+
+module.exports = AlertEngine;
@@ -0,0 +1,172 @@
+// analytics.js
+// Leq, L10/L50/L90 and Lden of a node over a time window, from raw readings
+// or from the 1-minute rollups for longer windows
+const { READINGS, LEVEL } = require("./readings-store");
+const {
+	leqFromEnergy,
+	exceedanceLevel,
+	periodOf,
+	lden,
+	round,
+	toEnergy,
+	PERIODS,
+} = require("./acoustics");
+
+const SOURCES = ["auto", "raw", "rollup"];
+// auto reads raw readings up to a day, rollups beyond
+const AUTO_RAW_SPAN_MS = 24 * 3600000;
+const MAX_RAW_SPAN_MS = 7 * 24 * 3600000;
+
+class AcousticAnalytics {
+	constructor(db, { timezone } = {}) {
+		this.db = db;
+		this.timezone =
+			timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+		this.formatters = new Map();
+	}
+
+	localHour(at, timeZone) {
+		if (!this.formatters.has(timeZone)) {
+			this.formatters.set(
+				timeZone,
+				new Intl.DateTimeFormat("en-GB", {
+					timeZone,
+					hour: "numeric",
+					hourCycle: "h23",
+				}),
+			);
+		}
+		return parseInt(this.formatters.get(timeZone).format(at), 10);
+	}
+
+	// One sample per reading: { at, level, energy, count, min, max }
+	async rawSamples(nodeId, from, to) {
+		const docs = await this.db
+			.collection(READINGS)
+			.aggregate(
+				[
+					{ $match: { nodeId, ts: { $gte: from, $lt: to } } },
+					{
+						$project: {
+							_id: 0,
+							at: "$ts",
+							level: LEVEL,
+							min: "$payload.min",
+							max: "$payload.max",
+						},
+					},
+					{ $match: { level: { $type: "number" } } },
+				],
+				{ allowDiskUse: true },
+			)
+			.toArray();
+
+		return docs.map((doc) => ({
+			...doc,
+			energy: toEnergy(doc.level),
+			count: 1,
+		}));
+	}
+
+	// One sample per minute; percentiles then use per-minute Leq values
+	async rollupSamples(nodeId, from, to) {
+		const docs = await this.db
+			.collection("readings_1m")
+			.find(
+				{ nodeId, bucket: { $gte: new Date(from), $lt: new Date(to) } },
+				{
+					projection: {
+						_id: 0,
+						bucket: 1,
+						min: 1,
+						max: 1,
+						energy: 1,
+						count: 1,
+						leq: 1,
+					},
+				},
+			)
+			.toArray();
+
+		return docs.map((doc) => ({
+			at: doc.bucket.getTime(),
+			level: doc.leq,
+			energy: doc.energy,
+			count: doc.count,
+			min: doc.min,
+			max: doc.max,
+		}));
+	}
+
+	resolveSource(source, span) {
+		if (source !== "auto") return source;
+		return span <= AUTO_RAW_SPAN_MS ? "raw" : "rollup";
+	}
+
+	// from inclusive, to exclusive, both epoch ms
+	async compute(nodeId, { from, to, source = "auto", timezone } = {}) {
+		const resolved = this.resolveSource(source, to - from);
+		const timeZone = timezone || this.timezone;
+		const samples =
+			resolved === "raw"
+				? await this.rawSamples(nodeId, from, to)
+				: await this.rollupSamples(nodeId, from, to);
+
+		let energy = 0;
+		let count = 0;
+		let lmin = null;
+		let lmax = null;
+		const periods = Object.fromEntries(
+			Object.keys(PERIODS).map((name) => [name, { energy: 0, count: 0 }]),
+		);
+
+		for (const sample of samples) {
+			energy += sample.energy;
+			count += sample.count;
+
+			const low = sample.min ?? sample.level;
+			const high = sample.max ?? sample.level;
+			if (lmin === null || low < lmin) lmin = low;
+			if (lmax === null || high > lmax) lmax = high;
+
+			const period = periods[periodOf(this.localHour(sample.at, timeZone))];
+			period.energy += sample.energy;
+			period.count += sample.count;
+		}
+
+		const levels = samples.map((sample) => sample.level);
+		const periodLeq = Object.fromEntries(
+			Object.entries(periods).map(([name, p]) => [
+				name,
+				leqFromEnergy(p.energy, p.count),
+			]),
+		);
+
+		return {
+			nodeId,
+			from,
+			to,
+			source: resolved,
+			timezone: timeZone,
+			samples: count,
+			leq: round(leqFromEnergy(energy, count)),
+			lmin: round(lmin),
+			lmax: round(lmax),
+			l10: round(exceedanceLevel(levels, 10)),
+			l50: round(exceedanceLevel(levels, 50)),
+			l90: round(exceedanceLevel(levels, 90)),
+			lden: round(lden(periodLeq)),
+			periods: Object.fromEntries(
+				Object.entries(periods).map(([name, p]) => [
+					name,
+					{ leq: round(periodLeq[name]), samples: p.count },
+				]),
+			),
+		};
+	}
+}
+
+AcousticAnalytics.SOURCES = SOURCES;
+AcousticAnalytics.MAX_RAW_SPAN_MS = MAX_RAW_SPAN_MS;
+
+module.exports = AcousticAnalytics;
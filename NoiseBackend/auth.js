@@ -0,0 +1,205 @@
+// auth.js
+// User accounts, JWT login and role checks for the REST API and dashboard
+const jwt = require("jsonwebtoken");
+const { hashSecret, verifySecret } = require("./secrets");
+
+// Ordered from least to most privileged
+const ROLES = ["viewer", "operator", "admin"];
+
+// Request bodies are JSON, so anything else (e.g. an object) could end up
+// as a query operator
+const isText = (value) => typeof value === "string" && value.length > 0;
+
+class AuthService {
+	constructor(db, options = {}) {
+		this.users = db.collection("users");
+		this.tokenTtl = options.tokenTtl || "12h";
+		this.jwtSecret = options.jwtSecret;
+
+		// Every instance behind the load balancer must verify the others'
+		// tokens, so a per-process random secret would not do
+		if (!this.jwtSecret) {
+			throw new Error("JWT_SECRET must be set");
+		}
+	}
+
+	async setupIndexes() {
+		await this.users.createIndex({ role: 1 });
+	}
+
+	// Create the first admin from the environment on an empty install
+	async ensureAdmin(username, password) {
+		const count = await this.users.countDocuments({}, { limit: 1 });
+		if (count > 0) return;
+
+		if (!username || !password) {
+			console.warn(
+				"⚠️  No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create one",
+			);
+			return;
+		}
+
+		try {
+			await this.createUser(username, password, "admin");
+			console.log(`👤 Created initial admin user: ${username}`);
+		} catch (error) {
+			// Another instance booting alongside created it first
+			if (error.code !== 11000) throw error;
+		}
+	}
+
+	toPublic(doc) {
+		if (!doc) return null;
+		return {
+			username: doc._id,
+			role: doc.role,
+			createdAt: doc.createdAt,
+			updatedAt: doc.updatedAt || null,
+		};
+	}
+
+	async createUser(username, password, role = "viewer") {
+		if (!isText(username) || !isText(password)) {
+			throw new Error("username and password must be non-empty strings");
+		}
+		if (!ROLES.includes(role)) {
+			throw new Error(`Unknown role: ${role}`);
+		}
+
+		const { salt, hash } = await hashSecret(password);
+		const doc = {
+			_id: username,
+			passwordHash: hash,
+			salt,
+			role,
+			// Bumped on role or password change; tokens carrying an older
+			// version are rejected
+			tokenVersion: 0,
+			createdAt: Date.now(),
+		};
+
+		await this.users.insertOne(doc);
+		return this.toPublic(doc);
+	}
+
+	async listUsers() {
+		const docs = await this.users.find({}).sort({ _id: 1 }).toArray();
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	// Changing the role or password signs the user out everywhere
+	async updateUser(username, { role, password }) {
+		const update = { updatedAt: Date.now() };
+
+		if (role !== undefined) {
+			if (!ROLES.includes(role)) {
+				throw new Error(`Unknown role: ${role}`);
+			}
+			update.role = role;
+		}
+
+		if (password !== undefined) {
+			if (!isText(password)) {
+				throw new Error("password must be a non-empty string");
+			}
+			const { salt, hash } = await hashSecret(password);
+			update.passwordHash = hash;
+			update.salt = salt;
+		}
+
+		const revoke = role !== undefined || password !== undefined;
+		const doc = await this.users.findOneAndUpdate(
+			{ _id: username },
+			{ $set: update, ...(revoke ? { $inc: { tokenVersion: 1 } } : {}) },
+			{ returnDocument: "after" },
+		);
+		return this.toPublic(doc);
+	}
+
+	async deleteUser(username) {
+		const result = await this.users.deleteOne({ _id: username });
+		return result.deletedCount > 0;
+	}
+
+	// Returns { token, user } or null on bad credentials
+	async login(username, password) {
+		if (!isText(username) || !isText(password)) return null;
+
+		const doc = await this.users.findOne({ _id: username });
+		if (!doc || !(await verifySecret(password, doc.salt, doc.passwordHash))) {
+			return null;
+		}
+
+		const user = this.toPublic(doc);
+		const token = jwt.sign(
+			{ role: user.role, ver: doc.tokenVersion || 0 },
+			this.jwtSecret,
+			{
+				subject: user.username,
+				expiresIn: this.tokenTtl,
+			},
+		);
+
+		return { token, user };
+	}
+
+	// Returns { username, role } or null if the token is missing, invalid
+	// or revoked. The role comes from the stored user, not the token, and a
+	// deleted user or a bumped tokenVersion rejects the token straight away.
+	async verifyToken(token) {
+		if (!token) return null;
+
+		let claims;
+		try {
+			claims = jwt.verify(token, this.jwtSecret);
+		} catch {
+			return null;
+		}
+		if (!isText(claims.sub)) return null;
+
+		const doc = await this.users.findOne(
+			{ _id: claims.sub },
+			{ projection: { role: 1, tokenVersion: 1 } },
+		);
+		if (!doc || (doc.tokenVersion || 0) !== claims.ver) return null;
+
+		return { username: doc._id, role: doc.role };
+	}
+
+	hasRole(user, role) {
+		return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+	}
+
+	// Express middleware: requires a bearer token with at least `role`
+	requireRole(role) {
+		return async (req, res, next) => {
+			const header = req.headers.authorization || "";
+			const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+			let user;
+			try {
+				user = await this.verifyToken(token);
+			} catch (error) {
+				return res.status(500).json({ success: false, error: error.message });
+			}
+
+			if (!user) {
+				return res
+					.status(401)
+					.json({ success: false, error: "Authentication required" });
+			}
+
+			if (!this.hasRole(user, role)) {
+				return res
+					.status(403)
+					.json({ success: false, error: `Requires ${role} role` });
+			}
+
+			req.user = user;
+			next();
+		};
+	}
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
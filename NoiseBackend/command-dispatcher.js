@@ -0,0 +1,239 @@
+// command-dispatcher.js
+// Sends commands to nodes and tracks them through
+// queued -> pending -> acked/failed/timeout (or queued -> expired)
+const crypto = require("node:crypto");
+
+class CommandDispatcher {
+	constructor(db, io, options = {}) {
+		this.commands = db.collection("commands");
+		this.io = io;
+		this.ackTimeoutMs = options.ackTimeoutMs || 10000;
+		this.queueTtlMs = options.queueTtlMs || 24 * 60 * 60 * 1000;
+		this.maxQueueTtlMs = options.maxQueueTtlMs || 7 * 24 * 60 * 60 * 1000;
+		this.sweepIntervalMs = options.sweepIntervalMs || 60000;
+		this.timer = null;
+	}
+
+	async setupIndexes() {
+		await this.commands.createIndex({ nodeId: 1, createdAt: -1 });
+		await this.commands.createIndex({ status: 1 });
+	}
+
+	// Acks are awaited in memory and queues expire when read, so commands
+	// left pending by a restart, or queued for a node that never returns,
+	// are settled here
+	start() {
+		const sweep = () =>
+			this.sweep().catch((error) =>
+				console.error("Command sweep failed:", error),
+			);
+		sweep();
+		this.timer = setInterval(sweep, this.sweepIntervalMs);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+	}
+
+	async sweep() {
+		await this.expireQueued();
+
+		const stale = await this.commands
+			.find({
+				status: "pending",
+				sentAt: { $lte: Date.now() - this.ackTimeoutMs },
+			})
+			.project({ _id: 1 })
+			.toArray();
+		for (const { _id } of stale) await this.timeout(_id);
+	}
+
+	toPublic(doc) {
+		const { _id, ...rest } = doc;
+		return { commandId: _id, ...rest };
+	}
+
+	// Dashboard clients get every status change as it happens
+	broadcast(doc) {
+		this.io.to("clients").emit("command:status", this.toPublic(doc));
+	}
+
+	newCommand({ nodeId, command, event, payload = {}, sentBy }, status) {
+		return {
+			_id: crypto.randomUUID(),
+			nodeId,
+			command,
+			event,
+			payload,
+			status,
+			sentBy: sentBy || null,
+			createdAt: Date.now(),
+			sentAt: null,
+			expiresAt: null,
+			completedAt: null,
+			result: null,
+			error: null,
+		};
+	}
+
+	async dispatch(socket, spec) {
+		const doc = this.newCommand(spec, "pending");
+		doc.sentAt = doc.createdAt;
+
+		await this.commands.insertOne(doc);
+		this.broadcast(doc);
+		this.send(socket, doc);
+
+		return this.toPublic(doc);
+	}
+
+	// Hold a command for an offline node until it reconnects or expires
+	async enqueue(spec, ttlMs = this.queueTtlMs) {
+		const doc = this.newCommand(spec, "queued");
+		doc.expiresAt = doc.createdAt + Math.min(ttlMs, this.maxQueueTtlMs);
+
+		await this.commands.insertOne(doc);
+		this.broadcast(doc);
+
+		console.log(`📥 Command queued for ${doc.nodeId}: ${doc.command}`);
+		return this.toPublic(doc);
+	}
+
+	send(socket, doc) {
+		// The commandId lets firmware without ack support reply with /command/ack
+		socket
+			.timeout(this.ackTimeoutMs)
+			.emit(
+				"event",
+				[doc.event, { ...doc.payload, commandId: doc._id }],
+				(err, res) =>
+					this.onSocketAck(doc.nodeId, doc._id, err, res).catch((error) =>
+						console.error(`Command ${doc._id} update failed:`, error),
+					),
+			);
+	}
+
+	// Called when a node registers: deliver its queue oldest first
+	async deliverQueued(socket, nodeId) {
+		await this.expireQueued(nodeId);
+
+		const queued = await this.commands
+			.find({ nodeId, status: "queued" })
+			.sort({ createdAt: 1 })
+			.project({ _id: 1 })
+			.toArray();
+
+		let delivered = 0;
+		for (const { _id } of queued) {
+			// Claim atomically so a duplicate connection cannot deliver twice
+			const doc = await this.commands.findOneAndUpdate(
+				{ _id, status: "queued" },
+				{ $set: { status: "pending", sentAt: Date.now() } },
+				{ returnDocument: "after" },
+			);
+			if (!doc) continue;
+
+			this.broadcast(doc);
+			this.send(socket, doc);
+			delivered++;
+		}
+
+		if (delivered > 0) {
+			console.log(`📤 Delivered ${delivered} queued command(s) to ${nodeId}`);
+		}
+	}
+
+	async expireQueued(nodeId = null) {
+		const query = { status: "queued", expiresAt: { $lte: Date.now() } };
+		if (nodeId) query.nodeId = nodeId;
+
+		const expired = await this.commands.find(query).toArray();
+		if (expired.length === 0) return;
+
+		const completedAt = Date.now();
+		await this.commands.updateMany(
+			{ _id: { $in: expired.map((doc) => doc._id) }, status: "queued" },
+			{ $set: { status: "expired", completedAt } },
+		);
+
+		for (const doc of expired) {
+			this.broadcast({ ...doc, status: "expired", completedAt });
+		}
+	}
+
+	onSocketAck(nodeId, commandId, err, response) {
+		if (err) return this.timeout(commandId);
+
+		const reply =
+			response && typeof response === "object"
+				? response
+				: { result: response ?? null };
+		return this.handleAck(nodeId, { ...reply, commandId });
+	}
+
+	timeout(commandId) {
+		return this.complete(commandId, "timeout", {
+			error: `No acknowledgement within ${this.ackTimeoutMs} ms`,
+		});
+	}
+
+	// Reply from the device, either as a Socket.IO ack or a /command/ack event:
+	// { commandId, status: "ok" | "error", result?, error? }
+	async handleAck(nodeId, reply) {
+		const data = typeof reply === "string" ? JSON.parse(reply) : reply || {};
+		if (!data.commandId) return null;
+
+		const failed =
+			data.status === "error" ||
+			data.status === "failed" ||
+			data.success === false;
+
+		return this.complete(
+			data.commandId,
+			failed ? "failed" : "acked",
+			{
+				result: data.result ?? null,
+				error: failed ? data.error || "Device reported failure" : null,
+			},
+			nodeId,
+		);
+	}
+
+	// Only pending commands move on, so a late ack cannot undo a timeout
+	// and a timeout cannot overwrite an ack
+	async complete(commandId, status, fields = {}, nodeId = null) {
+		const filter = { _id: commandId, status: "pending" };
+		if (nodeId) filter.nodeId = nodeId;
+
+		const doc = await this.commands.findOneAndUpdate(
+			filter,
+			{ $set: { status, completedAt: Date.now(), ...fields } },
+			{ returnDocument: "after" },
+		);
+
+		if (doc) {
+			console.log(`📬 Command ${commandId} (${doc.command}) ${status}`);
+			this.broadcast(doc);
+		}
+
+		return doc;
+	}
+
+	// nodeId = null lists commands across all nodes
+	async history(nodeId, { limit = 50, status } = {}) {
+		await this.expireQueued(nodeId);
+
+		const query = nodeId ? { nodeId } : {};
+		if (status) query.status = { $in: String(status).split(",") };
+
+		const docs = await this.commands
+			.find(query)
+			.sort({ createdAt: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 50, 500))
+			.toArray();
+
+		return docs.map((doc) => this.toPublic(doc));
+	}
+}
+
+module.exports = CommandDispatcher;
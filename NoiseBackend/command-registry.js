@@ -0,0 +1,242 @@
+// command-registry.js
+// Catalog of device commands: name -> device event + JSON schema for the payload
+const Ajv = require("ajv");
+
+const THRESHOLD_DB = { type: "number", minimum: 0, maximum: 140 };
+const NO_PAYLOAD = {
+	type: "object",
+	properties: {},
+	additionalProperties: false,
+};
+
+// Seeded on first start; edits made through the API are kept afterwards
+const DEFAULT_COMMANDS = [
+	{
+		name: "start",
+		event: "/start",
+		label: "Start",
+		description: "Resume noise sampling",
+		schema: NO_PAYLOAD,
+	},
+	{
+		name: "stop",
+		event: "/stop",
+		label: "Stop",
+		description: "Pause noise sampling",
+		schema: NO_PAYLOAD,
+	},
+	{
+		name: "ping",
+		event: "/ping",
+		label: "Ping Device",
+		description: "Check the device responds",
+		schema: NO_PAYLOAD,
+	},
+	{
+		name: "reboot",
+		event: "/reboot",
+		label: "Reboot",
+		description: "Restart the firmware",
+		danger: true,
+		schema: NO_PAYLOAD,
+	},
+	{
+		name: "reset",
+		event: "/reset",
+		label: "Reset Node",
+		description: "Reset the device to its initial state",
+		danger: true,
+		schema: NO_PAYLOAD,
+	},
+	{
+		name: "set_threshold",
+		event: "/threshold/set",
+		label: "Set Threshold",
+		description: "Change the alert threshold on the device",
+		schema: {
+			type: "object",
+			properties: { value: { ...THRESHOLD_DB, title: "Threshold (dB)" } },
+			required: ["value"],
+			additionalProperties: false,
+		},
+	},
+	{
+		name: "apply_config",
+		event: "/config/set",
+		label: "Apply Configuration",
+		description: "Pushed by the server on connect and on config changes",
+		hidden: true,
+		schema: {
+			type: "object",
+			properties: {
+				threshold: THRESHOLD_DB,
+				samplingIntervalMs: { type: "integer", minimum: 100 },
+				locationLabel: { type: "string" },
+				calibrationOffset: { type: "number" },
+			},
+			required: ["threshold", "samplingIntervalMs"],
+		},
+	},
+	{
+		name: "setThreshold",
+		event: "/threshold/set",
+		label: "Set Threshold (legacy)",
+		description: "Older dashboards; use set_threshold",
+		deprecated: true,
+		schema: {
+			type: "object",
+			properties: { threshold: THRESHOLD_DB },
+			required: ["threshold"],
+			additionalProperties: false,
+		},
+	},
+];
+
+// The server itself depends on these; the API may not edit or delete them
+const BUILT_IN = new Set(["apply_config", "set_threshold"]);
+
+// Legacy names still accepted from older dashboards. The device only ever
+// gets the canonical command and payload.
+const ALIASES = {
+	setThreshold: {
+		command: "set_threshold",
+		payload: ({ threshold }) => ({ value: threshold }),
+	},
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+class CommandRegistry {
+	constructor(db) {
+		this.collection = db.collection("command_catalog");
+		this.ajv = new Ajv({ allErrors: true });
+		this.commands = new Map();
+	}
+
+	async initialize() {
+		for (const def of DEFAULT_COMMANDS) {
+			const { name, ...rest } = def;
+			// Built-ins are restored in case an older version let them change
+			const update = BUILT_IN.has(name)
+				? { $set: rest, $setOnInsert: { createdAt: Date.now() } }
+				: { $setOnInsert: { ...rest, createdAt: Date.now() } };
+			await this.collection.updateOne({ _id: name }, update, { upsert: true });
+		}
+
+		await this.load();
+	}
+
+	async load() {
+		const docs = await this.collection.find({}).sort({ _id: 1 }).toArray();
+		const commands = new Map();
+
+		for (const doc of docs) {
+			try {
+				commands.set(doc._id, {
+					def: this.toPublic(doc),
+					validate: this.ajv.compile(doc.schema || NO_PAYLOAD),
+				});
+			} catch (error) {
+				console.error(
+					`Skipping command ${doc._id}, bad schema:`,
+					error.message,
+				);
+			}
+		}
+
+		this.commands = commands;
+		console.log(`🧾 Command catalog loaded (${commands.size} commands)`);
+	}
+
+	toPublic(doc) {
+		const { _id, ...rest } = doc;
+		return {
+			name: _id,
+			...rest,
+			builtIn: BUILT_IN.has(_id),
+			aliasOf: ALIASES[_id]?.command ?? null,
+		};
+	}
+
+	isBuiltIn(name) {
+		return BUILT_IN.has(name);
+	}
+
+	// The command and payload to send for a validated request: aliases are
+	// mapped onto their canonical command
+	canonical(name, payload) {
+		const alias = ALIASES[name];
+		if (!alias) return { command: name, payload };
+		return { command: alias.command, payload: alias.payload(payload) };
+	}
+
+	list() {
+		return Array.from(this.commands.values(), (entry) => entry.def);
+	}
+
+	get(name) {
+		return this.commands.get(name)?.def || null;
+	}
+
+	// Returns null when the payload is valid, otherwise a list of messages
+	validate(name, payload) {
+		const entry = this.commands.get(name);
+		if (!entry) return [`Unknown command: ${name}`];
+
+		if (entry.validate(payload)) return null;
+		return entry.validate.errors.map(
+			(err) => `${err.instancePath || "payload"} ${err.message}`,
+		);
+	}
+
+	async upsert(
+		name,
+		{ event, label, description, danger, deprecated, hidden, schema },
+	) {
+		if (BUILT_IN.has(name)) {
+			throw new Error(`${name} is built in and cannot be changed`);
+		}
+		if (!NAME_PATTERN.test(name)) {
+			throw new Error("Command name may only contain letters, digits and _");
+		}
+		if (typeof event !== "string" || !event.startsWith("/")) {
+			throw new Error("event must be a device event path such as /reboot");
+		}
+
+		// Reject schemas that do not compile before they reach the catalog
+		const payloadSchema = schema || NO_PAYLOAD;
+		this.ajv.compile(payloadSchema);
+
+		await this.collection.updateOne(
+			{ _id: name },
+			{
+				$set: {
+					event,
+					label: label || name,
+					description: description || "",
+					danger: !!danger,
+					deprecated: !!deprecated,
+					hidden: !!hidden,
+					schema: payloadSchema,
+					updatedAt: Date.now(),
+				},
+				$setOnInsert: { createdAt: Date.now() },
+			},
+			{ upsert: true },
+		);
+
+		await this.load();
+		return this.get(name);
+	}
+
+	async remove(name) {
+		if (BUILT_IN.has(name)) {
+			throw new Error(`${name} is built in and cannot be deleted`);
+		}
+		const result = await this.collection.deleteOne({ _id: name });
+		await this.load();
+		return result.deletedCount > 0;
+	}
+}
+
+module.exports = CommandRegistry;
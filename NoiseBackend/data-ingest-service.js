@@ -1,10 +1,38 @@
 // data-ingest-service.js
 // Handles queued data processing and batch writing to MongoDB
 require('dotenv').config();
+const os = require('node:os');
+const path = require('node:path');
 const { MongoClient } = require('mongodb');
 const Redis = require('ioredis');
+const DeadLetterQueue = require('./dead-letter-queue');
+const ReadingStream = require('./reading-stream');
+const SequenceTracker = require('./sequence-tracker');
+const RollupService = require('./rollups');
+const RetentionService = require('./retention');
+const {
+  READINGS,
+  ensureReadingsCollection,
+  toReadingDoc,
+  nextSequence,
+  recordMetrics
+} = require('./readings-store');
 
 // Configuration
+// Moves a legacy list into the stream without a window where items are in neither
+const MIGRATE_SCRIPT = `
+local moved = 0
+while true do
+  local item = redis.call('LPOP', KEYS[1])
+  if not item then break end
+  redis.call('XADD', KEYS[2], '*', 'nodeId', ARGV[1], 'data', item)
+  moved = moved + 1
+end
+return moved
+`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 const config = {
   mongodb: {
     uri: process.env.MONGO_URI || 'mongodb://localhost:59002',
@@ -17,7 +45,41 @@ const config = {
   batch: {
     size: 150,
     flushInterval: 2000, // ms
-    queuePrefix: 'queue:node:'
+    // Per-node lists used before the stream; drained once on startup
+    legacyPrefixes: ['processing:node:', 'queue:node:']
+  },
+  stream: {
+    key: process.env.INGEST_STREAM || 'ingest:readings',
+    group: 'ingest',
+    // Unique per worker so several data-ingest containers can share the group
+    consumer: process.env.INGEST_CONSUMER || `${os.hostname()}-${process.pid}`,
+    // Entries unacknowledged this long belong to a dead worker and are claimed
+    claimIdleMs: parseInt(process.env.INGEST_CLAIM_IDLE_MS, 10) || 60000,
+    // How often acknowledged entries are trimmed from the stream
+    trimIntervalMs: parseInt(process.env.INGEST_TRIM_INTERVAL_MS, 10) || 10000
+  },
+  retry: {
+    maxAttempts: parseInt(process.env.INGEST_MAX_ATTEMPTS, 10) || 5,
+    backoffMs: parseInt(process.env.INGEST_RETRY_BACKOFF_MS, 10) || 1000,
+    maxBackoffMs: 30000
+  },
+  dlqKey: 'ingest:dlq',
+  rollups: {
+    // Day buckets follow this timezone
+    timezone: process.env.ROLLUP_TIMEZONE || 'UTC',
+    intervalMs: parseInt(process.env.ROLLUP_INTERVAL_MS, 10) || 60000
+  },
+  // Days to keep each tier; 0 keeps it forever
+  retention: {
+    rawDays: parseInt(process.env.RETENTION_RAW_DAYS, 10) || 0,
+    rollupDays: {
+      '1m': parseInt(process.env.RETENTION_1M_DAYS, 10) || 0,
+      '1h': parseInt(process.env.RETENTION_1H_DAYS, 10) || 0,
+      '1d': parseInt(process.env.RETENTION_1D_DAYS, 10) || 0
+    },
+    // Raw readings are written here as <nodeId>/<day>.ndjson.gz before they expire
+    archiveDir: process.env.ARCHIVE_DIR || path.join(__dirname, 'archive'),
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 3600000
   }
 };
 
@@ -26,8 +88,18 @@ class DataIngestService {
     this.mongoClient = null;
     this.db = null;
     this.redis = new Redis(config.redis);
-    this.processQueues = new Map();
-    this.flushTimers = new Map();
+    // XREADGROUP BLOCK holds its connection, so reads get their own
+    this.reader = this.redis.duplicate();
+    this.stream = new ReadingStream(this.redis, config.stream);
+    this.deadLetters = new DeadLetterQueue(this.redis, {
+      key: config.dlqKey,
+      stream: config.stream.key
+    });
+    this.running = false;
+    this.consumer = null;
+    this.lastClaimAt = 0;
+    this.lastTrimAt = 0;
+    this.lagTimer = null;
   }
 
   async initialize() {
@@ -36,16 +108,25 @@ class DataIngestService {
       this.mongoClient = new MongoClient(config.mongodb.uri);
       await this.mongoClient.connect();
       this.db = this.mongoClient.db(config.mongodb.database);
+      this.sequences = new SequenceTracker(this.db);
+      this.rollups = new RollupService(this.db, config.rollups);
+      this.retention = new RetentionService(this.db, config.retention);
 
       // Create indexes
       await this.setupIndexes();
+      await this.seedMetrics();
 
       console.log('✅ Data Ingest Service initialized');
       console.log(`📊 MongoDB: ${config.mongodb.database}`);
       console.log(`🔴 Redis: ${config.redis.host}:${config.redis.port}`);
 
-      // Start monitoring queues
-      this.startQueueMonitoring();
+      await this.stream.ensureGroup();
+      await this.migrateLegacyQueues();
+
+      // Start consuming the reading stream
+      this.startConsuming();
+      this.rollups.start();
+      this.retention.start();
     } catch (error) {
       console.error('❌ Initialization failed:', error);
       throw error;
@@ -53,175 +134,280 @@ class DataIngestService {
   }
 
   async setupIndexes() {
-    const collection = this.db.collection('timeseries');
-
-    await collection.createIndex({ nodeId: 1, ts: 1 });
-    await collection.createIndex({ nodeId: 1, seq: 1 }, { unique: true });
+    await ensureReadingsCollection(this.db);
+    await this.sequences.setupIndexes();
+    await this.rollups.setupIndexes();
+    await this.retention.setup();
 
     console.log('📑 Indexes created');
   }
 
   async getNextSequence(nodeId, count) {
-    const counters = this.db.collection('counters');
+    return nextSequence(this.db, nodeId, count);
+  }
 
-    const result = await counters.findOneAndUpdate(
-      { _id: nodeId },
-      { $inc: { seq: count } },
-      { upsert: true, returnDocument: 'after' }
-    );
+  async migrateLegacyQueues() {
+    for (const prefix of config.batch.legacyPrefixes) {
+      for (const key of await this.redis.keys(`${prefix}*`)) {
+        const nodeId = key.slice(prefix.length);
+        const moved = await this.redis.eval(MIGRATE_SCRIPT, 2, key, config.stream.key, nodeId);
+        if (moved > 0) {
+          console.log(`🚚 Moved ${moved} queued readings for ${nodeId} from ${key} to the stream`);
+        }
+      }
+    }
+  }
 
-    return result.seq - count + 1;
+  startConsuming() {
+    this.running = true;
+    this.consumer = this.consume();
+
+    // Surface a growing backlog in the logs
+    this.lagTimer = setInterval(async () => {
+      try {
+        const status = await this.stream.status();
+        if (status.lag > 0 || status.pending > config.batch.size) {
+          console.warn(`⏳ Ingest backlog: lag ${status.lag}, pending ${status.pending}, ${status.consumers.length} consumer(s)`);
+        }
+      } catch (error) {
+        console.error('Lag check error:', error);
+      }
+    }, 60000);
+
+    console.log(`👀 Consuming ${config.stream.key} as ${config.stream.consumer}`);
   }
 
-  startQueueMonitoring() {
-    // Monitor Redis for queue keys
-    const scanInterval = setInterval(async () => {
+  async consume() {
+    while (this.running) {
       try {
-        const pattern = `${config.batch.queuePrefix}*`;
-        const keys = await this.redis.keys(pattern);
+        const stale = await this.claimStale();
+        if (stale.length > 0) await this.processEntries(stale);
 
-        for (const key of keys) {
-          const nodeId = key.replace(config.batch.queuePrefix, '');
+        const entries = await this.collectBatch();
+        if (entries.length > 0) await this.processEntries(entries);
 
-          if (!this.processQueues.has(nodeId)) {
-            this.processQueues.set(nodeId, true);
-            this.processNodeQueue(nodeId);
-          }
-        }
+        await this.trimStream();
       } catch (error) {
-        console.error('Queue monitoring error:', error);
+        console.error('Stream consumer error:', error);
+        await sleep(1000);
       }
-    }, 1000);
+    }
+  }
+
+  // Read until a full batch arrives or the flush interval runs out
+  async collectBatch() {
+    const entries = [];
+    const deadline = Date.now() + config.batch.flushInterval;
+
+    while (this.running && entries.length < config.batch.size) {
+      const wait = deadline - Date.now();
+      if (wait <= 0) break;
+
+      const read = await this.stream.read(
+        this.reader,
+        config.stream.consumer,
+        config.batch.size - entries.length,
+        wait
+      );
+      entries.push(...read);
+    }
 
-    console.log('👀 Queue monitoring started');
+    return entries;
   }
 
-  async processNodeQueue(nodeId) {
-    const queueKey = `${config.batch.queuePrefix}${nodeId}`;
+  // XACK alone leaves entries in the stream; every worker trims now and then
+  async trimStream() {
+    if (Date.now() - this.lastTrimAt < config.stream.trimIntervalMs) return;
+    this.lastTrimAt = Date.now();
 
-    while (true) {
-      try {
-        const queueLength = await this.redis.llen(queueKey);
+    const trimmed = await this.stream.trim();
+    if (trimmed > 0) console.log(`✂️  Trimmed ${trimmed} handled entries from ${config.stream.key}`);
+  }
 
-        if (queueLength === 0) {
-          // No more data, remove from active processing
-          this.processQueues.delete(nodeId);
-          break;
-        }
+  // Entries a crashed worker read but never acknowledged. Ones that have
+  // already been delivered too often are parked instead of retried.
+  async claimStale() {
+    if (Date.now() - this.lastClaimAt < config.stream.claimIdleMs / 2) return [];
+    this.lastClaimAt = Date.now();
+
+    const claimed = await this.stream.claimStale(
+      config.stream.consumer,
+      config.stream.claimIdleMs,
+      config.batch.size
+    );
+    if (claimed.length === 0) return [];
 
-        // Check if we should flush based on size or time
-        const shouldFlush = queueLength >= config.batch.size;
+    const deliveries = await this.stream.deliveryCounts(claimed.map(e => e.id));
+    const poisoned = claimed.filter(e => (deliveries.get(e.id) || 0) > config.retry.maxAttempts);
+    if (poisoned.length > 0) {
+      await this.park(poisoned, new Error('Delivered too often without acknowledgement'), config.retry.maxAttempts);
+    }
 
-        if (shouldFlush) {
-          await this.flushBatch(nodeId, queueKey);
-        } else {
-          // Set up time-based flush if not already set
-          if (!this.flushTimers.has(nodeId)) {
-            const timer = setTimeout(async () => {
-              await this.flushBatch(nodeId, queueKey);
-              this.flushTimers.delete(nodeId);
-            }, config.batch.flushInterval);
+    console.log(`🔁 Claimed ${claimed.length} stale entries (${poisoned.length} parked)`);
+    return claimed.filter(e => !poisoned.includes(e));
+  }
 
-            this.flushTimers.set(nodeId, timer);
-          }
+  // Write entries to MongoDB, retrying with backoff; acknowledge only once
+  // the write is confirmed or the entries are parked in the dead-letter queue
+  async processEntries(entries) {
+    const readings = [];
+    const unparseable = [];
 
-          // Wait before checking again
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+    for (const entry of entries) {
+      try {
+        readings.push({ entry, reading: JSON.parse(entry.data) });
       } catch (error) {
-        console.error(`Error processing queue for ${nodeId}:`, error);
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        unparseable.push(entry);
       }
     }
-  }
-
-  async flushBatch(nodeId, queueKey) {
-    try {
-      // Pop batch from Redis
-      const batchSize = Math.min(config.batch.size, await this.redis.llen(queueKey));
 
-      if (batchSize === 0) return;
+    // Unparseable entries would fail every retry; park them right away
+    if (unparseable.length > 0) {
+      await this.park(unparseable, new Error('Unparseable reading'), 0);
+    }
+    if (readings.length === 0) return;
 
-      const batch = [];
-      for (let i = 0; i < batchSize; i++) {
-        const item = await this.redis.lpop(queueKey);
-        if (item) {
-          batch.push(JSON.parse(item));
+    for (let attempt = 1; attempt <= config.retry.maxAttempts; attempt++) {
+      try {
+        await this.writeReadings(readings);
+        await this.stream.ack(readings.map(r => r.entry.id));
+        return;
+      } catch (error) {
+        if (attempt === config.retry.maxAttempts) {
+          // Out of retries: park the batch and move on to newer data
+          await this.park(readings.map(r => r.entry), error, attempt);
+          return;
         }
+
+        const delay = Math.min(
+          config.retry.backoffMs * 2 ** (attempt - 1),
+          config.retry.maxBackoffMs
+        );
+        console.error(`❌ Flush error (attempt ${attempt}/${config.retry.maxAttempts}, retry in ${delay}ms):`, error.message);
+
+        // Left unacknowledged on shutdown; another worker claims them later
+        if (!this.running) return;
+        await sleep(delay);
       }
+    }
+  }
+
+  async writeReadings(readings) {
+    const byNode = new Map();
+    for (const item of readings) {
+      const nodeId = item.reading.nodeId || item.entry.nodeId;
+      if (!byNode.has(nodeId)) byNode.set(nodeId, []);
+      byNode.get(nodeId).push(item);
+    }
 
-      if (batch.length === 0) return;
+    for (const [nodeId, all] of byNode) {
+      // Redelivered stream entries and device resends are already stored;
+      // the time-series collection has no unique index to reject them
+      const written = await this.storedStreamIds(all.map(({ entry }) => entry.id));
+      const owners = new Map(all.map(({ entry, reading }) => [reading, entry.id]));
+      const fresh = new Set(await this.sequences.filterNew(
+        nodeId,
+        all.filter(({ entry }) => !written.has(entry.id)).map(({ reading }) => reading),
+        reading => owners.get(reading)
+      ));
+      const items = all.filter(({ reading }) => fresh.has(reading));
+      if (items.length < all.length) {
+        console.log(`♊ Skipped ${all.length - items.length} duplicate readings for ${nodeId}`);
+      }
+      if (items.length === 0) continue;
 
-      // Get sequence numbers
-      const seqBase = await this.getNextSequence(nodeId, batch.length);
+      // Readings replayed from before the stream may already carry a seq
+      const unsequenced = items.filter(({ reading }) => reading.seq === undefined);
+      const seqBase = unsequenced.length > 0
+        ? await this.getNextSequence(nodeId, unsequenced.length)
+        : 0;
+      unsequenced.forEach(({ reading }, index) => {
+        reading.seq = seqBase + index;
+      });
 
-      // Assign sequences
-      const documents = batch.map((reading, index) => ({
-        nodeId: reading.nodeId,
-        seq: seqBase + index,
-        ts: reading.ts,
-        payload: reading.payload,
-        meta: reading.meta || {}
-      }));
+      const documents = items.map(({ entry, reading }) =>
+        toReadingDoc({ ...reading, nodeId }, { streamId: entry.id })
+      );
 
       // Insert into MongoDB
-      await this.db.collection('timeseries').insertMany(documents, { ordered: false });
+      const inserted = await this.insertDocuments(documents);
 
-      console.log(`✅ Flushed ${documents.length} readings for ${nodeId} (seq: ${seqBase}-${seqBase + batch.length - 1})`);
+      const seqs = documents.map(doc => doc.seq);
+      console.log(`✅ Flushed ${inserted} readings for ${nodeId} (seq: ${Math.min(...seqs)}-${Math.max(...seqs)})`);
 
-      // Clear flush timer if exists
-      if (this.flushTimers.has(nodeId)) {
-        clearTimeout(this.flushTimers.get(nodeId));
-        this.flushTimers.delete(nodeId);
-      }
+      // Record gaps in the device sequence
+      await this.sequences.record(nodeId, documents);
 
-      // Update metrics in Redis
-      await this.updateMetrics(nodeId, batch.length);
-    } catch (error) {
-      console.error(`❌ Flush error for ${nodeId}:`, error);
+      await this.updateMetrics(nodeId, inserted);
+    }
+  }
+
+  async park(entries, error, attempts) {
+    const byNode = new Map();
+    for (const entry of entries) {
+      if (!byNode.has(entry.nodeId)) byNode.set(entry.nodeId, []);
+      byNode.get(entry.nodeId).push(entry.data);
+    }
 
-      // On error, push items back to queue
-      // This is a simplified error handling - in production, use dead letter queue
+    for (const [nodeId, items] of byNode) {
+      const parked = await this.deadLetters.park(nodeId, items, error, attempts);
+      console.error(`☠️  Parked ${items.length} readings for ${nodeId} in the dead-letter queue (${parked.id}):`, error.message);
     }
+
+    await this.sequences.release(entries.map(e => e.id));
+    await this.stream.ack(entries.map(e => e.id));
   }
 
-  async updateMetrics(nodeId, count) {
-    const metricsKey = `metrics:${nodeId}`;
-    const now = Date.now();
+  async storedStreamIds(ids) {
+    const docs = await this.db.collection(READINGS)
+      .find({ streamId: { $in: ids } }, { projection: { _id: 0, streamId: 1 } })
+      .toArray();
+    return new Set(docs.map(doc => doc.streamId));
+  }
 
-    await this.redis.hincrby(metricsKey, 'totalRecords', count);
-    await this.redis.hset(metricsKey, 'lastFlush', now);
-    await this.redis.expire(metricsKey, 86400); // 24 hours
+  async insertDocuments(documents) {
+    const result = await this.db.collection(READINGS).insertMany(documents, { ordered: false });
+    return result.insertedCount;
   }
 
-  async getMetrics() {
-    const pattern = 'metrics:*';
-    const keys = await this.redis.keys(pattern);
-    const metrics = {};
+  async updateMetrics(nodeId, count) {
+    await recordMetrics(this.db, nodeId, count);
+  }
+
+  // The Redis counters expired after a day, so the first start counts what
+  // is stored instead
+  async seedMetrics() {
+    const metrics = this.db.collection('node_metrics');
+    if (await metrics.estimatedDocumentCount() > 0) return;
 
-    for (const key of keys) {
-      const nodeId = key.replace('metrics:', '');
-      metrics[nodeId] = await this.redis.hgetall(key);
+    const counts = await this.db.collection(READINGS).aggregate([
+      { $group: { _id: '$nodeId', totalRecords: { $sum: 1 }, lastFlush: { $max: '$ingestedAt' } } }
+    ], { allowDiskUse: true }).toArray();
+
+    if (counts.length > 0) {
+      await metrics.insertMany(counts);
+      console.log(`📈 Seeded record counts for ${counts.length} node(s)`);
     }
+  }
 
-    return metrics;
+  async getMetrics() {
+    const docs = await this.db.collection('node_metrics').find({}).toArray();
+    return Object.fromEntries(docs.map(({ _id, ...metrics }) => [_id, metrics]));
   }
 
   async shutdown() {
     console.log('🛑 Shutting down Data Ingest Service...');
 
-    // Clear all timers
-    for (const timer of this.flushTimers.values()) {
-      clearTimeout(timer);
-    }
-
-    // Flush remaining queues
-    for (const nodeId of this.processQueues.keys()) {
-      const queueKey = `${config.batch.queuePrefix}${nodeId}`;
-      await this.flushBatch(nodeId, queueKey);
-    }
+    // Finish the batch in hand; anything unacknowledged stays pending
+    // in the group for the next worker
+    this.running = false;
+    clearInterval(this.lagTimer);
+    await this.consumer;
+    await this.rollups.stop();
+    await this.retention.stop();
 
     await this.mongoClient.close();
+    await this.reader.quit();
     await this.redis.quit();
 
     console.log('✅ Shutdown complete');
@@ -0,0 +1,82 @@
+// dead-letter-queue.js
+// Batches the ingest service gave up on, parked in Redis for inspection/replay
+const crypto = require("node:crypto");
+
+const REPLAY_SCRIPT = `
+local raw = redis.call("HGET", KEYS[1], ARGV[1])
+if not raw then return false end
+local entry = cjson.decode(raw)
+for _, item in ipairs(entry.items) do
+	redis.call("XADD", KEYS[2], "*", "nodeId", entry.nodeId, "data", item)
+end
+redis.call("HDEL", KEYS[1], ARGV[1])
+return raw
+`;
+
+class DeadLetterQueue {
+	constructor(redis, { key = "ingest:dlq", stream = "ingest:readings" } = {}) {
+		this.redis = redis;
+		this.key = key;
+		this.stream = stream;
+	}
+
+	// items are the raw reading strings from the stream, so a replay re-queues
+	// exactly what was received
+	async park(nodeId, items, error, attempts) {
+		const entry = {
+			id: crypto.randomUUID(),
+			nodeId,
+			items,
+			error: error?.message || String(error),
+			attempts,
+			failedAt: Date.now(),
+		};
+
+		await this.redis.hset(this.key, entry.id, JSON.stringify(entry));
+		return entry;
+	}
+
+	async list({ nodeId } = {}) {
+		const entries = Object.values(await this.redis.hgetall(this.key))
+			.map((raw) => JSON.parse(raw))
+			.filter((entry) => !nodeId || entry.nodeId === nodeId)
+			.sort((a, b) => b.failedAt - a.failedAt);
+
+		// Listing shows sizes; the items themselves come from get()
+		return entries.map(({ items, ...rest }) => ({
+			...rest,
+			count: items.length,
+		}));
+	}
+
+	count() {
+		return this.redis.hlen(this.key);
+	}
+
+	async get(id) {
+		const raw = await this.redis.hget(this.key, id);
+		return raw ? JSON.parse(raw) : null;
+	}
+
+	// Append the items to the reading stream and drop the entry in one step,
+	// so two admins replaying the same entry cannot queue it twice
+	async replay(id) {
+		const raw = await this.redis.eval(
+			REPLAY_SCRIPT,
+			2,
+			this.key,
+			this.stream,
+			id,
+		);
+		if (!raw) return null;
+
+		const entry = JSON.parse(raw);
+		return { id, nodeId: entry.nodeId, count: entry.items.length };
+	}
+
+	async remove(id) {
+		return (await this.redis.hdel(this.key, id)) > 0;
+	}
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,141 @@
+// device-config.js
+// Server-side device configuration (threshold, sampling, location, calibration)
+const Ajv = require("ajv");
+
+const DEFAULT_CONFIG = {
+	threshold: 50,
+	samplingIntervalMs: 1000,
+	locationLabel: "",
+	calibrationOffset: 0,
+};
+
+const CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		threshold: { type: "number", minimum: 0, maximum: 140 },
+		samplingIntervalMs: { type: "integer", minimum: 100, maximum: 3600000 },
+		locationLabel: { type: "string", maxLength: 120 },
+		// Server-side only: selects group-assigned schedule profiles
+		group: { type: "string", maxLength: 60 },
+		calibrationOffset: { type: "number", minimum: -30, maximum: 30 },
+	},
+	additionalProperties: false,
+};
+
+class DeviceConfigStore {
+	constructor(db) {
+		this.collection = db.collection("device_configs");
+		this.validateChanges = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+		// Last threshold each node reported, so /save does not write every time
+		this.reportedCache = new Map();
+	}
+
+	toPublic(nodeId, doc) {
+		const { _id, ...rest } = doc || {};
+		return {
+			nodeId,
+			...DEFAULT_CONFIG,
+			group: "",
+			reported: null,
+			inSync: null,
+			...rest,
+		};
+	}
+
+	async get(nodeId) {
+		return this.toPublic(
+			nodeId,
+			await this.collection.findOne({ _id: nodeId }),
+		);
+	}
+
+	async list() {
+		const docs = await this.collection.find({}).sort({ _id: 1 }).toArray();
+		return docs.map((doc) => this.toPublic(doc._id, doc));
+	}
+
+	// The settings the device itself should apply
+	desired(config) {
+		return Object.fromEntries(
+			Object.keys(DEFAULT_CONFIG).map((key) => [key, config[key]]),
+		);
+	}
+
+	// Returns { config } or { errors } for invalid input. expectedFor(config)
+	// gives the threshold the device should run, which a schedule may change.
+	async update(
+		nodeId,
+		changes,
+		updatedBy = null,
+		expectedFor = (config) => config.threshold,
+	) {
+		if (!this.validateChanges(changes)) {
+			return {
+				errors: this.validateChanges.errors.map(
+					(err) => `${err.instancePath || "config"} ${err.message}`,
+				),
+			};
+		}
+
+		const current = await this.get(nodeId);
+		const next = { ...current, ...changes };
+
+		const doc = await this.collection.findOneAndUpdate(
+			{ _id: nodeId },
+			{
+				$set: {
+					...changes,
+					inSync: current.reported
+						? current.reported.threshold === expectedFor(next)
+						: null,
+					updatedAt: Date.now(),
+					updatedBy,
+				},
+			},
+			{ upsert: true, returnDocument: "after" },
+		);
+
+		return { config: this.toPublic(nodeId, doc) };
+	}
+
+	// Compare the threshold in a /save payload with the expected one (the
+	// configured threshold unless a schedule overrides it).
+	// Returns the updated config when the sync state changed, else null.
+	async recordReported(nodeId, threshold, expected = null) {
+		if (typeof threshold !== "number" || Number.isNaN(threshold)) return null;
+		if (this.reportedCache.get(nodeId) === threshold) return null;
+		this.reportedCache.set(nodeId, threshold);
+
+		const config = await this.get(nodeId);
+		const target = expected ?? config.threshold;
+		const inSync = target === threshold;
+
+		const doc = await this.collection.findOneAndUpdate(
+			{ _id: nodeId },
+			{
+				$set: {
+					reported: { threshold, at: Date.now() },
+					inSync,
+					...(inSync ? { confirmedAt: Date.now() } : {}),
+				},
+			},
+			{ upsert: true, returnDocument: "after" },
+		);
+
+		if (!inSync) {
+			console.warn(
+				`⚙️  ${nodeId} reports threshold ${threshold}, expected ${target}`,
+			);
+		}
+
+		return this.toPublic(nodeId, doc);
+	}
+
+	forget(nodeId) {
+		this.reportedCache.delete(nodeId);
+	}
+}
+
+DeviceConfigStore.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = DeviceConfigStore;
@@ -0,0 +1,101 @@
+// device-credentials.js
+// Registry of per-device API keys stored (hashed) in MongoDB
+const { generateSecret, hashSecret, verifySecret } = require("./secrets");
+
+class DeviceCredentials {
+	constructor(db) {
+		this.collection = db.collection("device_credentials");
+	}
+
+	async setupIndexes() {
+		await this.collection.createIndex({ status: 1 });
+	}
+
+	// Strip hashes before anything leaves the server
+	toPublic(doc) {
+		if (!doc) return null;
+		const { secretHash, salt, ...rest } = doc;
+		return { deviceId: doc._id, ...rest };
+	}
+
+	async list() {
+		const docs = await this.collection.find({}).sort({ _id: 1 }).toArray();
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	async get(deviceId) {
+		return this.toPublic(await this.collection.findOne({ _id: deviceId }));
+	}
+
+	// Returns the plaintext API key; it is never stored and cannot be read back
+	async issue(deviceId, issuedBy = null) {
+		const existing = await this.collection.findOne({ _id: deviceId });
+		if (existing && existing.status === "active") {
+			return null;
+		}
+
+		const apiKey = generateSecret();
+		const { salt, hash } = await hashSecret(apiKey);
+		const now = Date.now();
+
+		await this.collection.updateOne(
+			{ _id: deviceId },
+			{
+				$set: {
+					secretHash: hash,
+					salt,
+					status: "active",
+					issuedAt: now,
+					issuedBy,
+					rotatedAt: null,
+					revokedAt: null,
+				},
+			},
+			{ upsert: true },
+		);
+
+		return apiKey;
+	}
+
+	async rotate(deviceId, rotatedBy = null) {
+		const apiKey = generateSecret();
+		const { salt, hash } = await hashSecret(apiKey);
+
+		const result = await this.collection.updateOne(
+			{ _id: deviceId, status: "active" },
+			{
+				$set: {
+					secretHash: hash,
+					salt,
+					rotatedAt: Date.now(),
+					rotatedBy,
+				},
+			},
+		);
+
+		return result.matchedCount === 0 ? null : apiKey;
+	}
+
+	async revoke(deviceId, revokedBy = null) {
+		const result = await this.collection.updateOne(
+			{ _id: deviceId, status: "active" },
+			{ $set: { status: "revoked", revokedAt: Date.now(), revokedBy } },
+		);
+
+		return result.matchedCount > 0;
+	}
+
+	async verify(deviceId, apiKey) {
+		if (!deviceId || !apiKey) return false;
+
+		const doc = await this.collection.findOne({
+			_id: deviceId,
+			status: "active",
+		});
+		if (!doc) return false;
+
+		return verifySecret(apiKey, doc.salt, doc.secretHash);
+	}
+}
+
+module.exports = DeviceCredentials;
@@ -0,0 +1,114 @@
+// device-health.js
+// Diagnostics devices send on the /health event (Wi-Fi RSSI, heap, uptime,
+// reset reason, firmware), kept apart from readings with their own TTL:
+//   device_health  { nodeId, at: Date, rssi, freeHeap, minFreeHeap,
+//                    uptime, resetReason, firmware }
+const Ajv = require("ajv");
+
+const HEALTH_SCHEMA = {
+	type: "object",
+	properties: {
+		// dBm
+		rssi: { type: "number", minimum: -127, maximum: 0 },
+		// bytes
+		freeHeap: { type: "integer", minimum: 0 },
+		minFreeHeap: { type: "integer", minimum: 0 },
+		// ms since boot
+		uptime: { type: "number", minimum: 0 },
+		resetReason: { type: "string", maxLength: 40 },
+		firmware: { type: "string", maxLength: 40 },
+		deviceId: { type: "string" },
+	},
+	anyOf: [
+		{ required: ["rssi"] },
+		{ required: ["freeHeap"] },
+		{ required: ["uptime"] },
+		{ required: ["resetReason"] },
+		{ required: ["firmware"] },
+	],
+};
+
+const FIELDS = [
+	"rssi",
+	"freeHeap",
+	"minFreeHeap",
+	"uptime",
+	"resetReason",
+	"firmware",
+];
+
+class DeviceHealthStore {
+	constructor(db, { retentionDays = 30 } = {}) {
+		this.db = db;
+		this.collection = db.collection("device_health");
+		this.retentionDays = retentionDays;
+		this.validate = new Ajv({ allErrors: true }).compile(HEALTH_SCHEMA);
+	}
+
+	async setupIndexes() {
+		await this.collection.createIndex({ nodeId: 1, at: -1 });
+
+		// Samples expire on their own; a changed retention updates the index
+		const expireAfterSeconds = Math.round(this.retentionDays * 86400);
+		try {
+			await this.collection.createIndex(
+				{ at: 1 },
+				{ name: "at_ttl", expireAfterSeconds },
+			);
+		} catch (error) {
+			if (error.codeName !== "IndexOptionsConflict") throw error;
+			await this.db.command({
+				collMod: "device_health",
+				index: { name: "at_ttl", expireAfterSeconds },
+			});
+		}
+	}
+
+	// Returns { sample } for a stored sample, otherwise { errors }
+	async record(nodeId, data) {
+		if (!data || typeof data !== "object" || Array.isArray(data)) {
+			return { errors: ["payload must be a JSON object"] };
+		}
+		if (!this.validate(data)) {
+			return {
+				errors: this.validate.errors.map(
+					(err) => `${err.instancePath || "payload"} ${err.message}`,
+				),
+			};
+		}
+
+		const sample = { nodeId, at: new Date() };
+		for (const field of FIELDS) {
+			if (data[field] !== undefined) sample[field] = data[field];
+		}
+
+		await this.collection.insertOne(sample);
+		return { sample: this.toPublic(sample) };
+	}
+
+	toPublic(doc) {
+		const { _id, at, ...rest } = doc;
+		return { ...rest, at: at.getTime() };
+	}
+
+	// Newest first over ?from&to (ms), by default the last 24 hours
+	async history(nodeId, { from, to, limit = 500 } = {}) {
+		const end = Number.isFinite(to) ? to : Date.now();
+		const start = Number.isFinite(from) ? from : end - 24 * 60 * 60 * 1000;
+
+		const docs = await this.collection
+			.find({ nodeId, at: { $gte: new Date(start), $lte: new Date(end) } })
+			.sort({ at: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 500, 5000))
+			.toArray();
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	// The most recent sample, however old
+	async latest(nodeId) {
+		const doc = await this.collection.findOne({ nodeId }, { sort: { at: -1 } });
+		return doc && this.toPublic(doc);
+	}
+}
+
+module.exports = DeviceHealthStore;
@@ -0,0 +1,183 @@
+// device-registry.js
+// Every node that has ever connected, with its connection history.
+//   devices          { _id: nodeId, firstSeen, lastSeen, lastConnectedAt,
+//                      lastDisconnectedAt, firmware, ip, metadata }
+//   device_sessions  one document per connection, closed on disconnect
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DeviceRegistry {
+	constructor(db, { lastSeenIntervalMs = 60000 } = {}) {
+		this.devices = db.collection("devices");
+		this.sessions = db.collection("device_sessions");
+		this.lastSeenIntervalMs = lastSeenIntervalMs;
+		// nodeId -> lastSeen last written, so readings do not write every time
+		this.lastSeenWritten = new Map();
+	}
+
+	async setupIndexes() {
+		await this.sessions.createIndex({ nodeId: 1, connectedAt: -1 });
+		await this.sessions.createIndex({ nodeId: 1, disconnectedAt: 1 });
+	}
+
+	toPublic(doc) {
+		const { _id, ...rest } = doc;
+		return { nodeId: _id, ...rest };
+	}
+
+	async connected(nodeId, { socketId, instanceId, ip, firmware, metadata }) {
+		const now = Date.now();
+
+		// A session still open belongs to a connection that was never seen
+		// closing (server restart, instance lost)
+		await this.closeOpen(nodeId, { reason: "replaced" });
+
+		await this.devices.updateOne(
+			{ _id: nodeId },
+			{
+				$setOnInsert: { firstSeen: now },
+				$set: {
+					lastSeen: now,
+					lastConnectedAt: now,
+					ip: ip || null,
+					metadata: metadata || {},
+					...(firmware ? { firmware: String(firmware) } : {}),
+				},
+			},
+			{ upsert: true },
+		);
+		await this.sessions.insertOne({
+			nodeId,
+			socketId,
+			instanceId,
+			ip: ip || null,
+			firmware: firmware ? String(firmware) : null,
+			connectedAt: now,
+			disconnectedAt: null,
+			durationMs: null,
+			reason: null,
+		});
+		this.lastSeenWritten.set(nodeId, now);
+	}
+
+	// Called for every reading; writes at most once per lastSeenIntervalMs
+	async seen(nodeId, at = Date.now()) {
+		const written = this.lastSeenWritten.get(nodeId) || 0;
+		if (at - written < this.lastSeenIntervalMs) return;
+
+		this.lastSeenWritten.set(nodeId, at);
+		await this.devices.updateOne({ _id: nodeId }, { $max: { lastSeen: at } });
+	}
+
+	// Firmware reported later, e.g. on the /health event
+	async reportFirmware(nodeId, firmware) {
+		await this.devices.updateOne(
+			{ _id: nodeId },
+			{ $set: { firmware: String(firmware) } },
+		);
+	}
+
+	// Without a socketId the node's connection was not seen closing (its
+	// instance went away), so the session ends when the node was last seen
+	async disconnected(nodeId, { socketId = null, reason = null } = {}) {
+		this.lastSeenWritten.delete(nodeId);
+		const at = await this.closeOpen(nodeId, { socketId, reason });
+
+		await this.devices.updateOne(
+			{ _id: nodeId },
+			{ $set: { lastDisconnectedAt: at }, $max: { lastSeen: at } },
+		);
+	}
+
+	// Returns the time the sessions were closed at
+	async closeOpen(nodeId, { socketId = null, reason = null }) {
+		const filter = { nodeId, disconnectedAt: null };
+		let at = Date.now();
+		if (socketId) {
+			filter.socketId = socketId;
+		} else {
+			const device = await this.devices.findOne(
+				{ _id: nodeId },
+				{ projection: { lastSeen: 1 } },
+			);
+			at = device?.lastSeen ?? at;
+		}
+
+		await this.sessions.updateMany(filter, [
+			{
+				$set: {
+					disconnectedAt: { $max: ["$connectedAt", at] },
+					reason,
+				},
+			},
+			{
+				$set: {
+					durationMs: { $subtract: ["$disconnectedAt", "$connectedAt"] },
+				},
+			},
+		]);
+		return at;
+	}
+
+	async list() {
+		const docs = await this.devices.find({}).sort({ _id: 1 }).toArray();
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	async get(nodeId) {
+		const doc = await this.devices.findOne({ _id: nodeId });
+		return doc && this.toPublic(doc);
+	}
+
+	// Sessions overlapping [from, to], newest first, and how much of the
+	// window the node was connected. Defaults to the last 7 days.
+	async history(nodeId, { from, to, limit = 200 } = {}) {
+		const end = Number.isFinite(to) ? to : Date.now();
+		const start = Number.isFinite(from) ? from : end - 7 * DAY_MS;
+
+		const query = {
+			nodeId,
+			connectedAt: { $lte: end },
+			$or: [{ disconnectedAt: null }, { disconnectedAt: { $gte: start } }],
+		};
+		const sessions = await this.sessions
+			.find(query, { projection: { _id: 0 } })
+			.sort({ connectedAt: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 200, 1000))
+			.toArray();
+
+		// Uptime covers every session in the window, not just those listed.
+		// Open sessions count up to now; overlaps are merged so a replaced
+		// connection is not counted twice.
+		const spans = await this.sessions
+			.find(query, {
+				projection: { _id: 0, connectedAt: 1, disconnectedAt: 1 },
+			})
+			.sort({ connectedAt: 1 })
+			.toArray();
+		const intervals = spans
+			.map((s) => [
+				Math.max(s.connectedAt, start),
+				Math.min(s.disconnectedAt ?? Date.now(), end),
+			])
+			.filter(([a, b]) => b > a);
+
+		let uptimeMs = 0;
+		let cursor = start;
+		for (const [a, b] of intervals) {
+			if (b <= cursor) continue;
+			uptimeMs += b - Math.max(a, cursor);
+			cursor = b;
+		}
+
+		return {
+			nodeId,
+			from: start,
+			to: end,
+			uptimeMs,
+			uptime: end > start ? uptimeMs / (end - start) : null,
+			sessions,
+		};
+	}
+}
+
+module.exports = DeviceRegistry;
@@ -0,0 +1,67 @@
+// downsample.js
+// Reducing a series to a target number of points for charts
+
+// Largest-Triangle-Three-Buckets: keeps the points that preserve the visual
+// shape. points: [{ ts, value }] sorted by ts.
+function lttb(points, threshold) {
+	if (threshold >= points.length || threshold < 3) return points;
+
+	const sampled = [points[0]];
+	const every = (points.length - 2) / (threshold - 2);
+	let a = 0;
+
+	for (let i = 0; i < threshold - 2; i++) {
+		// Average of the next bucket is the third triangle corner
+		const nextStart = Math.floor((i + 1) * every) + 1;
+		const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, points.length);
+		let avgTs = 0;
+		let avgValue = 0;
+		for (let j = nextStart; j < nextEnd; j++) {
+			avgTs += points[j].ts;
+			avgValue += points[j].value;
+		}
+		avgTs /= nextEnd - nextStart;
+		avgValue /= nextEnd - nextStart;
+
+		// Pick the point in this bucket with the largest triangle area
+		const start = Math.floor(i * every) + 1;
+		const end = Math.floor((i + 1) * every) + 1;
+		let maxArea = -1;
+		let next = start;
+		for (let j = start; j < end; j++) {
+			const area = Math.abs(
+				(points[a].ts - avgTs) * (points[j].value - points[a].value) -
+					(points[a].ts - points[j].ts) * (avgValue - points[a].value),
+			);
+			if (area > maxArea) {
+				maxArea = area;
+				next = j;
+			}
+		}
+
+		sampled.push(points[next]);
+		a = next;
+	}
+
+	sampled.push(points[points.length - 1]);
+	return sampled;
+}
+
+// Nearest-rank percentile of an unsorted list of numbers
+function percentile(values, p) {
+	if (values.length === 0) return null;
+	const sorted = [...values].sort((x, y) => x - y);
+	const rank = Math.ceil((p / 100) * sorted.length);
+	return sorted[Math.max(rank - 1, 0)];
+}
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "30s", "15m", "1h", "1d" -> milliseconds, or null when malformed
+function parseBucket(spec) {
+	const match = /^(\d+)(s|m|h|d)$/.exec(String(spec));
+	if (!match || Number(match[1]) === 0) return null;
+	return Number(match[1]) * UNITS[match[2]];
+}
+
+module.exports = { lttb, percentile, parseBucket };
@@ -0,0 +1,150 @@
+// exporter.js
+// Streams raw readings as CSV or NDJSON straight from a Mongo cursor
+const zlib = require("node:zlib");
+const { Transform } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { READINGS } = require("./readings-store");
+
+// Column name -> value of a reading document; `time` is formatted per export
+const COLUMNS = {
+	time: null,
+	nodeId: (doc) => doc.nodeId,
+	seq: (doc) => doc.seq,
+	ts: (doc) => doc.ts,
+	receivedAt: (doc) => doc.receivedAt,
+	level: (doc) =>
+		doc.payload?.level ??
+		doc.payload?.avg ??
+		doc.payload?.db ??
+		doc.payload?.noise,
+	avg: (doc) => doc.payload?.avg,
+	min: (doc) => doc.payload?.min,
+	max: (doc) => doc.payload?.max,
+	current: (doc) => doc.payload?.current,
+	db: (doc) => doc.payload?.db,
+	noise: (doc) => doc.payload?.noise,
+	bootId: (doc) => doc.bootId,
+	deviceSeq: (doc) => doc.deviceSeq,
+};
+
+const DEFAULT_COLUMNS = ["time", "nodeId", "seq", "level", "min", "max", "avg"];
+const FORMATS = ["csv", "ndjson"];
+
+const csvField = (value) => {
+	if (value === undefined || value === null) return "";
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ReadingExporter {
+	constructor(db) {
+		this.readings = db.collection(READINGS);
+		this.formatters = new Map();
+	}
+
+	// ISO 8601 in the given zone with its offset: 2024-01-15T15:30:00.000+05:30
+	formatTime(ms, timeZone) {
+		if (!this.formatters.has(timeZone)) {
+			this.formatters.set(
+				timeZone,
+				new Intl.DateTimeFormat("en-CA", {
+					timeZone,
+					year: "numeric",
+					month: "2-digit",
+					day: "2-digit",
+					hour: "2-digit",
+					minute: "2-digit",
+					second: "2-digit",
+					hourCycle: "h23",
+					timeZoneName: "longOffset",
+				}),
+			);
+		}
+
+		const parts = Object.fromEntries(
+			this.formatters
+				.get(timeZone)
+				.formatToParts(ms)
+				.map((part) => [part.type, part.value]),
+		);
+		const offset = parts.timeZoneName.replace("GMT", "") || "+00:00";
+		const millis = String(ms % 1000).padStart(3, "0");
+		return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${millis}${offset}`;
+	}
+
+	// Throws on unknown columns; returns the default set when none are given
+	parseColumns(spec) {
+		if (!spec) return DEFAULT_COLUMNS;
+		const columns = spec.split(",").map((name) => name.trim());
+		const unknown = columns.filter((name) => !(name in COLUMNS));
+		if (unknown.length > 0) {
+			throw new Error(
+				`Unknown columns: ${unknown.join(", ")} (use ${Object.keys(COLUMNS).join(", ")})`,
+			);
+		}
+		return columns;
+	}
+
+	// nodeIds: one or more nodes; rows are ordered by node, then time
+	async stream(
+		output,
+		{ nodeIds, from, to, columns, format = "csv", timezone = "UTC", gzip },
+	) {
+		const cursor = this.readings
+			.find(
+				{ nodeId: { $in: nodeIds }, ts: { $gte: from, $lte: to } },
+				{ projection: { _id: 0 } },
+			)
+			.sort({ nodeId: 1, ts: 1 })
+			.allowDiskUse(true);
+
+		const row = (doc) =>
+			Object.fromEntries(
+				columns.map((name) => [
+					name,
+					name === "time"
+						? this.formatTime(doc.ts, timezone)
+						: COLUMNS[name](doc),
+				]),
+			);
+
+		let header = format === "csv";
+		const encode = new Transform({
+			writableObjectMode: true,
+			transform(doc, encoding, callback) {
+				const values = row(doc);
+				let chunk;
+				if (format === "csv") {
+					chunk = `${columns.map((name) => csvField(values[name])).join(",")}\n`;
+					if (header) {
+						chunk = `${columns.join(",")}\n${chunk}`;
+						header = false;
+					}
+				} else {
+					chunk = `${JSON.stringify(values)}\n`;
+				}
+				callback(null, chunk);
+			},
+			flush(callback) {
+				// An empty CSV export still gets its header
+				callback(null, header ? `${columns.join(",")}\n` : undefined);
+			},
+		});
+
+		try {
+			await pipeline(
+				cursor.stream(),
+				encode,
+				...(gzip ? [zlib.createGzip()] : []),
+				output,
+			);
+		} finally {
+			await cursor.close();
+		}
+	}
+}
+
+ReadingExporter.COLUMNS = Object.keys(COLUMNS);
+ReadingExporter.FORMATS = FORMATS;
+
+module.exports = ReadingExporter;
@@ -0,0 +1,81 @@
+// import-readings.js
+// Loads an SD-card log (CSV or NDJSON, optionally .gz) for one node. Rows
+// already stored are skipped, so a file can be imported again safely.
+//
+//   node import-readings.js <nodeId> <file> [--format csv|ndjson] [--dry-run]
+require("dotenv").config();
+const fs = require("node:fs");
+const path = require("node:path");
+const readline = require("node:readline");
+const zlib = require("node:zlib");
+const { MongoClient } = require("mongodb");
+const { ensureReadingsCollection } = require("./readings-store");
+const ReadingImporter = require("./importer");
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args[index + 1];
+};
+
+const [nodeId, file] = args.filter(
+	(arg, i) => !arg.startsWith("--") && args[i - 1] !== "--format",
+);
+const dryRun = args.includes("--dry-run");
+// report.csv.gz -> csv
+const format =
+	option("--format") ||
+	path
+		.extname(path.basename(file || "", ".gz"))
+		.slice(1)
+		.toLowerCase();
+
+async function run() {
+	if (!nodeId || !file) {
+		console.error(
+			"Usage: node import-readings.js <nodeId> <file> [--format csv|ndjson] [--dry-run]",
+		);
+		process.exit(1);
+	}
+
+	const client = new MongoClient(
+		process.env.MONGO_URI || "mongodb://localhost:27017/timeseries_db",
+	);
+	await client.connect();
+	const db = client.db("timeseries_db");
+
+	try {
+		await ensureReadingsCollection(db);
+
+		let input = fs.createReadStream(file);
+		if (file.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+		const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+		const report = await new ReadingImporter(db).import(nodeId, lines, {
+			format,
+			filename: path.basename(file),
+			user: "cli",
+			dryRun,
+		});
+
+		console.log(
+			`${dryRun ? "🔎 Dry run:" : "✅ Imported"} ${report.accepted} accepted, ` +
+				`${report.duplicates} duplicate, ${report.rejected} rejected`,
+		);
+		for (const { line, error } of report.rejections) {
+			console.log(`   line ${line}: ${error}`);
+		}
+		if (report.rejected > report.rejections.length) {
+			console.log(
+				`   … and ${report.rejected - report.rejections.length} more`,
+			);
+		}
+	} finally {
+		await client.close();
+	}
+}
+
+run().catch((error) => {
+	console.error("❌ Import failed:", error);
+	process.exit(1);
+});
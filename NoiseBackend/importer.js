@@ -0,0 +1,321 @@
+// importer.js
+// Backfill of readings logged offline (SD card) from CSV or NDJSON files.
+// Rows are validated against the device payload schemas, deduplicated
+// against stored readings and given server sequence numbers the same way
+// as live ingest.
+const { ObjectId } = require("mongodb");
+const {
+	READINGS,
+	toReadingDoc,
+	nextSequence,
+	recordMetrics,
+} = require("./readings-store");
+const PayloadValidator = require("./payload-schemas");
+const SequenceTracker = require("./sequence-tracker");
+const RetentionService = require("./retention");
+
+const FORMATS = ["csv", "ndjson"];
+const PAYLOAD_FIELDS = [
+	"level",
+	"min",
+	"max",
+	"avg",
+	"current",
+	"threshold",
+	"db",
+	"noise",
+];
+// Non-numeric fields passed to the payload schemas
+const TEXT_FIELDS = ["unit"];
+// Older timestamps are treated as an unset device clock
+const MIN_TS = Date.UTC(2020, 0, 1);
+const MAX_FUTURE_MS = 5 * 60000;
+const BATCH_SIZE = 1000;
+// Rejected rows listed in the report; the count covers all of them
+const MAX_REJECTIONS_LISTED = 100;
+
+// One CSV line; quoted fields may contain commas and doubled quotes
+function splitCsvLine(line) {
+	const fields = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			fields.push(field);
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	fields.push(field);
+	return fields;
+}
+
+const present = (value) =>
+	value !== undefined && value !== null && value !== "";
+
+// Holder of an import's sequence claims; live ingest uses stream entry ids
+const owner = (report) => `import:${report.importId}`;
+
+class ReadingImporter {
+	constructor(db) {
+		this.db = db;
+		this.readings = db.collection(READINGS);
+		this.imports = db.collection("imports");
+		this.sequences = new SequenceTracker(db);
+		this.payloads = new PayloadValidator();
+		// Only for holding raw expiry; archiving runs in the ingest service
+		this.retention = new RetentionService(db);
+	}
+
+	// Epoch seconds or ms in `ts`, or an ISO string in `ts` or `time`
+	parseTimestamp(row) {
+		const value = present(row.ts) ? row.ts : row.time;
+		if (!present(value)) return null;
+
+		let ts = Number(value);
+		if (!Number.isFinite(ts)) ts = Date.parse(value);
+		else if (ts < 1e12) ts *= 1000;
+		return Number.isFinite(ts) ? Math.round(ts) : null;
+	}
+
+	// A raw row -> reading, or { error } explaining why it is rejected
+	toReading(nodeId, row, now) {
+		if (present(row.nodeId) && String(row.nodeId) !== nodeId) {
+			return { error: `nodeId ${row.nodeId} does not match ${nodeId}` };
+		}
+
+		const ts = this.parseTimestamp(row);
+		if (ts === null) return { error: "missing or invalid timestamp" };
+		if (ts < MIN_TS || ts > now + MAX_FUTURE_MS) {
+			return { error: `timestamp ${new Date(ts).toISOString()} out of range` };
+		}
+
+		// CSV values arrive as text; ones that are not numbers are left for
+		// the schema to reject
+		const data = {};
+		for (const field of PAYLOAD_FIELDS) {
+			if (!present(row[field])) continue;
+			const value = Number(row[field]);
+			data[field] = Number.isFinite(value) ? value : row[field];
+		}
+		for (const field of TEXT_FIELDS) {
+			if (present(row[field])) data[field] = String(row[field]);
+		}
+		if (present(row.v)) data.v = Number(row.v);
+
+		// ESP32 logs carry interval statistics; anything else is one level
+		const deviceType = present(row.avg) ? "esp32" : "socketio";
+		const { payload, schema, errors } = this.payloads.normalize(
+			deviceType,
+			data,
+		);
+		if (errors) return { error: errors.join("; ") };
+
+		// deviceSeq as exported, or seq + bootId as the firmware sends them
+		const deviceSeq = Number(present(row.deviceSeq) ? row.deviceSeq : row.seq);
+		const sequence =
+			present(row.bootId) && Number.isInteger(deviceSeq) && deviceSeq >= 0
+				? { bootId: String(row.bootId), deviceSeq }
+				: {};
+
+		return { reading: { nodeId, ts, payload, schema, ...sequence } };
+	}
+
+	// Yields { line, row } from CSV (header first) or NDJSON lines
+	async *rows(lines, format) {
+		let header = null;
+		let line = 0;
+
+		for await (const text of lines) {
+			line++;
+			const trimmed = text.trim();
+			if (!trimmed) continue;
+
+			if (format === "ndjson") {
+				try {
+					yield { line, row: JSON.parse(trimmed) };
+				} catch {
+					yield { line, error: "invalid JSON" };
+				}
+			} else if (!header) {
+				header = splitCsvLine(trimmed).map((name) => name.trim());
+			} else {
+				const values = splitCsvLine(trimmed);
+				yield {
+					line,
+					row: Object.fromEntries(header.map((name, i) => [name, values[i]])),
+				};
+			}
+		}
+	}
+
+	// lines: any (async) iterable of text lines. Returns the import report.
+	async import(nodeId, lines, { format, filename, user, dryRun = false } = {}) {
+		if (!FORMATS.includes(format)) {
+			throw new Error(`format must be one of: ${FORMATS.join(", ")}`);
+		}
+
+		const report = {
+			importId: new ObjectId(),
+			nodeId,
+			filename: filename || null,
+			format,
+			dryRun,
+			accepted: 0,
+			rejected: 0,
+			duplicates: 0,
+			rejections: [],
+			startedAt: new Date(),
+		};
+		const seen = new Set();
+		let batch = [];
+
+		const reject = (line, error) => {
+			report.rejected++;
+			if (report.rejections.length < MAX_REJECTIONS_LISTED) {
+				report.rejections.push({ line, error });
+			}
+		};
+
+		// Batches written before a failure stay, so the import is recorded
+		// either way with what it got through
+		try {
+			for await (const { line, row, error } of this.rows(lines, format)) {
+				if (error) {
+					reject(line, error);
+					continue;
+				}
+
+				const result = this.toReading(nodeId, row, Date.now());
+				if (result.error) {
+					reject(line, result.error);
+					continue;
+				}
+
+				// Repeats within the file
+				const { reading } = result;
+				const key = Number.isInteger(reading.deviceSeq)
+					? `${reading.bootId}:${reading.deviceSeq}`
+					: `ts:${reading.ts}`;
+				if (seen.has(key)) {
+					report.duplicates++;
+					continue;
+				}
+				seen.add(key);
+
+				batch.push(reading);
+				if (batch.length >= BATCH_SIZE) {
+					await this.writeBatch(nodeId, batch, report);
+					batch = [];
+				}
+			}
+			if (batch.length > 0) await this.writeBatch(nodeId, batch, report);
+			report.status = "completed";
+		} catch (error) {
+			report.status = "failed";
+			report.error = error.message;
+			// Claims of the batch that failed would hide a re-import; what
+			// was stored is still caught by the stored-readings check
+			if (!dryRun) await this.sequences.release([owner(report)]);
+			throw error;
+		} finally {
+			report.finishedAt = new Date();
+			if (!dryRun) {
+				const { importId, ...rest } = report;
+				await this.imports.insertOne({
+					_id: importId,
+					...rest,
+					by: user || null,
+				});
+			}
+		}
+		return report;
+	}
+
+	async writeBatch(nodeId, batch, report) {
+		// Already stored: same device sequence, or same timestamp for rows
+		// without one
+		// Imports claim sequence numbers like stream entries do, so a reading
+		// arriving live at the same time is not stored twice
+		const fresh = await this.sequences.filterNew(
+			nodeId,
+			batch,
+			report.dryRun ? null : () => owner(report),
+		);
+		const stored = new Set(
+			(
+				await this.readings
+					.find(
+						{
+							nodeId,
+							ts: {
+								$in: fresh
+									.filter((r) => !Number.isInteger(r.deviceSeq))
+									.map((r) => r.ts),
+							},
+						},
+						{ projection: { _id: 0, ts: 1 } },
+					)
+					.toArray()
+			).map((doc) => doc.ts),
+		);
+		const readings = fresh
+			.filter((r) => Number.isInteger(r.deviceSeq) || !stored.has(r.ts))
+			.sort((a, b) => a.ts - b.ts);
+
+		report.duplicates += batch.length - readings.length;
+		report.accepted += readings.length;
+		if (report.dryRun || readings.length === 0) return;
+
+		const receivedAt = Date.now();
+		const seqBase = await nextSequence(this.db, nodeId, readings.length);
+		const documents = readings.map((reading, index) =>
+			toReadingDoc(
+				{
+					...reading,
+					seq: seqBase + index,
+					receivedAt,
+					meta: {
+						source: "import",
+						schema: reading.schema,
+						tsSource: "device",
+					},
+				},
+				{ importId: report.importId },
+			),
+		);
+
+		// Backfilled days may be past the raw TTL already
+		await this.retention.holdExpiry();
+		await this.readings.insertMany(documents, { ordered: false });
+		await this.sequences.record(nodeId, documents);
+		await recordMetrics(this.db, nodeId, documents.length);
+	}
+
+	async list({ nodeId, limit = 50 } = {}) {
+		return this.imports
+			.find(nodeId ? { nodeId } : {})
+			.sort({ startedAt: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 50, 500))
+			.toArray();
+	}
+}
+
+ReadingImporter.FORMATS = FORMATS;
+
+module.exports = ReadingImporter;
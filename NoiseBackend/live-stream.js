@@ -0,0 +1,88 @@
+// live-stream.js
+// Fan-out of live readings to dashboard rooms. Readings go only to sockets
+// that subscribed to the node (`node:<id>`) or its group (`group:<name>`);
+// the `summary` room gets throttled per-node aggregates for overviews.
+const { toEnergy, leqFromEnergy, round } = require("./acoustics");
+
+class LiveStream {
+	constructor(io, { summaryIntervalMs = 2000 } = {}) {
+		this.io = io;
+		this.summaryIntervalMs = summaryIntervalMs;
+		// nodeId -> group, kept in step with device configs
+		this.groups = new Map();
+		// nodeId -> aggregate of the readings since the last summary
+		this.pending = new Map();
+		this.timer = null;
+	}
+
+	start() {
+		this.timer = setInterval(() => this.flushSummary(), this.summaryIntervalMs);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+	}
+
+	setGroup(nodeId, group) {
+		if (group) this.groups.set(nodeId, group);
+		else this.groups.delete(nodeId);
+	}
+
+	// Room for a subscribe/unsubscribe request: a node id string (what the
+	// dashboard has always sent), { nodeId }, { group } or { summary: true }
+	roomFor(target) {
+		if (typeof target === "string" && target) return `node:${target}`;
+		if (!target || typeof target !== "object") return null;
+		if (typeof target.nodeId === "string" && target.nodeId) {
+			return `node:${target.nodeId}`;
+		}
+		if (typeof target.group === "string" && target.group) {
+			return `group:${target.group}`;
+		}
+		if (target.summary === true) return "summary";
+		return null;
+	}
+
+	publish(reading) {
+		const { nodeId, payload } = reading;
+		const group = this.groups.get(nodeId);
+		const rooms = [`node:${nodeId}`];
+		if (group) rooms.push(`group:${group}`);
+		// A socket in both rooms still gets the reading once
+		this.io.to(rooms).emit("data:live", reading);
+
+		const level = payload?.level;
+		if (typeof level !== "number") return;
+
+		const entry = this.pending.get(nodeId) || {
+			count: 0,
+			energy: 0,
+			max: level,
+		};
+		entry.count++;
+		entry.energy += toEnergy(level);
+		entry.max = Math.max(entry.max, level);
+		entry.level = level;
+		entry.ts = reading.ts;
+		this.pending.set(nodeId, entry);
+	}
+
+	flushSummary() {
+		if (this.pending.size === 0) return;
+
+		const nodes = Array.from(this.pending, ([nodeId, entry]) => ({
+			nodeId,
+			group: this.groups.get(nodeId) || "",
+			ts: entry.ts,
+			level: entry.level,
+			leq: round(leqFromEnergy(entry.energy, entry.count)),
+			max: entry.max,
+			count: entry.count,
+		}));
+		this.pending.clear();
+
+		this.io.to("summary").emit("data:summary", { at: Date.now(), nodes });
+	}
+}
+
+module.exports = LiveStream;
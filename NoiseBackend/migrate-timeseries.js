@@ -0,0 +1,124 @@
+// migrate-timeseries.js
+// Copies readings from the old plain `timeseries` collection into the
+// time-series `readings` collection. Safe to stop and re-run: progress is
+// kept in `migrations` and already-copied documents are skipped.
+//
+//   node migrate-timeseries.js [--batch 1000] [--dry-run]
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+const {
+	READINGS,
+	LEGACY_READINGS,
+	ensureReadingsCollection,
+	toReadingDoc,
+} = require("./readings-store");
+
+const MIGRATION_ID = "timeseries-to-readings";
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args[index + 1];
+};
+
+const batchSize = parseInt(option("--batch"), 10) || 1000;
+const dryRun = args.includes("--dry-run");
+
+async function migrate() {
+	const client = new MongoClient(
+		process.env.MONGO_URI || "mongodb://localhost:27017/timeseries_db",
+	);
+	await client.connect();
+	const db = client.db("timeseries_db");
+
+	try {
+		const legacy = db.collection(LEGACY_READINGS);
+		const migrations = db.collection("migrations");
+		const total = await legacy.estimatedDocumentCount();
+
+		if (dryRun) {
+			console.log(
+				`🔎 ${total} documents in ${LEGACY_READINGS}; nothing written`,
+			);
+			return;
+		}
+
+		const readings = await ensureReadingsCollection(db);
+		await readings.createIndex({ legacyId: 1 });
+
+		const progress = await migrations.findOne({ _id: MIGRATION_ID });
+		let lastId = progress?.lastId ?? null;
+		let copied = progress?.copied ?? 0;
+
+		if (progress?.completedAt) {
+			console.log(`✅ Already migrated (${copied} documents)`);
+			return;
+		}
+		console.log(
+			lastId
+				? `▶️  Resuming after ${lastId} (${copied}/${total} copied)`
+				: `▶️  Copying ${total} documents to ${READINGS}`,
+		);
+
+		while (true) {
+			const batch = await legacy
+				.find(lastId ? { _id: { $gt: lastId } } : {})
+				.sort({ _id: 1 })
+				.limit(batchSize)
+				.toArray();
+			if (batch.length === 0) break;
+
+			// A batch written just before an interruption is not copied twice
+			const done = new Set(
+				(
+					await readings
+						.find(
+							{ legacyId: { $in: batch.map((doc) => doc._id) } },
+							{ projection: { _id: 0, legacyId: 1 } },
+						)
+						.toArray()
+				).map((doc) => doc.legacyId.toString()),
+			);
+
+			const documents = batch
+				.filter((doc) => !done.has(doc._id.toString()))
+				.filter((doc) => Number.isFinite(doc.ts ?? doc.receivedAt))
+				.map((doc) =>
+					toReadingDoc(doc, {
+						legacyId: doc._id,
+						...(doc.streamId ? { streamId: doc.streamId } : {}),
+					}),
+				);
+
+			if (documents.length > 0) {
+				await readings.insertMany(documents, { ordered: false });
+			}
+
+			lastId = batch[batch.length - 1]._id;
+			copied += documents.length;
+			await migrations.updateOne(
+				{ _id: MIGRATION_ID },
+				{ $set: { lastId, copied, updatedAt: new Date() } },
+				{ upsert: true },
+			);
+			console.log(`📦 ${copied}/${total}`);
+		}
+
+		await migrations.updateOne(
+			{ _id: MIGRATION_ID },
+			{ $set: { completedAt: new Date() } },
+			{ upsert: true },
+		);
+		console.log(
+			`✅ Copied ${copied} documents. Rollups are built by the ingest service; ` +
+				`drop ${LEGACY_READINGS} once the dashboard looks right.`,
+		);
+	} finally {
+		await client.close();
+	}
+}
+
+migrate().catch((error) => {
+	console.error("❌ Migration failed:", error);
+	process.exit(1);
+});
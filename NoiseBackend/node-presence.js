@@ -0,0 +1,158 @@
+// node-presence.js
+// Cluster-wide record of which socketio-server instance holds each node's
+// socket. Every instance keeps a heartbeat key alive; entries owned by an
+// instance whose heartbeat has expired are treated as disconnected.
+//
+//   presence:nodes            hash nodeId -> { instanceId, socketId, connectedAt, metadata, lastDataAt }
+//   presence:instance:<id>    heartbeat, expires after ttlMs
+
+// Remove a node's entry only if it still belongs to the given socket, so a
+// late disconnect cannot remove the node's newer connection elsewhere
+const UNREGISTER = `
+local current = redis.call("HGET", KEYS[1], ARGV[1])
+if not current then return 0 end
+if cjson.decode(current).socketId ~= ARGV[2] then return 0 end
+return redis.call("HDEL", KEYS[1], ARGV[1])
+`;
+
+// Refresh a node's entry unless it has since connected with another socket
+const REFRESH = `
+local current = redis.call("HGET", KEYS[1], ARGV[1])
+if current and cjson.decode(current).socketId ~= ARGV[2] then return 0 end
+return redis.call("HSET", KEYS[1], ARGV[1], ARGV[3])
+`;
+
+class NodePresence {
+	constructor(
+		redis,
+		{ instanceId, key = "presence:nodes", ttlMs = 30000, heartbeatMs = 10000 },
+	) {
+		this.redis = redis;
+		this.instanceId = instanceId;
+		this.key = key;
+		this.ttlMs = ttlMs;
+		this.heartbeatMs = heartbeatMs;
+		this.timer = null;
+
+		this.redis.defineCommand("presenceUnregister", {
+			numberOfKeys: 1,
+			lua: UNREGISTER,
+		});
+		this.redis.defineCommand("presenceRefresh", {
+			numberOfKeys: 1,
+			lua: REFRESH,
+		});
+	}
+
+	instanceKey(instanceId) {
+		return `presence:instance:${instanceId}`;
+	}
+
+	entry(info) {
+		return JSON.stringify({ ...info, instanceId: this.instanceId });
+	}
+
+	// nodes: () => Map of nodeId -> info for the sockets on this instance.
+	// onStale(nodeIds) is called with nodes whose instance went away.
+	start(nodes, onStale) {
+		const tick = () =>
+			this.heartbeat(nodes())
+				.then(() => this.sweep())
+				.then((stale) => stale.length > 0 && onStale(stale))
+				.catch((error) => console.error("Presence heartbeat failed:", error));
+
+		tick();
+		this.timer = setInterval(tick, this.heartbeatMs);
+	}
+
+	// Drops this instance's nodes straight away instead of waiting for the
+	// heartbeat to expire, so devices show up again as they reconnect
+	async stop(nodes) {
+		clearInterval(this.timer);
+		const pipeline = this.redis.pipeline();
+		for (const [nodeId, info] of nodes) {
+			pipeline.presenceUnregister(this.key, nodeId, info.socketId);
+		}
+		pipeline.del(this.instanceKey(this.instanceId));
+		await pipeline.exec();
+	}
+
+	// Refreshes lastDataAt of local nodes along with the heartbeat
+	async heartbeat(nodes) {
+		const pipeline = this.redis
+			.pipeline()
+			.set(this.instanceKey(this.instanceId), Date.now(), "PX", this.ttlMs);
+		for (const [nodeId, info] of nodes) {
+			pipeline.presenceRefresh(
+				this.key,
+				nodeId,
+				info.socketId,
+				this.entry(info),
+			);
+		}
+		await pipeline.exec();
+	}
+
+	// A new connection always wins over an older one elsewhere
+	async register(nodeId, info) {
+		await this.redis.hset(this.key, nodeId, this.entry(info));
+	}
+
+	async unregister(nodeId, socketId) {
+		return (
+			(await this.redis.presenceUnregister(this.key, nodeId, socketId)) > 0
+		);
+	}
+
+	// All entries whose instance is alive, as [{ nodeId, ...info }]
+	async list() {
+		const entries = await this.entries();
+		const alive = await this.aliveInstances(entries);
+		return entries.filter((node) => alive.has(node.instanceId));
+	}
+
+	async get(nodeId) {
+		const raw = await this.redis.hget(this.key, nodeId);
+		if (!raw) return null;
+
+		const node = { nodeId, ...JSON.parse(raw) };
+		const alive = await this.aliveInstances([node]);
+		return alive.has(node.instanceId) ? node : null;
+	}
+
+	// Removes entries of instances that stopped heartbeating; returns the
+	// node ids this call removed (each is reported by one instance only)
+	async sweep() {
+		const entries = await this.entries();
+		const alive = await this.aliveInstances(entries);
+		const stale = entries.filter((node) => !alive.has(node.instanceId));
+		if (stale.length === 0) return [];
+
+		const pipeline = this.redis.pipeline();
+		for (const node of stale) {
+			pipeline.presenceUnregister(this.key, node.nodeId, node.socketId);
+		}
+		const results = await pipeline.exec();
+		return stale
+			.filter((node, i) => results[i][1] > 0)
+			.map((node) => node.nodeId);
+	}
+
+	async entries() {
+		const hash = await this.redis.hgetall(this.key);
+		return Object.entries(hash).map(([nodeId, raw]) => ({
+			nodeId,
+			...JSON.parse(raw),
+		}));
+	}
+
+	async aliveInstances(entries) {
+		const ids = [...new Set(entries.map((node) => node.instanceId))];
+		if (ids.length === 0) return new Set();
+
+		const beats = await this.redis.mget(ids.map((id) => this.instanceKey(id)));
+		return new Set(ids.filter((id, i) => beats[i] !== null));
+	}
+}
+
+module.exports = NodePresence;
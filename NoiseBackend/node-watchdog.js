@@ -0,0 +1,120 @@
+// node-watchdog.js
+// Spots nodes that stay connected but stop reporting, e.g. when the
+// microphone task is stuck. A node is stale once it has been silent for
+// staleFactor sampling intervals (and at least minSilenceMs); it can then
+// be reset automatically after a grace period.
+const DEFAULT_INTERVAL_MS = 1000;
+
+class NodeWatchdog {
+	// nodes() gives this instance's nodeId -> info map; the watchdog keeps
+	// stale/staleSince/resetSentAt on those entries so presence lists them.
+	// expectedIntervals() resolves to nodeId -> sampling interval in ms;
+	// reset(nodeId) sends the reset command.
+	constructor(
+		io,
+		{
+			intervalMs = 10000,
+			staleFactor = 3,
+			minSilenceMs = 30000,
+			autoResetMs = 0,
+			nodes,
+			expectedIntervals,
+			reset,
+		},
+	) {
+		this.io = io;
+		this.intervalMs = intervalMs;
+		this.staleFactor = staleFactor;
+		this.minSilenceMs = minSilenceMs;
+		this.autoResetMs = autoResetMs;
+		this.nodes = nodes;
+		this.expectedIntervals = expectedIntervals;
+		this.reset = reset;
+		this.timer = null;
+	}
+
+	start() {
+		this.timer = setInterval(
+			() =>
+				this.check().catch((error) =>
+					console.error("Watchdog check failed:", error),
+				),
+			this.intervalMs,
+		);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+	}
+
+	silenceLimit(expectedMs) {
+		return Math.max(
+			(expectedMs || DEFAULT_INTERVAL_MS) * this.staleFactor,
+			this.minSilenceMs,
+		);
+	}
+
+	async check() {
+		const intervals = await this.expectedIntervals();
+		const now = Date.now();
+
+		for (const [nodeId, info] of this.nodes()) {
+			const expectedIntervalMs = intervals.get(nodeId) || DEFAULT_INTERVAL_MS;
+			const silentMs = now - (info.lastDataAt ?? info.connectedAt);
+			if (silentMs <= this.silenceLimit(expectedIntervalMs)) continue;
+
+			if (!info.stale) {
+				info.stale = true;
+				info.staleSince = now;
+				info.resetSentAt = null;
+				console.warn(`🐶 ${nodeId} is stale: no data for ${silentMs} ms`);
+				this.broadcast(nodeId, info, { silentMs, expectedIntervalMs });
+			}
+
+			// One reset per stale spell; the node must report to be reset again
+			if (
+				this.autoResetMs > 0 &&
+				!info.resetSentAt &&
+				now - info.staleSince >= this.autoResetMs
+			) {
+				info.resetSentAt = now;
+				try {
+					const command = await this.reset(nodeId);
+					console.warn(`🐶 ${nodeId} still stale, reset sent`);
+					this.broadcast(nodeId, info, {
+						silentMs,
+						expectedIntervalMs,
+						commandId: command?.commandId ?? null,
+					});
+				} catch (error) {
+					console.error(`Watchdog reset of ${nodeId} failed:`, error);
+				}
+			}
+		}
+	}
+
+	// Called with every accepted reading
+	seen(nodeId, info) {
+		if (!info?.stale) return;
+
+		info.stale = false;
+		info.staleSince = null;
+		info.resetSentAt = null;
+		console.log(`🐶 ${nodeId} is reporting again`);
+		this.broadcast(nodeId, info);
+	}
+
+	broadcast(nodeId, info, details = {}) {
+		this.io.to("clients").emit("device:health", {
+			nodeId,
+			status: info.stale ? "stale" : "ok",
+			at: Date.now(),
+			lastDataAt: info.lastDataAt,
+			staleSince: info.staleSince,
+			resetSentAt: info.resetSentAt,
+			...details,
+		});
+	}
+}
+
+module.exports = NodeWatchdog;
@@ -0,0 +1,465 @@
+// notifier.js
+// Delivers alerts to external channels (webhook, SMTP, MQTT) with retries
+const { ObjectId } = require("mongodb");
+const nodemailer = require("nodemailer");
+const mqtt = require("mqtt");
+
+// Required config keys per channel type
+const CHANNEL_TYPES = {
+	webhook: ["url"],
+	smtp: ["host", "port", "from", "to"],
+	mqtt: ["url", "topic"],
+};
+
+const EVENTS = ["raised", "resolved"];
+const SECRET_KEYS = ["password", "secret", "token"];
+const MASK = "********";
+// Deliveries not retrying or updated within this long past their next
+// attempt belong to a process that stopped
+const LEASE_SLACK_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class NotificationService {
+	constructor(db, options = {}) {
+		this.channels = db.collection("notification_channels");
+		this.deliveries = db.collection("notification_deliveries");
+		this.maxAttempts = options.maxAttempts || 5;
+		this.baseDelayMs = options.baseDelayMs || 2000;
+		this.maxDelayMs = options.maxDelayMs || 60000;
+		this.timeoutMs = options.timeoutMs || 10000;
+	}
+
+	async setupIndexes() {
+		await this.deliveries.createIndex({ createdAt: -1 });
+		await this.deliveries.createIndex({ channelId: 1, createdAt: -1 });
+		await this.deliveries.createIndex({ alertId: 1 });
+		await this.deliveries.createIndex({ status: 1, leaseUntil: 1 });
+	}
+
+	// Time by which the current attempt, or the wait before the next one,
+	// is over; a delivery still unfinished after it has been abandoned
+	leaseFor(delayMs = 0) {
+		return Date.now() + delayMs + this.timeoutMs + LEASE_SLACK_MS;
+	}
+
+	// Subscribe to an AlertEngine's raised/resolved events
+	attach(alertEngine) {
+		for (const event of EVENTS) {
+			alertEngine.on(event, (alert) =>
+				this.notify(event, alert).catch((error) =>
+					console.error(`Notification dispatch failed (${event}):`, error),
+				),
+			);
+		}
+	}
+
+	async notify(event, alert) {
+		const channels = await this.channels
+			.find({ enabled: true, events: event })
+			.toArray();
+
+		// Channels retry independently; a slow SMTP server must not delay MQTT
+		await Promise.all(
+			channels.map((channel) => this.deliver(channel, event, alert)),
+		);
+	}
+
+	async deliver(channel, event, alert) {
+		const maxAttempts = channel.maxAttempts || this.maxAttempts;
+		// The alert is kept so the delivery can resume after a restart
+		const delivery = {
+			_id: new ObjectId(),
+			channelId: channel._id,
+			channelName: channel.name,
+			type: channel.type,
+			event,
+			alertId: alert.alertId,
+			nodeId: alert.nodeId,
+			alert,
+			maxAttempts,
+			status: "pending",
+			attempts: [],
+			createdAt: Date.now(),
+			deliveredAt: null,
+			leaseUntil: this.leaseFor(),
+		};
+		await this.deliveries.insertOne(delivery);
+
+		return this.attempt(channel, delivery, 1);
+	}
+
+	// Tries attempts first..maxAttempts of a delivery
+	async attempt(channel, delivery, first) {
+		const { event, alert, maxAttempts } = delivery;
+
+		for (let attempt = first; attempt <= maxAttempts; attempt++) {
+			try {
+				await this.send(channel, event, alert);
+				await this.deliveries.updateOne(
+					{ _id: delivery._id },
+					{
+						$set: { status: "delivered", deliveredAt: Date.now() },
+						$push: { attempts: { at: Date.now(), error: null } },
+					},
+				);
+				console.log(`📣 ${event} alert sent via ${channel.name}`);
+				return true;
+			} catch (error) {
+				const last = attempt === maxAttempts;
+				// Exponential backoff: base, 2x base, 4x base ... capped
+				const delayMs = Math.min(
+					this.baseDelayMs * 2 ** (attempt - 1),
+					this.maxDelayMs,
+				);
+				await this.deliveries.updateOne(
+					{ _id: delivery._id },
+					{
+						$set: {
+							status: last ? "failed" : "retrying",
+							leaseUntil: this.leaseFor(delayMs),
+						},
+						$push: { attempts: { at: Date.now(), error: error.message } },
+					},
+				);
+
+				if (last) {
+					console.error(
+						`❌ Giving up on ${channel.name} after ${attempt} attempts:`,
+						error.message,
+					);
+					return false;
+				}
+
+				await sleep(delayMs);
+			}
+		}
+		return false;
+	}
+
+	// Retries wait in memory, so a restart leaves deliveries pending or
+	// retrying. Called on startup: each one whose lease ran out (a running
+	// instance keeps its own) resumes its remaining attempts, or is marked
+	// failed when its channel is gone or disabled. Resolves once the
+	// deliveries are claimed, not sent; returns { resumed, failed }.
+	async recover() {
+		const abandoned = () => ({
+			status: { $in: ["pending", "retrying"] },
+			$or: [
+				{ leaseUntil: { $lt: Date.now() } },
+				{ leaseUntil: { $exists: false } },
+			],
+		});
+		const candidates = await this.deliveries
+			.find(abandoned(), { projection: { _id: 1 } })
+			.toArray();
+
+		const result = { resumed: 0, failed: 0 };
+		for (const { _id } of candidates) {
+			// Claim it first so two instances starting together do not both resume it
+			const delivery = await this.deliveries.findOneAndUpdate(
+				{ _id, ...abandoned() },
+				{ $set: { leaseUntil: this.leaseFor() } },
+				{ returnDocument: "after" },
+			);
+			if (!delivery) continue;
+
+			const channel = await this.channels.findOne({ _id: delivery.channelId });
+			const next = delivery.attempts.length + 1;
+			const maxAttempts = delivery.maxAttempts || this.maxAttempts;
+			let reason = null;
+			if (!channel || !channel.enabled) reason = "Channel removed or disabled";
+			else if (!delivery.alert || next > maxAttempts) {
+				reason = "Interrupted by a restart";
+			}
+
+			if (reason) {
+				await this.deliveries.updateOne(
+					{ _id },
+					{ $set: { status: "failed", error: reason } },
+				);
+				result.failed++;
+				continue;
+			}
+
+			result.resumed++;
+			this.attempt(channel, { ...delivery, maxAttempts }, next).catch((error) =>
+				console.error(`Resuming delivery ${_id} failed:`, error),
+			);
+		}
+
+		if (result.resumed + result.failed > 0) {
+			console.log(
+				`📣 Interrupted notifications: ${result.resumed} resumed, ${result.failed} failed`,
+			);
+		}
+		return result;
+	}
+
+	send(channel, event, alert) {
+		switch (channel.type) {
+			case "webhook":
+				return this.sendWebhook(channel.config, event, alert);
+			case "smtp":
+				return this.sendEmail(channel.config, event, alert);
+			case "mqtt":
+				return this.sendMqtt(channel.config, event, alert);
+			default:
+				throw new Error(`Unknown channel type: ${channel.type}`);
+		}
+	}
+
+	formatMessage(event, alert) {
+		const verb = event === "raised" ? "ALERT" : "RESOLVED";
+		const subject = `[SilenceGuard] ${verb}: ${alert.nodeId} ${alert.ruleName}`;
+		const lines = [
+			`Node: ${alert.nodeId}`,
+			`Rule: ${alert.ruleName}`,
+			`${alert.metric}: ${alert.value} dB (threshold ${alert.threshold} dB, peak ${alert.peak} dB)`,
+			`Opened: ${new Date(alert.openedAt).toISOString()}`,
+		];
+		if (alert.resolvedAt) {
+			lines.push(`Resolved: ${new Date(alert.resolvedAt).toISOString()}`);
+		}
+		return { subject, text: lines.join("\n") };
+	}
+
+	async sendWebhook(config, event, alert) {
+		const response = await fetch(config.url, {
+			method: "POST",
+			headers: { "Content-Type": "application/json", ...config.headers },
+			body: JSON.stringify({ event, alert }),
+			signal: AbortSignal.timeout(this.timeoutMs),
+		});
+
+		if (!response.ok) {
+			throw new Error(`Webhook responded ${response.status}`);
+		}
+	}
+
+	async sendEmail(config, event, alert) {
+		const transport = nodemailer.createTransport({
+			host: config.host,
+			port: config.port,
+			secure: !!config.secure,
+			auth: config.user
+				? { user: config.user, pass: config.password }
+				: undefined,
+			connectionTimeout: this.timeoutMs,
+			// Local SMTP sinks used for testing rarely have valid certificates
+			tls: { rejectUnauthorized: config.rejectUnauthorized !== false },
+		});
+
+		const { subject, text } = this.formatMessage(event, alert);
+		try {
+			await transport.sendMail({
+				from: config.from,
+				to: config.to,
+				subject,
+				text,
+			});
+		} finally {
+			transport.close();
+		}
+	}
+
+	async sendMqtt(config, event, alert) {
+		const client = await mqtt.connectAsync(config.url, {
+			username: config.username,
+			password: config.password,
+			connectTimeout: this.timeoutMs,
+			reconnectPeriod: 0,
+		});
+
+		try {
+			await client.publishAsync(
+				config.topic.replace("{nodeId}", alert.nodeId),
+				JSON.stringify({ event, alert }),
+				{ qos: config.qos ?? 1 },
+			);
+		} finally {
+			await client.endAsync();
+		}
+	}
+
+	// Channels
+
+	validateChannel(input, partial = false) {
+		const channel = {};
+
+		if (input.name !== undefined) channel.name = String(input.name);
+		if (input.enabled !== undefined) channel.enabled = !!input.enabled;
+
+		if (input.type !== undefined || !partial) {
+			if (!CHANNEL_TYPES[input.type]) {
+				throw new Error(
+					`type must be one of: ${Object.keys(CHANNEL_TYPES).join(", ")}`,
+				);
+			}
+			channel.type = input.type;
+		}
+
+		if (input.events !== undefined) {
+			if (
+				!Array.isArray(input.events) ||
+				!input.events.every((e) => EVENTS.includes(e))
+			) {
+				throw new Error(`events must be a list of: ${EVENTS.join(", ")}`);
+			}
+			channel.events = input.events;
+		}
+
+		if (input.maxAttempts !== undefined) {
+			if (!Number.isInteger(input.maxAttempts) || input.maxAttempts < 1) {
+				throw new Error("maxAttempts must be a positive integer");
+			}
+			channel.maxAttempts = input.maxAttempts;
+		}
+
+		if (input.config !== undefined || !partial) {
+			const config = input.config || {};
+			const type = channel.type || input.type;
+			const missing = (CHANNEL_TYPES[type] || []).filter(
+				(key) => config[key] === undefined || config[key] === "",
+			);
+			if (missing.length > 0) {
+				throw new Error(`config is missing: ${missing.join(", ")}`);
+			}
+			channel.config = config;
+		}
+
+		return channel;
+	}
+
+	// Secrets and every header value (Authorization, API keys) are masked
+	toPublic(doc) {
+		const { _id, config = {}, ...rest } = doc;
+		const masked = Object.fromEntries(
+			Object.entries(config).map(([key, value]) => [
+				key,
+				SECRET_KEYS.includes(key) && value ? MASK : value,
+			]),
+		);
+		if (config.headers && typeof config.headers === "object") {
+			masked.headers = Object.fromEntries(
+				Object.entries(config.headers).map(([name, value]) => [
+					name,
+					value ? MASK : value,
+				]),
+			);
+		}
+		return { channelId: _id.toString(), ...rest, config: masked };
+	}
+
+	async listChannels() {
+		const docs = await this.channels.find({}).sort({ name: 1 }).toArray();
+		return docs.map((doc) => this.toPublic(doc));
+	}
+
+	async createChannel(input, createdBy = null) {
+		const channel = {
+			name: input.type,
+			enabled: true,
+			events: EVENTS,
+			...this.validateChannel(input),
+			createdAt: Date.now(),
+			createdBy,
+		};
+
+		const { insertedId } = await this.channels.insertOne(channel);
+		return this.toPublic({ ...channel, _id: insertedId });
+	}
+
+	async updateChannel(channelId, input, updatedBy = null) {
+		if (!ObjectId.isValid(channelId)) return null;
+
+		const existing = await this.channels.findOne({
+			_id: new ObjectId(channelId),
+		});
+		if (!existing) return null;
+
+		const changes = this.validateChannel(
+			{ type: existing.type, ...input },
+			true,
+		);
+
+		// The API hands out masked secrets; sending one back keeps the stored value
+		if (changes.config) {
+			for (const key of SECRET_KEYS) {
+				if (changes.config[key] === MASK) {
+					changes.config[key] = existing.config?.[key];
+				}
+			}
+			const headers = changes.config.headers;
+			if (headers && typeof headers === "object") {
+				changes.config.headers = Object.fromEntries(
+					Object.entries(headers).map(([name, value]) => [
+						name,
+						value === MASK ? existing.config?.headers?.[name] : value,
+					]),
+				);
+			}
+		}
+		const doc = await this.channels.findOneAndUpdate(
+			{ _id: existing._id },
+			{ $set: { ...changes, updatedAt: Date.now(), updatedBy } },
+			{ returnDocument: "after" },
+		);
+		return this.toPublic(doc);
+	}
+
+	async deleteChannel(channelId) {
+		if (!ObjectId.isValid(channelId)) return false;
+
+		const result = await this.channels.deleteOne({
+			_id: new ObjectId(channelId),
+		});
+		return result.deletedCount > 0;
+	}
+
+	// Send a synthetic alert through one channel; shows up in the delivery log
+	async testChannel(channelId) {
+		if (!ObjectId.isValid(channelId)) return null;
+
+		const channel = await this.channels.findOne({
+			_id: new ObjectId(channelId),
+		});
+		if (!channel) return null;
+
+		const now = Date.now();
+		return this.deliver({ ...channel, maxAttempts: 1 }, "raised", {
+			alertId: `test-${now}`,
+			ruleName: "Test notification",
+			nodeId: "TEST",
+			metric: "avg",
+			value: 0,
+			threshold: 0,
+			peak: 0,
+			openedAt: now,
+			resolvedAt: null,
+		});
+	}
+
+	async listDeliveries({ channelId, alertId, status, limit = 100 } = {}) {
+		const query = {};
+		if (channelId && ObjectId.isValid(channelId)) {
+			query.channelId = new ObjectId(channelId);
+		}
+		if (alertId) query.alertId = alertId;
+		if (status) query.status = status;
+
+		const docs = await this.deliveries
+			.find(query)
+			.sort({ createdAt: -1 })
+			.limit(Math.min(parseInt(limit, 10) || 100, 1000))
+			.toArray();
+
+		return docs.map(({ _id, channelId: id, ...rest }) => ({
+			deliveryId: _id.toString(),
+			channelId: id.toString(),
+			...rest,
+		}));
+	}
+}
+
+module.exports = NotificationService;
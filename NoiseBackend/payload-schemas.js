@@ -0,0 +1,172 @@
+// payload-schemas.js
+// Versioned schemas for what each device type sends, and normalisation of
+// accepted payloads into the canonical reading shape:
+//   { level, min?, max?, avg, current?, threshold?, unit? }
+// `level` is the one value in dB charts and analytics use.
+const Ajv = require("ajv");
+
+// Sound levels a sensor can report, in dB
+const DB = { type: "number", minimum: 0, maximum: 200 };
+const TIMESTAMP = { type: ["number", "string"] };
+const SEQUENCE = {
+	seq: { type: ["integer", "string"] },
+	bootId: { type: ["string", "integer"] },
+};
+const COMMON = {
+	// Schema version; payloads without one are version 1
+	v: { type: "integer", minimum: 1 },
+	deviceId: { type: "string" },
+	ts: TIMESTAMP,
+	uptime: { type: "number", minimum: 0 },
+	ntpOffset: { type: "number" },
+	unit: { enum: ["dB", "dBA", "dBC"] },
+	...SEQUENCE,
+};
+
+// Spot values may round a little outside the interval's min/max
+const ROUNDING_DB = 0.5;
+
+// deviceType -> version -> { schema, normalize }
+const SCHEMAS = {
+	// ESP32 sound meter, /save event: statistics over its reporting interval
+	esp32: {
+		1: {
+			schema: {
+				type: "object",
+				properties: {
+					...COMMON,
+					min: DB,
+					max: DB,
+					avg: DB,
+					current: DB,
+					threshold: { type: "number", minimum: 0, maximum: 140 },
+				},
+				required: ["avg"],
+			},
+			normalize: (data) => ({
+				level: data.avg,
+				min: data.min,
+				max: data.max,
+				avg: data.avg,
+				current: data.current,
+				threshold: data.threshold,
+				unit: data.unit,
+			}),
+		},
+	},
+	// Generic Socket.IO nodes (`data` / `bulk:data`) reporting one value
+	// as db or noise
+	socketio: {
+		1: {
+			schema: {
+				type: "object",
+				properties: {
+					...COMMON,
+					db: DB,
+					noise: DB,
+					level: DB,
+					min: DB,
+					max: DB,
+					avg: DB,
+					current: DB,
+				},
+				anyOf: [
+					{ required: ["level"] },
+					{ required: ["db"] },
+					{ required: ["noise"] },
+					{ required: ["avg"] },
+				],
+			},
+			normalize: (data) => {
+				const level = data.level ?? data.db ?? data.noise ?? data.avg;
+				return {
+					level,
+					min: data.min,
+					max: data.max,
+					avg: data.avg ?? level,
+					current: data.current ?? data.db ?? data.noise,
+					unit: data.unit,
+				};
+			},
+		},
+	},
+};
+
+class PayloadValidator {
+	constructor() {
+		const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+		this.validators = new Map();
+		for (const [type, versions] of Object.entries(SCHEMAS)) {
+			for (const [version, { schema, normalize }] of Object.entries(versions)) {
+				this.validators.set(`${type}@${version}`, {
+					validate: ajv.compile(schema),
+					normalize,
+				});
+			}
+		}
+	}
+
+	// Returns { payload, schema } for an accepted payload, otherwise
+	// { reason, errors } where reason is a short code for counting
+	normalize(deviceType, data) {
+		if (!data || typeof data !== "object" || Array.isArray(data)) {
+			return { reason: "format", errors: ["payload must be a JSON object"] };
+		}
+
+		const schema = `${deviceType}@${data.v ?? 1}`;
+		const entry = this.validators.get(schema);
+		if (!entry) {
+			return {
+				reason: "version",
+				errors: [`Unknown payload schema ${schema}`],
+			};
+		}
+
+		if (!entry.validate(data)) {
+			const [first] = entry.validate.errors;
+			return {
+				reason: first.keyword,
+				errors: entry.validate.errors.map(
+					(err) => `${err.instancePath || "payload"} ${err.message}`,
+				),
+			};
+		}
+
+		const payload = Object.fromEntries(
+			Object.entries(entry.normalize(data)).filter(
+				([, value]) => value !== undefined,
+			),
+		);
+
+		const { min, max } = payload;
+		if (min !== undefined && max !== undefined) {
+			const outside = ["avg", "current"].filter(
+				(key) =>
+					payload[key] !== undefined &&
+					(payload[key] < min - ROUNDING_DB ||
+						payload[key] > max + ROUNDING_DB),
+			);
+			if (min > max || outside.length > 0) {
+				return {
+					reason: "consistency",
+					errors: [
+						min > max
+							? `min ${min} is above max ${max}`
+							: `${outside.join(", ")} outside min/max`,
+					],
+				};
+			}
+		}
+
+		return { payload, schema };
+	}
+}
+
+PayloadValidator.SCHEMAS = Object.fromEntries(
+	Object.entries(SCHEMAS).map(([type, versions]) => [
+		type,
+		Object.keys(versions).map(Number),
+	]),
+);
+
+module.exports = PayloadValidator;
@@ -0,0 +1,165 @@
+// reading-stream.js
+// Redis Stream carrying readings from the Socket.IO server to ingest workers.
+// Every worker joins one consumer group, so each entry is handled once.
+const DEFAULT_STREAM = "ingest:readings";
+const DEFAULT_GROUP = "ingest";
+
+// XINFO replies are flat [key, value, key, value ...] arrays
+const toObject = (flat) => {
+	const obj = {};
+	for (let i = 0; i < flat.length; i += 2) obj[flat[i]] = flat[i + 1];
+	return obj;
+};
+
+// Orders stream ids ("<ms>-<seq>")
+const compareIds = (a, b) => {
+	const [aMs, aSeq] = a.split("-").map(Number);
+	const [bMs, bSeq] = b.split("-").map(Number);
+	return aMs - bMs || aSeq - bSeq;
+};
+
+// [[id, [field, value ...]], ...] -> [{ id, nodeId, data }]
+const toEntries = (raw) =>
+	(raw || [])
+		.filter(([, fields]) => fields)
+		.map(([id, fields]) => ({ id, ...toObject(fields) }));
+
+class ReadingStream {
+	constructor(redis, { key = DEFAULT_STREAM, group = DEFAULT_GROUP } = {}) {
+		this.redis = redis;
+		this.key = key;
+		this.group = group;
+	}
+
+	// Queue a reading; pass a pipeline to batch several appends
+	append(nodeId, reading, client = this.redis) {
+		return client.xadd(
+			this.key,
+			"*",
+			"nodeId",
+			nodeId,
+			"data",
+			typeof reading === "string" ? reading : JSON.stringify(reading),
+		);
+	}
+
+	async ensureGroup() {
+		try {
+			// "0" so entries written before the first worker started are read too
+			await this.redis.xgroup("CREATE", this.key, this.group, "0", "MKSTREAM");
+		} catch (error) {
+			if (!String(error.message).includes("BUSYGROUP")) throw error;
+		}
+	}
+
+	// New entries for this consumer; blocks up to blockMs when none are waiting.
+	// Use a dedicated connection: BLOCK holds it for the whole wait.
+	async read(client, consumer, count, blockMs) {
+		const reply = await client.xreadgroup(
+			"GROUP",
+			this.group,
+			consumer,
+			"COUNT",
+			count,
+			"BLOCK",
+			blockMs,
+			"STREAMS",
+			this.key,
+			">",
+		);
+		return reply ? toEntries(reply[0][1]) : [];
+	}
+
+	// Take over entries other consumers read but never acknowledged
+	// (crashed or stuck workers)
+	async claimStale(consumer, minIdleMs, count) {
+		const [, raw] = await this.redis.xautoclaim(
+			this.key,
+			this.group,
+			consumer,
+			minIdleMs,
+			"0-0",
+			"COUNT",
+			count,
+		);
+		return toEntries(raw);
+	}
+
+	// id -> number of times the entry has been delivered
+	async deliveryCounts(ids) {
+		const pipeline = this.redis.pipeline();
+		for (const id of ids) {
+			pipeline.xpending(this.key, this.group, id, id, 1);
+		}
+
+		const counts = new Map();
+		for (const [error, pending] of await pipeline.exec()) {
+			if (error || pending.length === 0) continue;
+			const [id, , , deliveries] = pending[0];
+			counts.set(id, deliveries);
+		}
+		return counts;
+	}
+
+	async ack(ids) {
+		if (ids.length === 0) return 0;
+		return this.redis.xack(this.key, this.group, ...ids);
+	}
+
+	// Acknowledged entries stay in the stream until trimmed. Drops everything
+	// older than both the oldest unacknowledged entry and the last entry handed
+	// out, so nothing a consumer still needs goes. Approximate trimming only
+	// removes whole internal nodes, leaving a few handled entries behind.
+	// Returns the number of entries removed.
+	async trim() {
+		const group = await this.groupInfo();
+		if (!group) return 0;
+
+		let minId = group["last-delivered-id"];
+		const [pending, oldestPending] = await this.redis.xpending(
+			this.key,
+			this.group,
+		);
+		if (pending > 0 && compareIds(oldestPending, minId) < 0) {
+			minId = oldestPending;
+		}
+		return this.redis.xtrim(this.key, "MINID", "~", minId);
+	}
+
+	// XINFO GROUPS entry of our group, or null before it exists
+	async groupInfo() {
+		try {
+			const groups = (await this.redis.xinfo("GROUPS", this.key)).map(toObject);
+			return groups.find((g) => g.name === this.group) || null;
+		} catch (error) {
+			// No stream yet: nothing has been queued since the last reset
+			if (!String(error.message).includes("no such key")) throw error;
+			return null;
+		}
+	}
+
+	// Backlog and per-consumer state for monitoring
+	async status() {
+		const length = await this.redis.xlen(this.key);
+		const group = await this.groupInfo();
+		const consumers = group
+			? (await this.redis.xinfo("CONSUMERS", this.key, this.group))
+					.map(toObject)
+					.map(({ name, pending, idle }) => ({ name, pending, idleMs: idle }))
+			: [];
+
+		return {
+			stream: this.key,
+			group: this.group,
+			length,
+			// Entries not yet delivered to any consumer (Redis >= 7)
+			lag: group?.lag ?? null,
+			// Delivered but not yet acknowledged
+			pending: group?.pending ?? 0,
+			lastDeliveredId: group?.["last-delivered-id"] ?? null,
+			consumers,
+		};
+	}
+}
+
+module.exports = ReadingStream;
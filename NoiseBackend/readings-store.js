@@ -0,0 +1,99 @@
+// readings-store.js
+// The MongoDB time-series collection holding raw readings
+const READINGS = "readings";
+// Plain collection used before the time-series store; read by the migration
+const LEGACY_READINGS = "timeseries";
+
+// Level in dB of a raw reading: the canonical `level`, or for readings
+// stored before payload normalisation avg (ESP32) or db/noise
+const LEVEL = {
+	$ifNull: [
+		"$payload.level",
+		{
+			$ifNull: ["$payload.avg", { $ifNull: ["$payload.db", "$payload.noise"] }],
+		},
+	],
+};
+
+// Time-series collections cannot have unique indexes, so duplicates are
+// filtered before insert (stream ids, device sequence numbers)
+async function ensureReadingsCollection(db) {
+	const existing = await db
+		.listCollections({ name: READINGS }, { nameOnly: true })
+		.toArray();
+
+	if (existing.length === 0) {
+		await db.createCollection(READINGS, {
+			timeseries: {
+				timeField: "time",
+				metaField: "nodeId",
+				granularity: "seconds",
+			},
+		});
+		console.log(`🗄️  Created time-series collection ${READINGS}`);
+	}
+
+	const collection = db.collection(READINGS);
+	await collection.createIndex({ nodeId: 1, ts: 1 });
+	await collection.createIndex({ nodeId: 1, receivedAt: 1 });
+	await collection.createIndex({ nodeId: 1, seq: 1 });
+	await collection.createIndex({ streamId: 1 });
+	// Lets the rollup job find what arrived since its last run
+	await collection.createIndex({ ingestedAt: 1 });
+	return collection;
+}
+
+// Shape a reading for the time-series collection; `time` is the measurement
+// time as a BSON date, the numeric fields stay for existing API queries
+function toReadingDoc(reading, fields = {}) {
+	const ts = reading.ts ?? reading.receivedAt;
+	return {
+		time: new Date(ts),
+		nodeId: reading.nodeId,
+		seq: reading.seq,
+		ts,
+		receivedAt: reading.receivedAt || ts,
+		payload: reading.payload,
+		meta: reading.meta || {},
+		...(Number.isInteger(reading.deviceSeq)
+			? { bootId: reading.bootId, deviceSeq: reading.deviceSeq }
+			: {}),
+		ingestedAt: Date.now(),
+		...fields,
+	};
+}
+
+// Reserve `count` consecutive server sequence numbers for a node and return
+// the first. Live ingest and imports share the counter.
+async function nextSequence(db, nodeId, count) {
+	const result = await db
+		.collection("counters")
+		.findOneAndUpdate(
+			{ _id: nodeId },
+			{ $inc: { seq: count } },
+			{ upsert: true, returnDocument: "after" },
+		);
+
+	return result.seq - count + 1;
+}
+
+// Counters live in Mongo so they survive restarts and raw data expiry
+async function recordMetrics(db, nodeId, count) {
+	await db
+		.collection("node_metrics")
+		.updateOne(
+			{ _id: nodeId },
+			{ $inc: { totalRecords: count }, $set: { lastFlush: Date.now() } },
+			{ upsert: true },
+		);
+}
+
+module.exports = {
+	READINGS,
+	LEGACY_READINGS,
+	LEVEL,
+	ensureReadingsCollection,
+	toReadingDoc,
+	nextSequence,
+	recordMetrics,
+};
@@ -0,0 +1,310 @@
+// retention.js
+// Retention per tier: raw readings expire through the time-series TTL after
+// being archived to gzipped NDJSON files; rollups are trimmed by age.
+//   retention_state  raw           { cutoff, startedAt, holdUntil }
+//                    expiry-lock   { owner, until }
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { READINGS } = require("./readings-store");
+
+const DAY_MS = 86400000;
+// Days are archived this long before the TTL can remove them
+const ARCHIVE_LEAD_MS = 2 * DAY_MS;
+// The TTL keeps running while this service is down, so expiry is only on
+// while the archive is at least this far ahead of it: the service may be
+// down for that long without unarchived readings expiring. With raw
+// retention under two days the archive cannot get that far ahead and raw
+// readings are kept.
+const EXPIRY_MARGIN_MS = DAY_MS;
+// Imports keep expiry off until a run starting this long after their last
+// write has archived what they wrote
+const IMPORT_HOLD_MS = 10 * 60000;
+const LOCK_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const startOfDay = (ms) => ms - (ms % DAY_MS);
+const dayName = (ms) => new Date(ms).toISOString().slice(0, 10);
+// Node ids become directory names
+const safeName = (nodeId) => String(nodeId).replace(/[^A-Za-z0-9_.-]/g, "_");
+
+class RetentionService {
+	// rawDays / rollupDays[level]: 0 keeps data forever
+	constructor(
+		db,
+		{ rawDays = 0, rollupDays = {}, archiveDir, intervalMs = 3600000 } = {},
+	) {
+		this.db = db;
+		this.readings = db.collection(READINGS);
+		this.archives = db.collection("archives");
+		this.state = db.collection("retention_state");
+		this.rawDays = rawDays;
+		this.rollupDays = rollupDays;
+		this.archiveDir = archiveDir;
+		this.intervalMs = intervalMs;
+		this.timer = null;
+		this.running = null;
+		this.expiryEnabled = null;
+	}
+
+	async setup() {
+		await this.archives.createIndex({ nodeId: 1, day: 1 });
+	}
+
+	// MongoDB 6 only deletes from time-series collections by metaField, so
+	// raw expiry is left to the collection's TTL
+	async setExpiry(enabled) {
+		await this.db.command({
+			collMod: READINGS,
+			expireAfterSeconds: enabled ? this.rawDays * 86400 : "off",
+		});
+	}
+
+	// Raw expiry may be on only when every reading within EXPIRY_MARGIN_MS of
+	// the TTL is archived (archived covers days before `cutoff`, for readings
+	// ingested before `startedAt`) and no import wrote after that run began
+	static expiryAllowed(rawDays, state, now = Date.now()) {
+		if (!(rawDays > 0) || !state?.cutoff) return false;
+		const horizon = now - rawDays * DAY_MS;
+		return (
+			state.cutoff - horizon >= EXPIRY_MARGIN_MS &&
+			(state.holdUntil ?? 0) <= state.startedAt
+		);
+	}
+
+	// Expiry changes and import holds run under one lock, so an import's
+	// hold cannot land between a decision to resume and the resume itself
+	async withExpiryLock(fn) {
+		const owner = crypto.randomUUID();
+		for (;;) {
+			const now = Date.now();
+			try {
+				await this.state.updateOne(
+					{ _id: "expiry-lock", until: { $lt: now } },
+					{ $set: { owner, until: now + LOCK_MS } },
+					{ upsert: true },
+				);
+				break;
+			} catch (error) {
+				// Held by someone else: the upsert collides with their document
+				if (error.code !== 11000) throw error;
+				await sleep(200);
+			}
+		}
+
+		try {
+			return await fn();
+		} finally {
+			await this.state.deleteOne({ _id: "expiry-lock", owner });
+		}
+	}
+
+	// Turns raw expiry on or off from the archive state; returns whether on
+	async syncExpiry() {
+		return this.withExpiryLock(async () => {
+			const state = await this.state.findOne({ _id: "raw" });
+			const enabled = RetentionService.expiryAllowed(this.rawDays, state);
+			await this.setExpiry(enabled);
+
+			if (this.rawDays > 0 && enabled !== this.expiryEnabled) {
+				console.log(
+					enabled
+						? `▶️  Raw expiry on, archived up to ${dayName(state.cutoff)}`
+						: "⏸️  Raw expiry paused until the archive catches up",
+				);
+			}
+			this.expiryEnabled = enabled;
+			return enabled;
+		});
+	}
+
+	// Called by imports before each write: rows older than the TTL would
+	// otherwise expire before the next run archives them
+	async holdExpiry() {
+		await this.withExpiryLock(async () => {
+			await this.state.updateOne(
+				{ _id: "raw" },
+				{ $max: { holdUntil: Date.now() + IMPORT_HOLD_MS } },
+				{ upsert: true },
+			);
+			await this.setExpiry(false);
+		});
+	}
+
+	start() {
+		const tick = () => {
+			// A long run must not leave expiry on as the horizon moves
+			if (this.running) {
+				this.syncExpiry().catch((error) =>
+					console.error("Retention error:", error),
+				);
+				return;
+			}
+			this.running = this.runOnce()
+				.catch((error) => console.error("Retention error:", error))
+				.finally(() => {
+					this.running = null;
+				});
+		};
+
+		tick();
+		this.timer = setInterval(tick, this.intervalMs);
+		const rollups = Object.entries(this.rollupDays)
+			.map(([level, days]) => `${level} ${days || "∞"}d`)
+			.join(", ");
+		console.log(
+			`🗃️  Retention: raw ${this.rawDays || "∞"}d, ${rollups}; archiving to ${this.archiveDir}`,
+		);
+	}
+
+	async stop() {
+		clearInterval(this.timer);
+		await this.running;
+	}
+
+	async runOnce() {
+		// After a long stop the archive may have fallen behind the TTL
+		await this.syncExpiry();
+		if (this.rawDays > 0) {
+			try {
+				await this.archiveRaw();
+			} catch (error) {
+				// Nothing may expire that has not been archived
+				await this.withExpiryLock(() => this.setExpiry(false));
+				this.expiryEnabled = false;
+				console.warn("⏸️  Raw expiry paused until archiving succeeds");
+				throw error;
+			}
+			await this.syncExpiry();
+		}
+		await this.trimRollups();
+	}
+
+	// Archive every whole UTC day that will expire within ARCHIVE_LEAD_MS,
+	// never the current one. Readings that arrive late for an archived day,
+	// imports included, go to an extra part file.
+	async archiveRaw() {
+		const startedAt = Date.now();
+		const cutoff = Math.min(
+			startOfDay(startedAt - this.rawDays * DAY_MS + ARCHIVE_LEAD_MS),
+			startOfDay(startedAt),
+		);
+		const state = await this.state.findOne({ _id: "raw" });
+		const prevCutoff = state?.cutoff ?? 0;
+		const prevStartedAt = state?.startedAt ?? 0;
+
+		// Days that crossed the cutoff, or got late readings, since the last run
+		const days = await this.readings
+			.aggregate(
+				[
+					{
+						$match: {
+							time: { $lt: new Date(cutoff) },
+							$or: [
+								{ time: { $gte: new Date(prevCutoff) } },
+								{ ingestedAt: { $gt: prevStartedAt } },
+							],
+						},
+					},
+					{
+						$group: {
+							_id: {
+								nodeId: "$nodeId",
+								day: { $dateTrunc: { date: "$time", unit: "day" } },
+							},
+						},
+					},
+					{ $sort: { "_id.day": 1 } },
+				],
+				{ allowDiskUse: true },
+			)
+			.toArray();
+
+		for (const { _id } of days) {
+			await this.archiveDay(_id.nodeId, _id.day.getTime(), startedAt);
+		}
+
+		await this.state.updateOne(
+			{ _id: "raw" },
+			{ $set: { cutoff, startedAt, updatedAt: new Date() } },
+			{ upsert: true },
+		);
+	}
+
+	async archiveDay(nodeId, dayStart, startedAt) {
+		const day = dayName(dayStart);
+		const parts = await this.archives
+			.find({ nodeId, day })
+			.sort({ ingestedUntil: -1 })
+			.toArray();
+		const since = parts[0]?.ingestedUntil ?? -Infinity;
+
+		const query = {
+			nodeId,
+			time: { $gte: new Date(dayStart), $lt: new Date(dayStart + DAY_MS) },
+			ingestedAt: { $gt: since, $lte: startedAt },
+		};
+		if ((await this.readings.countDocuments(query, { limit: 1 })) === 0) {
+			return;
+		}
+
+		// Part names depend only on the manifest, so a run that dies before
+		// recording its part rewrites the same file next time
+		const dir = path.join(this.archiveDir, safeName(nodeId));
+		const name =
+			parts.length === 0
+				? `${day}.ndjson.gz`
+				: `${day}.part${parts.length + 1}.ndjson.gz`;
+		const file = path.join(dir, name);
+		const tmp = `${file}.tmp`;
+		await fs.promises.mkdir(dir, { recursive: true });
+
+		let count = 0;
+		const cursor = this.readings.find(query).sort({ time: 1 });
+		const lines = async function* () {
+			for await (const doc of cursor) {
+				count++;
+				yield `${JSON.stringify(doc)}\n`;
+			}
+		};
+
+		await pipeline(
+			Readable.from(lines()),
+			zlib.createGzip(),
+			fs.createWriteStream(tmp),
+		);
+		await fs.promises.rename(tmp, file);
+		const { size } = await fs.promises.stat(file);
+
+		await this.archives.insertOne({
+			nodeId,
+			day,
+			file: path.relative(this.archiveDir, file),
+			count,
+			bytes: size,
+			ingestedUntil: startedAt,
+			archivedAt: new Date(),
+		});
+		console.log(`🗃️  Archived ${count} readings for ${nodeId} on ${day}`);
+	}
+
+	async trimRollups() {
+		for (const [level, days] of Object.entries(this.rollupDays)) {
+			if (!(days > 0)) continue;
+
+			const { deletedCount } = await this.db
+				.collection(`readings_${level}`)
+				.deleteMany({ bucket: { $lt: new Date(Date.now() - days * DAY_MS) } });
+			if (deletedCount > 0) {
+				console.log(
+					`🧹 Removed ${deletedCount} ${level} rollups older than ${days}d`,
+				);
+			}
+		}
+	}
+}
+
+module.exports = RetentionService;
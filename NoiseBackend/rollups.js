@@ -0,0 +1,234 @@
+// rollups.js
+// Background jobs that summarize raw readings into 1-minute, 1-hour and
+// 1-day buckets (min/max/avg/count and Leq) per node
+const { READINGS, LEVEL } = require("./readings-store");
+
+// Each level is built from the one before it. `changedField` finds source
+// documents written since the last run; `stamp` converts the watermark.
+const LEVELS = [
+	{
+		name: "1m",
+		unit: "minute",
+		source: READINGS,
+		target: "readings_1m",
+		timeField: "time",
+		changedField: "ingestedAt",
+		stamp: (ms) => ms,
+	},
+	{
+		name: "1h",
+		unit: "hour",
+		source: "readings_1m",
+		target: "readings_1h",
+		timeField: "bucket",
+		changedField: "updatedAt",
+		stamp: (ms) => new Date(ms),
+	},
+	{
+		name: "1d",
+		unit: "day",
+		source: "readings_1h",
+		target: "readings_1d",
+		timeField: "bucket",
+		changedField: "updatedAt",
+		stamp: (ms) => new Date(ms),
+	},
+];
+
+// Writes still in flight when a run starts are picked up by the next one
+const SETTLE_MS = 10000;
+
+class RollupService {
+	constructor(db, { timezone = "UTC", intervalMs = 60000 } = {}) {
+		this.db = db;
+		this.state = db.collection("rollup_state");
+		this.timezone = timezone;
+		this.intervalMs = intervalMs;
+		this.timer = null;
+		this.running = null;
+	}
+
+	async setupIndexes() {
+		for (const level of LEVELS) {
+			const target = this.db.collection(level.target);
+			await target.createIndex({ nodeId: 1, bucket: 1 });
+			await target.createIndex({ updatedAt: 1 });
+		}
+	}
+
+	start() {
+		const tick = () => {
+			// Skip a tick rather than overlap a slow run
+			if (this.running) return;
+			this.running = this.runOnce()
+				.catch((error) => console.error("Rollup error:", error))
+				.finally(() => {
+					this.running = null;
+				});
+		};
+
+		tick();
+		this.timer = setInterval(tick, this.intervalMs);
+		console.log(
+			`🧮 Rollups every ${this.intervalMs / 1000}s (${this.timezone})`,
+		);
+	}
+
+	async stop() {
+		clearInterval(this.timer);
+		await this.running;
+	}
+
+	async runOnce() {
+		for (const level of LEVELS) {
+			await this.rollup(level);
+		}
+	}
+
+	bucketOf(field, unit) {
+		return { $dateTrunc: { date: field, unit, timezone: this.timezone } };
+	}
+
+	async rollup(level) {
+		const state = await this.state.findOne({ _id: level.name });
+		const since = state?.watermark ?? 0;
+		const until = Date.now() - SETTLE_MS;
+		if (until <= since) return;
+
+		// Which buckets, per node, received new data since the last run
+		const ranges = await this.db
+			.collection(level.source)
+			.aggregate([
+				{
+					$match: {
+						[level.changedField]: {
+							$gt: level.stamp(since),
+							$lte: level.stamp(until),
+						},
+					},
+				},
+				{
+					$group: {
+						_id: "$nodeId",
+						from: { $min: this.bucketOf(`$${level.timeField}`, level.unit) },
+						// End of the last touched bucket (exclusive)
+						to: {
+							$max: {
+								$dateAdd: {
+									startDate: this.bucketOf(`$${level.timeField}`, level.unit),
+									unit: level.unit,
+									amount: 1,
+									timezone: this.timezone,
+								},
+							},
+						},
+					},
+				},
+			])
+			.toArray();
+
+		for (const { _id: nodeId, from, to } of ranges) {
+			await this.rebuild(level, nodeId, from, to);
+		}
+
+		await this.state.updateOne(
+			{ _id: level.name },
+			{ $set: { watermark: until, updatedAt: new Date() } },
+			{ upsert: true },
+		);
+
+		if (ranges.length > 0) {
+			console.log(
+				`🧮 ${level.name} rollups updated for ${ranges.length} node(s)`,
+			);
+		}
+	}
+
+	// Recompute every bucket of one node in [from, to) from scratch, so late
+	// readings are folded in rather than appended
+	async rebuild(level, nodeId, from, to) {
+		const time = `$${level.timeField}`;
+		const bucket = this.bucketOf(time, level.unit);
+		const raw = level.source === READINGS;
+
+		// Raw readings contribute one sample each; rollups carry their own
+		// sums so Leq and avg stay exact across levels
+		const accumulate = raw
+			? {
+					min: { $min: { $ifNull: ["$payload.min", "$level"] } },
+					max: { $max: { $ifNull: ["$payload.max", "$level"] } },
+					sum: { $sum: "$level" },
+					count: { $sum: 1 },
+					energy: { $sum: { $pow: [10, { $divide: ["$level", 10] }] } },
+				}
+			: {
+					min: { $min: "$min" },
+					max: { $max: "$max" },
+					sum: { $sum: "$sum" },
+					count: { $sum: "$count" },
+					energy: { $sum: "$energy" },
+				};
+
+		await this.db
+			.collection(level.source)
+			.aggregate([
+				{ $match: { nodeId, [level.timeField]: { $gte: from, $lt: to } } },
+				...(raw
+					? [
+							{ $set: { level: LEVEL } },
+							{ $match: { level: { $type: "number" } } },
+						]
+					: []),
+				{ $group: { _id: { nodeId: "$nodeId", bucket }, ...accumulate } },
+				{
+					$project: {
+						nodeId: "$_id.nodeId",
+						bucket: "$_id.bucket",
+						min: 1,
+						max: 1,
+						sum: 1,
+						count: 1,
+						energy: 1,
+						avg: { $divide: ["$sum", "$count"] },
+						// Equivalent continuous level: 10·log10(mean(10^(L/10)))
+						leq: {
+							$multiply: [10, { $log10: { $divide: ["$energy", "$count"] } }],
+						},
+						updatedAt: "$$NOW",
+					},
+				},
+				{ $merge: { into: level.target, whenMatched: "replace" } },
+			])
+			.toArray();
+	}
+
+	// resolution: "1m" | "1h" | "1d"; from/to in epoch ms
+	async query(nodeId, resolution, { from, to, limit = 2000 } = {}) {
+		const level = LEVELS.find((l) => l.name === resolution);
+		if (!level) {
+			throw new Error(
+				`resolution must be one of: ${LEVELS.map((l) => l.name).join(", ")}`,
+			);
+		}
+
+		const query = { nodeId };
+		if (from || to) {
+			query.bucket = {};
+			if (from) query.bucket.$gte = new Date(from);
+			if (to) query.bucket.$lte = new Date(to);
+		}
+
+		const docs = await this.db
+			.collection(level.target)
+			.find(query, { projection: { _id: 0, sum: 0, energy: 0 } })
+			.sort({ bucket: 1 })
+			.limit(Math.min(parseInt(limit, 10) || 2000, 10000))
+			.toArray();
+
+		return docs.map((doc) => ({ ...doc, ts: doc.bucket.getTime() }));
+	}
+}
+
+RollupService.LEVELS = LEVELS.map((level) => level.name);
+
+module.exports = RollupService;
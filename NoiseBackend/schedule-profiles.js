@@ -0,0 +1,285 @@
+// schedule-profiles.js
+// Time-of-day threshold profiles (weekly windows + date overrides) assigned
+// to nodes or node groups
+const Ajv = require("ajv");
+const { ObjectId } = require("mongodb");
+
+const TIME = { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" };
+const DATE = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" };
+const THRESHOLD_DB = { type: "number", minimum: 0, maximum: 140 };
+const NAMES = { type: "array", items: { type: "string", minLength: 1 } };
+
+const PROFILE_SCHEMA = {
+	type: "object",
+	properties: {
+		name: { type: "string", minLength: 1, maxLength: 80 },
+		timezone: { type: "string" },
+		enabled: { type: "boolean" },
+		// Days are 0 (Sunday) to 6; a window may run past midnight (22:00-07:00)
+		windows: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					label: { type: "string", maxLength: 80 },
+					days: {
+						type: "array",
+						items: { type: "integer", minimum: 0, maximum: 6 },
+						minItems: 1,
+					},
+					start: TIME,
+					end: TIME,
+					threshold: THRESHOLD_DB,
+				},
+				required: ["days", "start", "end", "threshold"],
+				additionalProperties: false,
+			},
+		},
+		// Inclusive date ranges (exam weeks, holidays); without start/end the
+		// override covers the whole day
+		overrides: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					label: { type: "string", maxLength: 80 },
+					from: DATE,
+					to: DATE,
+					start: TIME,
+					end: TIME,
+					threshold: THRESHOLD_DB,
+				},
+				required: ["from", "to", "threshold"],
+				additionalProperties: false,
+			},
+		},
+		nodes: NAMES,
+		groups: NAMES,
+	},
+	required: ["name"],
+	additionalProperties: false,
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const toMinutes = (time) => {
+	const [h, m] = time.split(":").map(Number);
+	return h * 60 + m;
+};
+
+// start == end means the whole day
+const inWindow = (minutes, start, end) => {
+	const from = toMinutes(start);
+	const to = toMinutes(end);
+	if (from === to) return true;
+	return from < to
+		? minutes >= from && minutes < to
+		: minutes >= from || minutes < to;
+};
+
+class ScheduleService {
+	constructor(db, { defaultTimezone } = {}) {
+		this.collection = db.collection("schedule_profiles");
+		this.validateInput = new Ajv({ allErrors: true }).compile(PROFILE_SCHEMA);
+		this.defaultTimezone =
+			defaultTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+		this.profiles = [];
+		this.formatters = new Map();
+	}
+
+	async initialize() {
+		await this.load();
+		console.log(`🗓️  Schedule profiles loaded (${this.profiles.length})`);
+	}
+
+	async load() {
+		this.profiles = await this.collection.find({}).sort({ name: 1 }).toArray();
+	}
+
+	// Wall-clock date, weekday and minute of day in the profile's timezone
+	localTime(at, timeZone) {
+		if (!this.formatters.has(timeZone)) {
+			this.formatters.set(
+				timeZone,
+				new Intl.DateTimeFormat("en-CA", {
+					timeZone,
+					year: "numeric",
+					month: "2-digit",
+					day: "2-digit",
+					hour: "2-digit",
+					minute: "2-digit",
+					weekday: "short",
+					hourCycle: "h23",
+				}),
+			);
+		}
+
+		const parts = Object.fromEntries(
+			this.formatters
+				.get(timeZone)
+				.formatToParts(at)
+				.map(({ type, value }) => [type, value]),
+		);
+
+		return {
+			date: `${parts.year}-${parts.month}-${parts.day}`,
+			day: WEEKDAYS.indexOf(parts.weekday),
+			minutes: Number(parts.hour) * 60 + Number(parts.minute),
+		};
+	}
+
+	// A node assigned by name wins over one assigned through its group
+	profileFor(nodeId, group) {
+		const enabled = this.profiles.filter((p) => p.enabled !== false);
+		return (
+			enabled.find((p) => p.nodes?.includes(nodeId)) ||
+			(group ? enabled.find((p) => p.groups?.includes(group)) : null) ||
+			null
+		);
+	}
+
+	// Returns the window or override in force for a node, or null when the
+	// node should fall back to its configured threshold
+	activeFor(nodeId, group, at = new Date()) {
+		const profile = this.profileFor(nodeId, group);
+		if (!profile) return null;
+
+		const now = this.localTime(at, profile.timezone || this.defaultTimezone);
+		const active = (entry, source) => ({
+			profileId: profile._id.toString(),
+			profileName: profile.name,
+			label: entry.label || "",
+			threshold: entry.threshold,
+			source,
+		});
+
+		const override = (profile.overrides || []).find(
+			(o) =>
+				o.from <= now.date &&
+				now.date <= o.to &&
+				(!o.start || !o.end || inWindow(now.minutes, o.start, o.end)),
+		);
+		if (override) return active(override, "override");
+
+		const yesterday = (now.day + 6) % 7;
+		const window = (profile.windows || []).find((w) => {
+			const from = toMinutes(w.start);
+			const to = toMinutes(w.end);
+			if (from <= to) {
+				return (
+					w.days.includes(now.day) && inWindow(now.minutes, w.start, w.end)
+				);
+			}
+			// Overnight: the part after midnight belongs to the previous day
+			return (
+				(w.days.includes(now.day) && now.minutes >= from) ||
+				(w.days.includes(yesterday) && now.minutes < to)
+			);
+		});
+		if (window) return active(window, "window");
+
+		return null;
+	}
+
+	toPublic(doc) {
+		const { _id, ...rest } = doc;
+		return { profileId: _id.toString(), ...rest };
+	}
+
+	list() {
+		return this.profiles.map((profile) => this.toPublic(profile));
+	}
+
+	validateProfile(input, excludeId = null) {
+		if (!this.validateInput(input)) {
+			throw new Error(
+				this.validateInput.errors
+					.map((err) => `${err.instancePath || "profile"} ${err.message}`)
+					.join("; "),
+			);
+		}
+
+		if (input.timezone) {
+			try {
+				new Intl.DateTimeFormat("en", { timeZone: input.timezone });
+			} catch {
+				throw new Error(`Unknown timezone: ${input.timezone}`);
+			}
+		}
+
+		for (const o of input.overrides || []) {
+			if (o.from > o.to) {
+				throw new Error(`Override ${o.from}..${o.to} ends before it starts`);
+			}
+		}
+
+		// One profile per node and per group keeps the active threshold predictable
+		const others = this.profiles.filter(
+			(p) => !excludeId || !p._id.equals(excludeId),
+		);
+		for (const key of ["nodes", "groups"]) {
+			for (const name of input[key] || []) {
+				const owner = others.find((p) => p[key]?.includes(name));
+				if (owner) {
+					throw new Error(`${name} is already assigned to "${owner.name}"`);
+				}
+			}
+		}
+	}
+
+	async create(input, createdBy = null) {
+		const profile = {
+			timezone: this.defaultTimezone,
+			enabled: true,
+			windows: [],
+			overrides: [],
+			nodes: [],
+			groups: [],
+			...input,
+		};
+		this.validateProfile(profile);
+
+		const { insertedId } = await this.collection.insertOne({
+			...profile,
+			createdAt: Date.now(),
+			createdBy,
+		});
+		await this.load();
+		return this.toPublic({ ...profile, _id: insertedId });
+	}
+
+	async update(profileId, input, updatedBy = null) {
+		if (!ObjectId.isValid(profileId)) return null;
+
+		const _id = new ObjectId(profileId);
+		const existing = this.profiles.find((p) => p._id.equals(_id));
+		if (!existing) return null;
+
+		const current = Object.fromEntries(
+			Object.keys(PROFILE_SCHEMA.properties)
+				.filter((key) => existing[key] !== undefined)
+				.map((key) => [key, existing[key]]),
+		);
+		this.validateProfile({ ...current, ...input }, _id);
+
+		const doc = await this.collection.findOneAndUpdate(
+			{ _id },
+			{ $set: { ...input, updatedAt: Date.now(), updatedBy } },
+			{ returnDocument: "after" },
+		);
+		await this.load();
+		return doc ? this.toPublic(doc) : null;
+	}
+
+	async remove(profileId) {
+		if (!ObjectId.isValid(profileId)) return false;
+
+		const result = await this.collection.deleteOne({
+			_id: new ObjectId(profileId),
+		});
+		await this.load();
+		return result.deletedCount > 0;
+	}
+}
+
+module.exports = ScheduleService;
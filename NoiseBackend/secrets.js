@@ -0,0 +1,32 @@
+// secrets.js
+// Hashing helpers for device API keys and user passwords. scrypt runs on
+// the libuv thread pool: these are reached before authentication, so they
+// must not block the event loop.
+const crypto = require("node:crypto");
+const { promisify } = require("node:util");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+function generateSecret(bytes = 32) {
+	return crypto.randomBytes(bytes).toString("base64url");
+}
+
+async function hashSecret(secret) {
+	const salt = crypto.randomBytes(16).toString("hex");
+	const hash = (await scrypt(secret, salt, KEY_LENGTH)).toString("hex");
+	return { salt, hash };
+}
+
+async function verifySecret(secret, salt, hash) {
+	if (typeof secret !== "string" || !salt || !hash) return false;
+
+	const expected = Buffer.from(hash, "hex");
+	const actual = await scrypt(secret, salt, KEY_LENGTH);
+	return (
+		expected.length === actual.length &&
+		crypto.timingSafeEqual(expected, actual)
+	);
+}
+
+module.exports = { generateSecret, hashSecret, verifySecret };
@@ -0,0 +1,345 @@
+// sequence-tracker.js
+// Device sequence numbers per (nodeId, bootId): duplicate filtering,
+// missing-range bookkeeping and completeness reporting
+//   sequence_claims  { _id: "<nodeId>:<bootId>:<deviceSeq>", streamId, at }
+const { READINGS } = require("./readings-store");
+
+// Resends come within minutes of the original; older ones are caught by
+// looking at the stored readings
+const CLAIM_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DUPLICATE_KEY = 11000;
+
+class SequenceTracker {
+	constructor(db) {
+		this.readings = db.collection(READINGS);
+		this.boots = db.collection("sequence_state");
+		this.missing = db.collection("missing_ranges");
+		this.claims = db.collection("sequence_claims");
+	}
+
+	async setupIndexes() {
+		// Not unique: time-series collections do not support it, so
+		// filterNew() does the deduplication
+		await this.readings.createIndex({ nodeId: 1, bootId: 1, deviceSeq: 1 });
+		await this.boots.createIndex({ nodeId: 1, updatedAt: -1 });
+		await this.missing.createIndex({ nodeId: 1, bootId: 1, from: 1 });
+		await this.claims.createIndex({ streamId: 1 });
+		await this.claims.createIndex(
+			{ at: 1 },
+			{ expireAfterSeconds: CLAIM_TTL_SECONDS },
+		);
+	}
+
+	// Drops readings already stored (device resends after a reconnect) and
+	// repeats within the batch. Readings without a device sequence pass.
+	// With ownerOf(reading) -> stream entry id, each sequence number is
+	// first claimed in sequence_claims, whose unique _id lets only one
+	// worker win when several handle resends of the same reading at once.
+	// A claim held by the same entry (a retry or redelivery) still counts.
+	async filterNew(nodeId, readings, ownerOf = null) {
+		const seen = new Set();
+		const byBoot = new Map();
+
+		const fresh = readings.filter((reading) => {
+			if (!Number.isInteger(reading.deviceSeq)) return true;
+
+			const key = `${reading.bootId}:${reading.deviceSeq}`;
+			if (seen.has(key)) return false;
+			seen.add(key);
+
+			if (!byBoot.has(reading.bootId)) byBoot.set(reading.bootId, []);
+			byBoot.get(reading.bootId).push(reading.deviceSeq);
+			return true;
+		});
+
+		const duplicates = ownerOf
+			? await this.claim(
+					nodeId,
+					fresh.filter((reading) => Number.isInteger(reading.deviceSeq)),
+					ownerOf,
+				)
+			: new Set();
+		for (const [bootId, seqs] of byBoot) {
+			const docs = await this.readings
+				.find(
+					{ nodeId, bootId, deviceSeq: { $in: seqs } },
+					{ projection: { _id: 0, deviceSeq: 1 } },
+				)
+				.toArray();
+			for (const doc of docs) duplicates.add(`${bootId}:${doc.deviceSeq}`);
+		}
+
+		return fresh.filter(
+			(reading) =>
+				!Number.isInteger(reading.deviceSeq) ||
+				!duplicates.has(`${reading.bootId}:${reading.deviceSeq}`),
+		);
+	}
+
+	// Returns "bootId:deviceSeq" keys claimed by another stream entry
+	async claim(nodeId, readings, ownerOf) {
+		if (readings.length === 0) return new Set();
+
+		const at = new Date();
+		const docs = readings.map((reading) => ({
+			_id: `${nodeId}:${reading.bootId}:${reading.deviceSeq}`,
+			streamId: ownerOf(reading),
+			at,
+		}));
+
+		let conflicts = [];
+		try {
+			await this.claims.insertMany(docs, { ordered: false });
+		} catch (error) {
+			const writeErrors = [].concat(error.writeErrors || []);
+			if (
+				writeErrors.length === 0 ||
+				writeErrors.some((err) => err.code !== DUPLICATE_KEY)
+			) {
+				throw error;
+			}
+			conflicts = writeErrors.map((err) => err.index);
+		}
+		if (conflicts.length === 0) return new Set();
+
+		const holders = new Map(
+			(
+				await this.claims
+					.find({ _id: { $in: conflicts.map((i) => docs[i]._id) } })
+					.toArray()
+			).map((doc) => [doc._id, doc.streamId]),
+		);
+
+		const taken = new Set();
+		for (const i of conflicts) {
+			const { _id, streamId } = docs[i];
+			// A claim expiring meanwhile is left to the stored-readings check
+			if (holders.has(_id) && holders.get(_id) !== streamId) {
+				taken.add(`${readings[i].bootId}:${readings[i].deviceSeq}`);
+			}
+		}
+		return taken;
+	}
+
+	// Frees the claims of stream entries that will not be written (parked
+	// in the dead-letter queue), so a later resend is stored
+	async release(streamIds) {
+		if (streamIds.length === 0) return;
+		await this.claims.deleteMany({ streamId: { $in: streamIds } });
+	}
+
+	// Call with readings that were just written
+	async record(nodeId, readings) {
+		const byBoot = new Map();
+		for (const { bootId, deviceSeq } of readings) {
+			if (!Number.isInteger(deviceSeq)) continue;
+			if (!byBoot.has(bootId)) byBoot.set(bootId, []);
+			byBoot.get(bootId).push(deviceSeq);
+		}
+
+		for (const [bootId, seqs] of byBoot) {
+			await this.recordBoot(nodeId, bootId, seqs);
+		}
+	}
+
+	async recordBoot(nodeId, bootId, seqs) {
+		const received = new Set(seqs);
+		const min = Math.min(...seqs);
+		const max = Math.max(...seqs);
+		const now = Date.now();
+
+		// The document as it was before this batch tells which part of the
+		// sequence space is new
+		const before = await this.boots.findOneAndUpdate(
+			{ _id: `${nodeId}:${bootId}` },
+			{
+				$min: { firstSeq: min },
+				$max: { lastSeq: max },
+				$set: { updatedAt: now },
+				$setOnInsert: { nodeId, bootId, startedAt: now },
+			},
+			{ upsert: true, returnDocument: "before" },
+		);
+
+		const sorted = [...received].sort((a, b) => a - b);
+		const gaps = [];
+		// Walk the received numbers rather than the range: a large jump must
+		// not mean a large loop
+		const addGaps = (from, to) => {
+			let prev = from - 1;
+			for (const seq of sorted) {
+				if (seq < from || seq > to) continue;
+				if (seq > prev + 1) gaps.push({ from: prev + 1, to: seq - 1 });
+				prev = seq;
+			}
+			if (to > prev) gaps.push({ from: prev + 1, to });
+		};
+
+		// A boot's range starts at the first number received, not at 0: the
+		// firmware's starting number is not part of the payload contract,
+		// and a boot first seen part way through (a server upgrade, an SD
+		// import of a later file) would count all its earlier readings as
+		// missing. Lower numbers arriving later still extend it downwards.
+		if (!before) {
+			addGaps(min, max);
+		} else {
+			if (min < before.firstSeq) addGaps(min, before.firstSeq - 1);
+			if (max > before.lastSeq) addGaps(before.lastSeq + 1, max);
+
+			// Late arrivals inside the known range fill earlier gaps
+			for (const seq of received) {
+				if (seq >= before.firstSeq && seq <= before.lastSeq) {
+					await this.fill(nodeId, bootId, seq);
+				}
+			}
+		}
+
+		if (gaps.length > 0) {
+			await this.missing.insertMany(
+				gaps.map((gap) => ({
+					nodeId,
+					bootId,
+					...gap,
+					count: gap.to - gap.from + 1,
+					detectedAt: now,
+				})),
+			);
+			console.warn(
+				`🕳️  ${nodeId} boot ${bootId}: missing ${gaps
+					.map((g) => (g.from === g.to ? g.from : `${g.from}-${g.to}`))
+					.join(", ")}`,
+			);
+		}
+	}
+
+	// Remove one sequence number from the range that contains it
+	async fill(nodeId, bootId, seq) {
+		const range = await this.missing.findOneAndDelete({
+			nodeId,
+			bootId,
+			from: { $lte: seq },
+			to: { $gte: seq },
+		});
+		if (!range) return;
+
+		const { _id, ...rest } = range;
+		const pieces = [
+			{ from: range.from, to: seq - 1 },
+			{ from: seq + 1, to: range.to },
+		].filter((piece) => piece.from <= piece.to);
+
+		if (pieces.length > 0) {
+			await this.missing.insertMany(
+				pieces.map((piece) => ({
+					...rest,
+					...piece,
+					count: piece.to - piece.from + 1,
+				})),
+			);
+		}
+	}
+
+	summarize(boots, missingCounts) {
+		let expected = 0;
+		let missing = 0;
+
+		const perBoot = boots.map((boot) => {
+			const bootExpected = boot.lastSeq - boot.firstSeq + 1;
+			const bootMissing = missingCounts.get(boot.bootId) || 0;
+			expected += bootExpected;
+			missing += bootMissing;
+
+			return {
+				bootId: boot.bootId,
+				firstSeq: boot.firstSeq,
+				lastSeq: boot.lastSeq,
+				expected: bootExpected,
+				missing: bootMissing,
+				completeness: percent(bootExpected - bootMissing, bootExpected),
+				startedAt: boot.startedAt,
+				updatedAt: boot.updatedAt,
+			};
+		});
+
+		return {
+			expected,
+			received: expected - missing,
+			missing,
+			completeness: percent(expected - missing, expected),
+			boots: perBoot,
+		};
+	}
+
+	missingCounts(match) {
+		return this.missing
+			.aggregate([
+				{ $match: match },
+				{
+					$group: {
+						_id: { nodeId: "$nodeId", bootId: "$bootId" },
+						count: { $sum: "$count" },
+					},
+				},
+			])
+			.toArray();
+	}
+
+	// since limits the report to boots that sent data after that time
+	async completeness(nodeId, { since } = {}) {
+		const query = { nodeId };
+		if (since) query.updatedAt = { $gte: since };
+
+		const boots = await this.boots.find(query).sort({ startedAt: 1 }).toArray();
+		const rows = await this.missingCounts({
+			nodeId,
+			bootId: { $in: boots.map((b) => b.bootId) },
+		});
+		const counts = new Map(rows.map((row) => [row._id.bootId, row.count]));
+
+		return { nodeId, ...this.summarize(boots, counts) };
+	}
+
+	async summary({ since } = {}) {
+		const query = since ? { updatedAt: { $gte: since } } : {};
+		const boots = await this.boots.find(query).sort({ startedAt: 1 }).toArray();
+		const rows = await this.missingCounts({});
+
+		const nodes = new Map();
+		for (const boot of boots) {
+			if (!nodes.has(boot.nodeId)) nodes.set(boot.nodeId, []);
+			nodes.get(boot.nodeId).push(boot);
+		}
+
+		return Array.from(nodes, ([nodeId, nodeBoots]) => {
+			const counts = new Map(
+				rows
+					.filter((row) => row._id.nodeId === nodeId)
+					.map((row) => [row._id.bootId, row.count]),
+			);
+			const { expected, received, missing, completeness } = this.summarize(
+				nodeBoots,
+				counts,
+			);
+			return { nodeId, expected, received, missing, completeness };
+		});
+	}
+
+	async missingRanges(nodeId, { bootId, limit = 100 } = {}) {
+		const query = { nodeId };
+		if (bootId) query.bootId = bootId;
+
+		const docs = await this.missing
+			.find(query)
+			.sort({ detectedAt: -1, from: 1 })
+			.limit(Math.min(parseInt(limit, 10) || 100, 1000))
+			.toArray();
+
+		return docs.map(({ _id, ...rest }) => rest);
+	}
+}
+
+function percent(part, whole) {
+	return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+module.exports = SequenceTracker;
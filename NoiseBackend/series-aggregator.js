@@ -0,0 +1,130 @@
+// series-aggregator.js
+// Bucketed aggregation and chart downsampling over raw readings
+const { READINGS, LEVEL } = require("./readings-store");
+const { lttb, percentile } = require("./downsample");
+
+const AGGREGATES = ["min", "max", "avg", "p90", "count"];
+const METRICS = ["level", "avg", "min", "max", "db", "noise"];
+const METHODS = ["lttb", "minmax"];
+const MAX_BUCKETS = 10000;
+const MAX_POINTS = 5000;
+
+class SeriesAggregator {
+	constructor(db) {
+		this.readings = db.collection(READINGS);
+	}
+
+	// Raw readings in [from, to] as { t: bucket start, ts, v } documents
+	pipeline(nodeId, { from, to, timeField, bucketMs, metric }) {
+		const time = `$${timeField}`;
+		return [
+			{ $match: { nodeId, [timeField]: { $gte: from, $lte: to } } },
+			{
+				$project: {
+					_id: 0,
+					ts: time,
+					// Buckets are aligned to the epoch, so 1h buckets start on the hour
+					t: { $subtract: [time, { $mod: [time, bucketMs] }] },
+					v: metric === "level" ? LEVEL : `$payload.${metric}`,
+				},
+			},
+			{ $match: { v: { $type: "number" } } },
+		];
+	}
+
+	// One row per bucket with the requested aggregates
+	async buckets(nodeId, options) {
+		const { aggs = ["min", "max", "avg", "count"] } = options;
+		const accumulate = {
+			min: { $min: "$v" },
+			max: { $max: "$v" },
+			avg: { $avg: "$v" },
+			count: { $sum: 1 },
+		};
+
+		const group = { _id: "$t" };
+		for (const agg of aggs) {
+			// No $percentile before MongoDB 7, so p90 is computed here
+			if (agg === "p90") group.values = { $push: "$v" };
+			else group[agg] = accumulate[agg];
+		}
+
+		const rows = await this.readings
+			.aggregate(
+				[
+					...this.pipeline(nodeId, options),
+					{ $group: group },
+					{ $sort: { _id: 1 } },
+				],
+				{ allowDiskUse: true },
+			)
+			.toArray();
+
+		return rows.map(({ _id, values, ...row }) => ({
+			ts: _id,
+			...row,
+			...(values ? { p90: percentile(values, 90) } : {}),
+		}));
+	}
+
+	// About `points` points covering [from, to]. lttb keeps the shape from
+	// fine averaged buckets; minmax keeps every peak and dip.
+	async downsample(nodeId, { points, method = "lttb", ...options }) {
+		const span = options.to - options.from + 1;
+
+		if (method === "minmax") {
+			const bucketMs = Math.max(Math.ceil(span / Math.ceil(points / 2)), 1);
+			const rows = await this.readings
+				.aggregate(
+					[
+						...this.pipeline(nodeId, { ...options, bucketMs }),
+						{
+							$group: {
+								_id: "$t",
+								low: {
+									$top: { sortBy: { v: 1 }, output: { ts: "$ts", v: "$v" } },
+								},
+								high: {
+									$top: { sortBy: { v: -1 }, output: { ts: "$ts", v: "$v" } },
+								},
+							},
+						},
+						{ $sort: { _id: 1 } },
+					],
+					{ allowDiskUse: true },
+				)
+				.toArray();
+
+			return rows.flatMap(({ low, high }) => {
+				if (low.ts === high.ts) return [{ ts: low.ts, value: low.v }];
+				return [low, high]
+					.sort((a, b) => a.ts - b.ts)
+					.map((point) => ({ ts: point.ts, value: point.v }));
+			});
+		}
+
+		// Pre-aggregate to a few times the target so LTTB has detail to pick from
+		const bucketMs = Math.max(Math.ceil(span / (points * 4)), 1);
+		const rows = await this.buckets(nodeId, {
+			...options,
+			bucketMs,
+			aggs: ["avg"],
+		});
+
+		return lttb(
+			rows.map((row) => ({
+				ts: row.ts + Math.floor(bucketMs / 2),
+				value: row.avg,
+			})),
+			points,
+		);
+	}
+}
+
+SeriesAggregator.AGGREGATES = AGGREGATES;
+SeriesAggregator.METRICS = METRICS;
+SeriesAggregator.METHODS = METHODS;
+SeriesAggregator.MAX_BUCKETS = MAX_BUCKETS;
+SeriesAggregator.MAX_POINTS = MAX_POINTS;
+
+module.exports = SeriesAggregator;
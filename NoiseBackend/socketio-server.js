@@ -3,10 +3,39 @@
 require("dotenv").config();
 const express = require("express");
 const http = require("node:http");
+const os = require("node:os");
+const readline = require("node:readline");
+const { pipeline } = require("node:stream");
+const zlib = require("node:zlib");
 const socketIO = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const Redis = require("ioredis");
 const { MongoClient } = require("mongodb");
 const cors = require("cors");
+const AcousticAnalytics = require("./analytics");
+const AlertEngine = require("./alert-engine");
+const AuthService = require("./auth");
+const CommandDispatcher = require("./command-dispatcher");
+const CommandRegistry = require("./command-registry");
+const DeadLetterQueue = require("./dead-letter-queue");
+const PayloadValidator = require("./payload-schemas");
+const ReadingStream = require("./reading-stream");
+const { READINGS } = require("./readings-store");
+const RollupService = require("./rollups");
+const DeviceConfigStore = require("./device-config");
+const DeviceCredentials = require("./device-credentials");
+const DeviceHealthStore = require("./device-health");
+const DeviceRegistry = require("./device-registry");
+const ReadingExporter = require("./exporter");
+const ReadingImporter = require("./importer");
+const LiveStream = require("./live-stream");
+const NodePresence = require("./node-presence");
+const NodeWatchdog = require("./node-watchdog");
+const NotificationService = require("./notifier");
+const ScheduleService = require("./schedule-profiles");
+const SequenceTracker = require("./sequence-tracker");
+const SeriesAggregator = require("./series-aggregator");
+const { parseBucket } = require("./downsample");
 
 // Configuration
 const config = {
@@ -21,9 +50,93 @@ const config = {
 		database: "timeseries_db",
 	},
 	batch: {
-		queuePrefix: process.env.QUEUE_PREFIX || "queue:node:",
+		// Redis Stream the data-ingest workers consume
+		stream: process.env.INGEST_STREAM || "ingest:readings",
 		bufferSize: parseInt(process.env.BUFFER_SIZE, 10) || 100,
 	},
+	auth: {
+		jwtSecret: process.env.JWT_SECRET,
+		tokenTtl: process.env.JWT_TTL || "12h",
+		adminUsername: process.env.ADMIN_USERNAME,
+		adminPassword: process.env.ADMIN_PASSWORD,
+	},
+	cors: {
+		// Comma-separated list of dashboard origins allowed to call the API
+		origins: (
+			process.env.CORS_ORIGINS ||
+			"https://silenceguard-gsfcu.ddns.net,http://localhost:5173"
+		)
+			.split(",")
+			.map((origin) => origin.trim())
+			.filter(Boolean),
+	},
+	commands: {
+		// How long a node has to acknowledge a command before it times out
+		ackTimeoutMs: parseInt(process.env.COMMAND_ACK_TIMEOUT_MS, 10) || 10000,
+		// Default lifetime of commands queued for offline nodes
+		queueTtlMs:
+			parseInt(process.env.COMMAND_QUEUE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+		// How often stale pending and expired queued commands are settled
+		sweepIntervalMs:
+			parseInt(process.env.COMMAND_SWEEP_INTERVAL_MS, 10) || 60000,
+	},
+	devices: {
+		// Accept unauthenticated nodes (auto-identify) while commissioning
+		provisioningMode: process.env.PROVISIONING_MODE === "true",
+	},
+	clock: {
+		// Device timestamps further ahead of the server than this are rejected
+		maxFutureSkewMs:
+			parseInt(process.env.CLOCK_MAX_FUTURE_SKEW_MS, 10) || 5 * 60 * 1000,
+		// Buffered readings older than this are rejected (offline backlog limit)
+		maxPastAgeMs:
+			parseInt(process.env.CLOCK_MAX_PAST_AGE_MS, 10) ||
+			7 * 24 * 60 * 60 * 1000,
+	},
+	schedules: {
+		// How often active schedule windows are re-evaluated
+		intervalMs: parseInt(process.env.SCHEDULE_INTERVAL_MS, 10) || 60000,
+		// Used by profiles that do not set their own timezone
+		defaultTimezone: process.env.SCHEDULE_TIMEZONE,
+	},
+	notifications: {
+		// Delivery attempts per channel before a notification is marked failed
+		maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5,
+		// First retry delay; doubles on every further attempt
+		baseDelayMs: parseInt(process.env.NOTIFY_BACKOFF_MS, 10) || 2000,
+		timeoutMs: parseInt(process.env.NOTIFY_TIMEOUT_MS, 10) || 10000,
+	},
+	live: {
+		// How often the `summary` room gets per-node aggregates
+		summaryIntervalMs:
+			parseInt(process.env.LIVE_SUMMARY_INTERVAL_MS, 10) || 2000,
+	},
+	health: {
+		// How long /health diagnostics samples are kept
+		retentionDays: parseFloat(process.env.HEALTH_RETENTION_DAYS) || 30,
+	},
+	watchdog: {
+		// How often connected nodes are checked for silence
+		intervalMs: parseInt(process.env.WATCHDOG_INTERVAL_MS, 10) || 10000,
+		// Stale after this many sampling intervals without data, and never
+		// sooner than minSilenceMs
+		staleFactor: parseFloat(process.env.WATCHDOG_STALE_FACTOR) || 3,
+		minSilenceMs: parseInt(process.env.WATCHDOG_MIN_SILENCE_MS, 10) || 30000,
+		// Reset nodes still stale after this long; 0 only reports them
+		autoResetMs: parseInt(process.env.WATCHDOG_AUTO_RESET_MS, 10) || 0,
+		resetCommand: process.env.WATCHDOG_RESET_COMMAND || "reset",
+	},
+	cluster: {
+		// Identifies this instance in node presence; unique per container
+		instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+		// Nodes of an instance that stops heartbeating count as offline
+		// once this has passed
+		presenceTtlMs: parseInt(process.env.PRESENCE_TTL_MS, 10) || 30000,
+		heartbeatMs: parseInt(process.env.PRESENCE_HEARTBEAT_MS, 10) || 10000,
+		// How long to wait for other instances when routing a command
+		requestTimeoutMs:
+			parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS, 10) || 5000,
+	},
 };
 
 class SocketIOServer {
@@ -32,7 +145,7 @@ class SocketIOServer {
 		this.server = http.createServer(this.app);
 		this.io = socketIO(this.server, {
 			cors: {
-				origin: "*",
+				origin: config.cors.origins,
 				methods: ["GET", "POST", "OPTIONS"],
 				transports: ["websocket", "polling"],
 			},
@@ -42,15 +155,70 @@ class SocketIOServer {
 			pingTimeout: 60000, // 60 seconds ping timeout
 			pingInterval: 25000, // 25 seconds ping interval
 		});
+		this.live = new LiveStream(this.io, config.live);
 
 		this.redis = new Redis({
 			host: config.redis.host,
 			port: config.redis.port,
 			password: config.redis.password,
 		});
+		// Broadcasts and room operations reach sockets on every instance
+		this.redisPub = this.redis.duplicate();
+		this.redisSub = this.redis.duplicate();
+		this.io.adapter(
+			createAdapter(this.redisPub, this.redisSub, {
+				requestsTimeout: config.cluster.requestTimeoutMs,
+			}),
+		);
+		// Which instance holds each node's socket, shared across the cluster
+		this.presence = new NodePresence(this.redis, {
+			instanceId: config.cluster.instanceId,
+			ttlMs: config.cluster.presenceTtlMs,
+			heartbeatMs: config.cluster.heartbeatMs,
+		});
+		// Each instance watches the nodes connected to it
+		this.watchdog = new NodeWatchdog(this.io, {
+			...config.watchdog,
+			nodes: () => this.connectedNodes,
+			expectedIntervals: async () =>
+				new Map(
+					(await this.deviceConfigs.list()).map((c) => [
+						c.nodeId,
+						c.samplingIntervalMs,
+					]),
+				),
+			reset: (nodeId) => this.resetStaleNode(nodeId),
+		});
+		this.readingStream = new ReadingStream(this.redis, {
+			key: config.batch.stream,
+		});
+		this.deadLetters = new DeadLetterQueue(this.redis, {
+			stream: config.batch.stream,
+		});
 		this.mongoClient = null;
 		this.db = null;
-
+		this.auth = null;
+		this.commandDispatcher = null;
+		this.commandRegistry = null;
+		this.deviceCredentials = null;
+		this.deviceConfigs = null;
+		this.registry = null;
+		this.health = null;
+		this.alertEngine = null;
+		this.notifier = null;
+		this.schedules = null;
+		this.sequences = null;
+		this.rollups = null;
+		this.series = null;
+		this.payloads = null;
+		this.exporter = null;
+		this.importer = null;
+		this.analytics = null;
+		this.scheduleTimer = null;
+		// nodeId -> schedule window/override currently applied to the node
+		this.activeSchedules = new Map();
+
+		// Sockets on this instance only; presence has the cluster-wide view
 		this.connectedNodes = new Map();
 		this.connectedClients = new Set();
 		this.nodeBuffers = new Map();
@@ -58,7 +226,13 @@ class SocketIOServer {
 
 	async initialize() {
 		// Setup Express middleware
-		this.app.use(cors());
+		this.app.use(
+			cors({
+				origin: config.cors.origins,
+				// Lets the dashboard name export downloads
+				exposedHeaders: ["Content-Disposition"],
+			}),
+		);
 		this.app.use(express.json());
 
 		// Connect to MongoDB
@@ -66,172 +240,1530 @@ class SocketIOServer {
 		await this.mongoClient.connect();
 		this.db = this.mongoClient.db(config.mongodb.database);
 
+		this.auth = new AuthService(this.db, config.auth);
+		await this.auth.setupIndexes();
+		await this.auth.ensureAdmin(
+			config.auth.adminUsername,
+			config.auth.adminPassword,
+		);
+
+		this.deviceCredentials = new DeviceCredentials(this.db);
+		await this.deviceCredentials.setupIndexes();
+
+		this.commandDispatcher = new CommandDispatcher(
+			this.db,
+			this.io,
+			config.commands,
+		);
+		await this.commandDispatcher.setupIndexes();
+
+		this.commandRegistry = new CommandRegistry(this.db);
+		await this.commandRegistry.initialize();
+
+		this.deviceConfigs = new DeviceConfigStore(this.db);
+		for (const { nodeId, group } of await this.deviceConfigs.list()) {
+			this.live.setGroup(nodeId, group);
+		}
+		this.registry = new DeviceRegistry(this.db);
+		await this.registry.setupIndexes();
+		this.health = new DeviceHealthStore(this.db, config.health);
+		await this.health.setupIndexes();
+		this.sequences = new SequenceTracker(this.db);
+		// Built by the ingest service; the server only reads them
+		this.rollups = new RollupService(this.db);
+		this.series = new SeriesAggregator(this.db);
+		this.payloads = new PayloadValidator();
+		this.exporter = new ReadingExporter(this.db);
+		this.importer = new ReadingImporter(this.db);
+		// Lden day/evening/night periods follow the same local time as schedules
+		this.analytics = new AcousticAnalytics(this.db, {
+			timezone: config.schedules.defaultTimezone,
+		});
+
+		this.schedules = new ScheduleService(this.db, config.schedules);
+		await this.schedules.initialize();
+
+		this.alertEngine = new AlertEngine(this.db, this.io, {
+			resolveThreshold: async (nodeId) =>
+				this.withSchedule(await this.deviceConfigs.get(nodeId))
+					.effectiveThreshold,
+		});
+		await this.alertEngine.initialize();
+
+		this.notifier = new NotificationService(this.db, config.notifications);
+		await this.notifier.setupIndexes();
+		this.notifier.attach(this.alertEngine);
+		await this.notifier.recover();
+
 		// Setup REST API routes
 		this.setupAPIRoutes();
 
 		// Setup Socket.IO handlers
 		this.setupSocketIO();
+		this.live.start();
+		this.watchdog.start();
+		this.commandDispatcher.start();
+		this.presence.start(
+			() => this.connectedNodes,
+			(nodeIds) => {
+				for (const nodeId of nodeIds) {
+					console.log(`📡 Node lost with its instance: ${nodeId}`);
+					this.registry
+						.disconnected(nodeId, { reason: "instance lost" })
+						.catch((error) =>
+							console.error(`Error closing session of ${nodeId}:`, error),
+						);
+					this.io.to("clients").emit("node:disconnected", { nodeId });
+				}
+			},
+		);
+
+		await this.applySchedules();
+		this.scheduleTimer = setInterval(
+			() =>
+				this.applySchedules().catch((error) =>
+					console.error("Error applying schedules:", error),
+				),
+			config.schedules.intervalMs,
+		);
 
 		// Start server
 		this.server.listen(config.port, () => {
-			console.log(`🚀 Server running on port ${config.port}`);
+			console.log(
+				`🚀 Server running on port ${config.port} (${config.cluster.instanceId})`,
+			);
 			console.log(`🔴 Redis: ${config.redis.host}:${config.redis.port}`);
 			console.log(`📊 MongoDB: ${config.mongodb.database}`);
+			if (config.devices.provisioningMode) {
+				console.warn("⚠️  Provisioning mode: unauthenticated nodes accepted");
+			}
 		});
 	}
 
 	setupAPIRoutes() {
-		// Health check
-		this.app.get("/api/health", (req, res) => {
-			res.json({
-				status: "ok",
-				nodes: this.connectedNodes.size,
-				clients: this.connectedClients.size,
-				timestamp: Date.now(),
-			});
+		const viewer = this.auth.requireRole("viewer");
+		const operator = this.auth.requireRole("operator");
+		const admin = this.auth.requireRole("admin");
+
+		// Health check. nodes counts the whole cluster; localNodes and
+		// clients are this instance's sockets
+		this.app.get("/api/health", async (req, res) => {
+			try {
+				const nodes = await this.presence.list();
+				res.json({
+					status: "ok",
+					instanceId: config.cluster.instanceId,
+					nodes: nodes.length,
+					localNodes: this.connectedNodes.size,
+					clients: this.connectedClients.size,
+					timestamp: Date.now(),
+				});
+			} catch (error) {
+				res.status(500).json({ status: "error", error: error.message });
+			}
 		});
 
-		// Get historical data by time range
-		this.app.get("/api/series/:nodeId", async (req, res) => {
+		// Get historical data by time range. With ?bucket=15m&agg=avg,p90 or
+		// ?points=500&method=lttb|minmax the readings are aggregated instead
+		this.app.get("/api/series/:nodeId", viewer, async (req, res) => {
 			try {
 				const { nodeId } = req.params;
-				const { fromTs, toTs, fromSeq, toSeq, limit = 1000 } = req.query;
+				const {
+					fromTs,
+					toTs,
+					fromSeq,
+					toSeq,
+					timeField = "ts",
+					limit = 1000,
+				} = req.query;
+
+				// ts = device measurement time, receivedAt = server receive time
+				if (!["ts", "receivedAt"].includes(timeField)) {
+					return res.status(400).json({
+						success: false,
+						error: "timeField must be ts or receivedAt",
+					});
+				}
+
+				if (req.query.bucket || req.query.points) {
+					return await this.aggregateSeries(nodeId, req, res);
+				}
 
 				const query = { nodeId };
+				let sort = { seq: 1 };
 
 				if (fromTs && toTs) {
-					query.ts = { $gte: parseInt(fromTs), $lte: parseInt(toTs) };
+					query[timeField] = { $gte: parseInt(fromTs), $lte: parseInt(toTs) };
+					// Buffered readings arrive out of order, so order by time
+					sort = { [timeField]: 1, seq: 1 };
 				} else if (fromSeq && toSeq) {
 					query.seq = { $gte: parseInt(fromSeq), $lte: parseInt(toSeq) };
 				}
 
 				const data = await this.db
-					.collection("timeseries")
+					.collection(READINGS)
 					.find(query)
-					.sort({ seq: 1 })
+					.sort(sort)
 					.limit(parseInt(limit))
 					.toArray();
 
-				res.json({ success: true, data, count: data.length });
+				res.json({ success: true, data, count: data.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Pre-aggregated buckets: ?resolution=1m|1h|1d&fromTs&toTs
+		this.app.get("/api/rollups/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { resolution = "1m", fromTs, toTs, limit } = req.query;
+
+				if (!RollupService.LEVELS.includes(resolution)) {
+					return res.status(400).json({
+						success: false,
+						error: `resolution must be one of: ${RollupService.LEVELS.join(", ")}`,
+					});
+				}
+
+				const data = await this.rollups.query(nodeId, resolution, {
+					from: parseInt(fromTs) || undefined,
+					to: parseInt(toTs) || undefined,
+					limit,
+				});
+				res.json({ success: true, resolution, data, count: data.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Get latest reading
+		this.app.get("/api/latest/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+
+				const latest = await this.db
+					.collection(READINGS)
+					.findOne({ nodeId }, { sort: { seq: -1 } });
+
+				res.json({ success: true, data: latest });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Sync endpoint - get missing sequences
+		this.app.get("/api/sync/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { lastSeq } = req.query;
+
+				if (!lastSeq) {
+					return res
+						.status(400)
+						.json({ success: false, error: "lastSeq required" });
+				}
+
+				const data = await this.db
+					.collection(READINGS)
+					.find({ nodeId, seq: { $gt: parseInt(lastSeq) } })
+					.sort({ seq: 1 })
+					.toArray();
+
+				res.json({ success: true, data, count: data.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Send commands to ESP32 devices
+		this.app.post("/api/command/:nodeId", operator, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { command, data, ttlSeconds } = req.body;
+
+				const definition = this.commandRegistry.get(command);
+				if (!definition) {
+					return res
+						.status(400)
+						.json({ success: false, error: "Invalid command" });
+				}
+
+				const payload = data || {};
+				const errors = this.commandRegistry.validate(command, payload);
+				if (errors) {
+					return res.status(400).json({
+						success: false,
+						error: "Invalid payload",
+						details: errors,
+					});
+				}
+
+				// Legacy aliases go out as the command they stand for
+				const canonical = this.commandRegistry.canonical(command, payload);
+				const target = this.commandRegistry.get(canonical.command);
+				if (!target) {
+					return res
+						.status(400)
+						.json({ success: false, error: "Invalid command" });
+				}
+
+				const spec = {
+					nodeId,
+					command: canonical.command,
+					event: target.event,
+					payload: canonical.payload,
+					sentBy: req.user.username,
+				};
+
+				// Emit event to the node on whichever instance holds it; the
+				// outcome arrives later as command:status
+				const sent = await this.sendCommand(spec);
+
+				// Offline nodes get the command when they next register
+				if (!sent) {
+					const ttlMs =
+						parseInt(ttlSeconds, 10) > 0
+							? parseInt(ttlSeconds, 10) * 1000
+							: config.commands.queueTtlMs;
+					const queued = await this.commandDispatcher.enqueue(spec, ttlMs);
+					// The node may have registered meanwhile, after its
+					// connect-time delivery had already looked at the queue
+					await this.deliverQueued(nodeId);
+
+					return res.status(202).json({
+						success: true,
+						message: `${nodeId} is offline, command ${command} queued`,
+						command: queued,
+					});
+				}
+
+				console.log(
+					`📤 Command sent to ${nodeId} by ${req.user.username}: ${command}`,
+					data,
+				);
+				res.status(202).json({
+					success: true,
+					message: `Command ${command} sent to ${nodeId}`,
+					command: sent,
+				});
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Commands the dashboard can offer, with payload schemas.
+		// Registered before /api/commands/:nodeId so "catalog" is not a node id.
+		this.app.get("/api/commands/catalog", viewer, (req, res) => {
+			res.json({ success: true, commands: this.commandRegistry.list() });
+		});
+
+		this.app.put("/api/commands/catalog/:name", admin, async (req, res) => {
+			try {
+				const command = await this.commandRegistry.upsert(
+					req.params.name,
+					req.body || {},
+				);
+
+				this.announceChange("commands");
+				console.log(
+					`🧾 Command ${req.params.name} saved by ${req.user.username}`,
+				);
+				res.json({ success: true, command });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.delete("/api/commands/catalog/:name", admin, async (req, res) => {
+			try {
+				if (this.commandRegistry.isBuiltIn(req.params.name)) {
+					return res.status(403).json({
+						success: false,
+						error: `${req.params.name} is built in and cannot be deleted`,
+					});
+				}
+
+				const removed = await this.commandRegistry.remove(req.params.name);
+				if (!removed) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Command not found" });
+				}
+
+				this.announceChange("commands");
+				res.json({ success: true });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Commands across all nodes, e.g. ?status=queued for pending work
+		this.app.get("/api/commands", viewer, async (req, res) => {
+			try {
+				const { limit, status } = req.query;
+				const commands = await this.commandDispatcher.history(null, {
+					limit,
+					status,
+				});
+
+				res.json({ success: true, commands, count: commands.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Command history for a node, newest first
+		this.app.get("/api/commands/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { limit, status } = req.query;
+				const commands = await this.commandDispatcher.history(nodeId, {
+					limit,
+					status,
+				});
+
+				res.json({ success: true, commands, count: commands.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Every known node, with `connected` telling online from offline
+		this.app.get("/api/nodes", viewer, async (req, res) => {
+			try {
+				const nodes = await this.listNodes();
+				res.json({ success: true, nodes });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Diagnostics samples (RSSI, heap, uptime...) over ?from&to (ms),
+		// newest first, by default the last 24 hours
+		this.app.get("/api/nodes/:nodeId/health", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const [latest, samples] = await Promise.all([
+					this.health.latest(nodeId),
+					this.health.history(nodeId, {
+						from: parseInt(req.query.from, 10),
+						to: parseInt(req.query.to, 10),
+						limit: req.query.limit,
+					}),
+				]);
+
+				res.json({ success: true, nodeId, latest, samples });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Connection history of a node and its uptime over ?from&to (ms),
+		// by default the last 7 days
+		this.app.get("/api/nodes/:nodeId/sessions", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const device = await this.registry.get(nodeId);
+				if (!device) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Unknown node" });
+				}
+
+				const history = await this.registry.history(nodeId, {
+					from: parseInt(req.query.from, 10),
+					to: parseInt(req.query.to, 10),
+					limit: req.query.limit,
+				});
+				res.json({ success: true, device, ...history });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Nodes whose payloads failed validation, with counts per reason
+		this.app.get("/api/rejections", viewer, async (req, res) => {
+			try {
+				const docs = await this.db
+					.collection("node_metrics")
+					.find(
+						{ rejected: { $gt: 0 } },
+						{ projection: { rejected: 1, rejections: 1, lastRejection: 1 } },
+					)
+					.sort({ "lastRejection.at": -1 })
+					.toArray();
+				const nodes = docs.map(({ _id, ...rest }) => ({
+					nodeId: _id,
+					...rest,
+				}));
+				res.json({ success: true, schemas: PayloadValidator.SCHEMAS, nodes });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Get node metrics
+		this.app.get("/api/metrics/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const doc = await this.db
+					.collection("node_metrics")
+					.findOne({ _id: nodeId }, { projection: { _id: 0 } });
+
+				res.json({ success: true, metrics: doc || {} });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Streamed CSV/NDJSON download of raw readings:
+		// ?fromTs&toTs&format=csv|ndjson&columns=a,b&timezone=<IANA>&gzip=1
+		this.app.get("/api/export/:nodeId", viewer, (req, res) =>
+			this.exportReadings([req.params.nodeId], req, res),
+		);
+
+		// Several nodes in one file: ?nodes=a,b,c plus the options above
+		this.app.get("/api/export", viewer, (req, res) => {
+			const nodeIds = [
+				...new Set(
+					String(req.query.nodes || "")
+						.split(",")
+						.map((id) => id.trim())
+						.filter(Boolean),
+				),
+			];
+			if (nodeIds.length === 0) {
+				return res
+					.status(400)
+					.json({ success: false, error: "nodes is required (a,b,c)" });
+			}
+			return this.exportReadings(nodeIds, req, res);
+		});
+
+		// Leq, L10/L50/L90 and Lden over [fromTs, toTs), the last 24h by
+		// default; ?source=auto|raw|rollup&timezone=<IANA zone for Lden>
+		this.app.get("/api/analytics/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { source = "auto", timezone } = req.query;
+				const to = parseInt(req.query.toTs) || Date.now();
+				const from = parseInt(req.query.fromTs) || to - 86400000;
+
+				if (from >= to) {
+					return res
+						.status(400)
+						.json({ success: false, error: "fromTs must be before toTs" });
+				}
+				if (!AcousticAnalytics.SOURCES.includes(source)) {
+					return res.status(400).json({
+						success: false,
+						error: `source must be one of: ${AcousticAnalytics.SOURCES.join(", ")}`,
+					});
+				}
+				if (
+					this.analytics.resolveSource(source, to - from) === "raw" &&
+					to - from > AcousticAnalytics.MAX_RAW_SPAN_MS
+				) {
+					return res.status(400).json({
+						success: false,
+						error: "Raw analytics are limited to 7 days; use source=rollup",
+					});
+				}
+				if (timezone) {
+					try {
+						new Intl.DateTimeFormat("en", { timeZone: timezone });
+					} catch {
+						return res.status(400).json({
+							success: false,
+							error: `Unknown timezone: ${timezone}`,
+						});
+					}
+				}
+
+				const analytics = await this.analytics.compute(nodeId, {
+					from,
+					to,
+					source,
+					timezone,
+				});
+				res.json({ success: true, ...analytics });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Share of device sequence numbers received, per node;
+		// ?since=<epoch ms> limits it to boots active since then
+		this.app.get("/api/completeness", viewer, async (req, res) => {
+			try {
+				const since = parseInt(req.query.since) || undefined;
+				const nodes = await this.sequences.summary({ since });
+				res.json({ success: true, nodes });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.get("/api/completeness/:nodeId", viewer, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { bootId, limit } = req.query;
+				const since = parseInt(req.query.since) || undefined;
+
+				const completeness = await this.sequences.completeness(nodeId, {
+					since,
+				});
+				const missingRanges = await this.sequences.missingRanges(nodeId, {
+					bootId,
+					limit,
+				});
+
+				res.json({ success: true, ...completeness, missingRanges });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.setupAuthRoutes();
+		this.setupDeviceCredentialRoutes();
+		this.setupDeviceConfigRoutes();
+		this.setupAlertRoutes();
+		this.setupNotificationRoutes();
+		this.setupScheduleRoutes();
+		this.setupIngestRoutes();
+	}
+
+	async exportReadings(nodeIds, req, res) {
+		const { format = "csv", timezone = "UTC" } = req.query;
+		const from = parseInt(req.query.fromTs);
+		const to = parseInt(req.query.toTs);
+		const gzip = ["1", "true"].includes(String(req.query.gzip));
+
+		if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+			return res
+				.status(400)
+				.json({ success: false, error: "fromTs and toTs are required" });
+		}
+		if (!ReadingExporter.FORMATS.includes(format)) {
+			return res.status(400).json({
+				success: false,
+				error: `format must be one of: ${ReadingExporter.FORMATS.join(", ")}`,
+			});
+		}
+
+		let columns;
+		try {
+			columns = this.exporter.parseColumns(req.query.columns);
+			new Intl.DateTimeFormat("en", { timeZone: timezone });
+		} catch (error) {
+			return res.status(400).json({
+				success: false,
+				error:
+					error instanceof RangeError
+						? `Unknown timezone: ${timezone}`
+						: error.message,
+			});
+		}
+
+		const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+		const name = nodeIds.length === 1 ? nodeIds[0] : `${nodeIds.length}-nodes`;
+		const filename = `${name.replace(/[^A-Za-z0-9_.-]/g, "_")}_${day(from)}_${day(to)}.${format}${gzip ? ".gz" : ""}`;
+
+		res.setHeader(
+			"Content-Type",
+			gzip
+				? "application/gzip"
+				: format === "csv"
+					? "text/csv; charset=utf-8"
+					: "application/x-ndjson",
+		);
+		res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+		try {
+			await this.exporter.stream(res, {
+				nodeIds,
+				from,
+				to,
+				columns,
+				format,
+				timezone,
+				gzip,
+			});
+			console.log(`📤 ${req.user.username} exported ${filename}`);
+		} catch (error) {
+			// The client cancelled the download
+			if (error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+			console.error("Export error:", error);
+			// Once rows have been sent the only signal left is a cut connection
+			if (!res.headersSent) {
+				res.status(500).json({ success: false, error: error.message });
+			} else {
+				res.destroy(error);
+			}
+		}
+	}
+
+	// Bucketed (?bucket&agg) or downsampled (?points&method) series; the
+	// caller has already validated timeField
+	async aggregateSeries(nodeId, req, res) {
+		const {
+			fromTs,
+			toTs,
+			timeField = "ts",
+			bucket,
+			agg = "min,max,avg,count",
+			points,
+			method = "lttb",
+			metric = "level",
+		} = req.query;
+
+		const from = parseInt(fromTs);
+		const to = parseInt(toTs);
+		if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+			return res.status(400).json({
+				success: false,
+				error: "fromTs and toTs are required for aggregated series",
+			});
+		}
+
+		if (!SeriesAggregator.METRICS.includes(metric)) {
+			return res.status(400).json({
+				success: false,
+				error: `metric must be one of: ${SeriesAggregator.METRICS.join(", ")}`,
+			});
+		}
+
+		const options = { from, to, timeField, metric };
+
+		if (points) {
+			const target = parseInt(points);
+			if (!(target >= 3 && target <= SeriesAggregator.MAX_POINTS)) {
+				return res.status(400).json({
+					success: false,
+					error: `points must be between 3 and ${SeriesAggregator.MAX_POINTS}`,
+				});
+			}
+			if (!SeriesAggregator.METHODS.includes(method)) {
+				return res.status(400).json({
+					success: false,
+					error: `method must be one of: ${SeriesAggregator.METHODS.join(", ")}`,
+				});
+			}
+
+			const data = await this.series.downsample(nodeId, {
+				...options,
+				points: target,
+				method,
+			});
+			return res.json({
+				success: true,
+				method,
+				metric,
+				data,
+				count: data.length,
+			});
+		}
+
+		const bucketMs = parseBucket(bucket);
+		if (!bucketMs) {
+			return res.status(400).json({
+				success: false,
+				error: "bucket must look like 30s, 15m, 1h or 1d",
+			});
+		}
+		if ((to - from) / bucketMs > SeriesAggregator.MAX_BUCKETS) {
+			return res.status(400).json({
+				success: false,
+				error: `Range spans more than ${SeriesAggregator.MAX_BUCKETS} buckets`,
+			});
+		}
+
+		const aggs = [...new Set(agg.split(",").map((name) => name.trim()))];
+		const unknown = aggs.filter(
+			(name) => !SeriesAggregator.AGGREGATES.includes(name),
+		);
+		if (unknown.length > 0) {
+			return res.status(400).json({
+				success: false,
+				error: `Unknown agg: ${unknown.join(", ")} (use ${SeriesAggregator.AGGREGATES.join(", ")})`,
+			});
+		}
+
+		const data = await this.series.buckets(nodeId, {
+			...options,
+			bucketMs,
+			aggs,
+		});
+		res.json({ success: true, bucket, metric, data, count: data.length });
+	}
+
+	setupIngestRoutes() {
+		const operator = this.auth.requireRole("operator");
+		const admin = this.auth.requireRole("admin");
+		const decoders = {
+			identity: null,
+			gzip: zlib.createGunzip,
+			deflate: zlib.createInflate,
+		};
+
+		// Backfill from an SD-card log. The body is the file itself
+		// (text/csv or application/x-ndjson, optionally gzip-encoded), read
+		// line by line as it arrives like the CLI does; ?format overrides the
+		// content type, ?dryRun=1 only validates.
+		this.app.post("/api/import/:nodeId", operator, async (req, res) => {
+			try {
+				const format =
+					req.query.format ||
+					(req.is("text/csv")
+						? "csv"
+						: req.is(["application/x-ndjson", "application/ndjson"])
+							? "ndjson"
+							: null);
+				if (!format) {
+					return res.status(400).json({
+						success: false,
+						error:
+							"Send the file as text/csv or application/x-ndjson, or set ?format",
+					});
+				}
+				if (!ReadingImporter.FORMATS.includes(format)) {
+					return res.status(400).json({
+						success: false,
+						error: `format must be one of: ${ReadingImporter.FORMATS.join(", ")}`,
+					});
+				}
+
+				const encoding = String(
+					req.headers["content-encoding"] || "identity",
+				).toLowerCase();
+				if (!(encoding in decoders)) {
+					return res.status(415).json({
+						success: false,
+						error: `Unsupported content encoding: ${encoding}`,
+					});
+				}
+
+				// readline fails on decoder errors too, but keep the pipeline's
+				// own so a body cut short is never taken for the whole file
+				let decodeError = null;
+				const input = decoders[encoding]
+					? pipeline(req, decoders[encoding](), (error) => {
+							decodeError = error || null;
+						})
+					: req;
+				const reader = readline.createInterface({
+					input,
+					crlfDelay: Infinity,
+				});
+				const lines = (async function* () {
+					yield* reader;
+					if (decodeError) throw decodeError;
+				})();
+
+				const report = await this.importer.import(req.params.nodeId, lines, {
+					format,
+					filename: req.query.filename,
+					user: req.user.username,
+					dryRun: ["1", "true"].includes(String(req.query.dryRun)),
+				});
+				console.log(
+					`📥 ${req.user.username} ${report.dryRun ? "checked" : "imported"} ${report.accepted} readings for ${report.nodeId} ` +
+						`(${report.duplicates} duplicate, ${report.rejected} rejected)`,
+				);
+				res.json({ success: true, report });
+			} catch (error) {
+				// Bodies that are not valid gzip/deflate are the client's fault
+				const status = String(error.code).startsWith("Z_") ? 400 : 500;
+				res.status(status).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.get("/api/imports", operator, async (req, res) => {
+			try {
+				const { nodeId, limit } = req.query;
+				const imports = await this.importer.list({ nodeId, limit });
+				res.json({ success: true, imports });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Stream backlog, consumer lag and dead-letter count
+		this.app.get("/api/ingest/status", admin, async (req, res) => {
+			try {
+				const stream = await this.readingStream.status();
+				const deadLetters = await this.deadLetters.count();
+				res.json({ success: true, ...stream, deadLetters });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Batches the ingest service could not write to MongoDB
+
+		this.app.get("/api/ingest/dlq", admin, async (req, res) => {
+			try {
+				const entries = await this.deadLetters.list({
+					nodeId: req.query.nodeId,
+				});
+				res.json({ success: true, entries, count: entries.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Replays everything (optionally for one node)
+		this.app.post("/api/ingest/dlq/replay", admin, async (req, res) => {
+			try {
+				const entries = await this.deadLetters.list({
+					nodeId: req.body?.nodeId,
+				});
+				const replayed = [];
+				for (const { id } of entries) {
+					const result = await this.deadLetters.replay(id);
+					if (result) replayed.push(result);
+				}
+
+				console.log(
+					`♻️  ${req.user.username} replayed ${replayed.length} dead-letter batch(es)`,
+				);
+				res.json({ success: true, replayed });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.get("/api/ingest/dlq/:id", admin, async (req, res) => {
+			try {
+				const entry = await this.deadLetters.get(req.params.id);
+				if (!entry) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Entry not found" });
+				}
+
+				res.json({ success: true, entry });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.post("/api/ingest/dlq/:id/replay", admin, async (req, res) => {
+			try {
+				const result = await this.deadLetters.replay(req.params.id);
+				if (!result) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Entry not found" });
+				}
+
+				console.log(
+					`♻️  ${req.user.username} replayed ${result.count} readings for ${result.nodeId}`,
+				);
+				res.json({ success: true, replayed: result });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.delete("/api/ingest/dlq/:id", admin, async (req, res) => {
+			try {
+				const removed = await this.deadLetters.remove(req.params.id);
+				if (!removed) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Entry not found" });
+				}
+
+				res.json({ success: true });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+	}
+
+	setupScheduleRoutes() {
+		const viewer = this.auth.requireRole("viewer");
+		const operator = this.auth.requireRole("operator");
+
+		this.app.get("/api/schedules", viewer, (req, res) => {
+			res.json({ success: true, profiles: this.schedules.list() });
+		});
+
+		this.app.get("/api/schedules/active", viewer, (req, res) => {
+			const active = Array.from(this.activeSchedules, ([nodeId, schedule]) => ({
+				nodeId,
+				...schedule,
+			}));
+			res.json({ success: true, active });
+		});
+
+		this.app.post("/api/schedules", operator, async (req, res) => {
+			try {
+				const profile = await this.schedules.create(
+					req.body || {},
+					req.user.username,
+				);
+				this.announceChange("schedules");
+				await this.applySchedules();
+				res.status(201).json({ success: true, profile });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.put("/api/schedules/:profileId", operator, async (req, res) => {
+			try {
+				const profile = await this.schedules.update(
+					req.params.profileId,
+					req.body || {},
+					req.user.username,
+				);
+				if (!profile) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Profile not found" });
+				}
+
+				this.announceChange("schedules");
+				await this.applySchedules();
+				res.json({ success: true, profile });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.delete("/api/schedules/:profileId", operator, async (req, res) => {
+			try {
+				const deleted = await this.schedules.remove(req.params.profileId);
+				if (!deleted) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Profile not found" });
+				}
+
+				this.announceChange("schedules");
+				await this.applySchedules();
+				res.json({ success: true });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+	}
+
+	setupNotificationRoutes() {
+		const operator = this.auth.requireRole("operator");
+		const admin = this.auth.requireRole("admin");
+
+		this.app.get("/api/notifications/channels", admin, async (req, res) => {
+			try {
+				const channels = await this.notifier.listChannels();
+				res.json({ success: true, channels });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.post("/api/notifications/channels", admin, async (req, res) => {
+			try {
+				const channel = await this.notifier.createChannel(
+					req.body || {},
+					req.user.username,
+				);
+				res.status(201).json({ success: true, channel });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.put(
+			"/api/notifications/channels/:channelId",
+			admin,
+			async (req, res) => {
+				try {
+					const channel = await this.notifier.updateChannel(
+						req.params.channelId,
+						req.body || {},
+						req.user.username,
+					);
+					if (!channel) {
+						return res
+							.status(404)
+							.json({ success: false, error: "Channel not found" });
+					}
+
+					res.json({ success: true, channel });
+				} catch (error) {
+					res.status(400).json({ success: false, error: error.message });
+				}
+			},
+		);
+
+		this.app.delete(
+			"/api/notifications/channels/:channelId",
+			admin,
+			async (req, res) => {
+				try {
+					const deleted = await this.notifier.deleteChannel(
+						req.params.channelId,
+					);
+					if (!deleted) {
+						return res
+							.status(404)
+							.json({ success: false, error: "Channel not found" });
+					}
+
+					res.json({ success: true });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
+
+		// Sends one synthetic alert without retries and reports the outcome
+		this.app.post(
+			"/api/notifications/channels/:channelId/test",
+			admin,
+			async (req, res) => {
+				try {
+					const delivered = await this.notifier.testChannel(
+						req.params.channelId,
+					);
+					if (delivered === null) {
+						return res
+							.status(404)
+							.json({ success: false, error: "Channel not found" });
+					}
+
+					const [delivery] = await this.notifier.listDeliveries({
+						channelId: req.params.channelId,
+						limit: 1,
+					});
+					res.json({ success: delivered, delivery });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
+
+		this.app.get(
+			"/api/notifications/deliveries",
+			operator,
+			async (req, res) => {
+				try {
+					const { channelId, alertId, status, limit } = req.query;
+					const deliveries = await this.notifier.listDeliveries({
+						channelId,
+						alertId,
+						status,
+						limit,
+					});
+					res.json({ success: true, deliveries, count: deliveries.length });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
+	}
+
+	setupAlertRoutes() {
+		const viewer = this.auth.requireRole("viewer");
+		const operator = this.auth.requireRole("operator");
+
+		this.app.get("/api/alerts", viewer, async (req, res) => {
+			try {
+				const { nodeId, status, limit } = req.query;
+				const alerts = await this.alertEngine.list({ nodeId, status, limit });
+				res.json({ success: true, alerts, count: alerts.length });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.get("/api/alerts/rules", viewer, (req, res) => {
+			res.json({ success: true, rules: this.alertEngine.listRules() });
+		});
+
+		this.app.post("/api/alerts/rules", operator, async (req, res) => {
+			try {
+				const rule = await this.alertEngine.createRule(
+					req.body || {},
+					req.user.username,
+				);
+				this.announceChange("alertRules");
+				res.status(201).json({ success: true, rule });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.put("/api/alerts/rules/:ruleId", operator, async (req, res) => {
+			try {
+				const rule = await this.alertEngine.updateRule(
+					req.params.ruleId,
+					req.body || {},
+					req.user.username,
+				);
+				if (!rule) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Rule not found" });
+				}
+
+				this.announceChange("alertRules");
+				res.json({ success: true, rule });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.delete("/api/alerts/rules/:ruleId", operator, async (req, res) => {
+			try {
+				const deleted = await this.alertEngine.deleteRule(req.params.ruleId);
+				if (!deleted) {
+					return res
+						.status(404)
+						.json({ success: false, error: "Rule not found" });
+				}
+
+				this.announceChange("alertRules");
+				res.json({ success: true });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+	}
+
+	setupDeviceConfigRoutes() {
+		const viewer = this.auth.requireRole("viewer");
+		const operator = this.auth.requireRole("operator");
+
+		this.app.get("/api/configs", viewer, async (req, res) => {
+			try {
+				const configs = await this.deviceConfigs.list();
+				res.json({
+					success: true,
+					configs: configs.map((config) => this.withSchedule(config)),
+				});
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		this.app.get("/api/nodes/:nodeId/config", viewer, async (req, res) => {
+			try {
+				const config = await this.deviceConfigs.get(req.params.nodeId);
+				res.json({ success: true, config: this.withSchedule(config) });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
+
+		// Save and, if the node is online, push the new config right away
+		this.app.put("/api/nodes/:nodeId/config", operator, async (req, res) => {
+			try {
+				const { nodeId } = req.params;
+				const { config: saved, errors } = await this.deviceConfigs.update(
+					nodeId,
+					req.body || {},
+					req.user.username,
+					(next) => this.withSchedule(next).effectiveThreshold,
+				);
+
+				if (errors) {
+					return res
+						.status(400)
+						.json({ success: false, error: "Invalid config", details: errors });
+				}
+
+				const config = this.refreshNodeConfig(saved);
+				this.announceChange("deviceConfig", nodeId);
+				this.io.to("clients").emit("config:updated", config);
+
+				const spec = await this.configCommand(nodeId, req.user.username);
+				const command = spec ? await this.sendCommand(spec) : null;
+
+				res.json({ success: true, config, command });
 			} catch (error) {
 				res.status(500).json({ success: false, error: error.message });
 			}
 		});
+	}
 
-		// Get latest reading
-		this.app.get("/api/latest/:nodeId", async (req, res) => {
+	setupAuthRoutes() {
+		const admin = this.auth.requireRole("admin");
+
+		this.app.post("/api/auth/login", async (req, res) => {
 			try {
-				const { nodeId } = req.params;
+				const { username, password } = req.body || {};
+				if (
+					typeof username !== "string" ||
+					typeof password !== "string" ||
+					!username ||
+					!password
+				) {
+					return res.status(400).json({
+						success: false,
+						error: "username and password required",
+					});
+				}
 
-				const latest = await this.db
-					.collection("timeseries")
-					.findOne({ nodeId }, { sort: { seq: -1 } });
+				const session = await this.auth.login(username, password);
+				if (!session) {
+					return res
+						.status(401)
+						.json({ success: false, error: "Invalid credentials" });
+				}
 
-				res.json({ success: true, data: latest });
+				console.log(`🔓 Login: ${username} (${session.user.role})`);
+				res.json({ success: true, ...session });
 			} catch (error) {
 				res.status(500).json({ success: false, error: error.message });
 			}
 		});
 
-		// Sync endpoint - get missing sequences
-		this.app.get("/api/sync/:nodeId", async (req, res) => {
+		this.app.get(
+			"/api/auth/me",
+			this.auth.requireRole("viewer"),
+			(req, res) => {
+				res.json({ success: true, user: req.user });
+			},
+		);
+
+		this.app.get("/api/users", admin, async (req, res) => {
 			try {
-				const { nodeId } = req.params;
-				const { lastSeq } = req.query;
+				const users = await this.auth.listUsers();
+				res.json({ success: true, users });
+			} catch (error) {
+				res.status(500).json({ success: false, error: error.message });
+			}
+		});
 
-				if (!lastSeq) {
-					return res
-						.status(400)
-						.json({ success: false, error: "lastSeq required" });
+		this.app.post("/api/users", admin, async (req, res) => {
+			try {
+				const { username, password, role } = req.body || {};
+				if (!username || !password) {
+					return res.status(400).json({
+						success: false,
+						error: "username and password required",
+					});
 				}
 
-				const data = await this.db
-					.collection("timeseries")
-					.find({ nodeId, seq: { $gt: parseInt(lastSeq) } })
-					.sort({ seq: 1 })
-					.toArray();
-
-				res.json({ success: true, data, count: data.length });
+				const user = await this.auth.createUser(username, password, role);
+				res.status(201).json({ success: true, user });
 			} catch (error) {
-				res.status(500).json({ success: false, error: error.message });
+				const status = error.code === 11000 ? 409 : 400;
+				res.status(status).json({ success: false, error: error.message });
 			}
 		});
 
-		// Send commands to ESP32 devices
-		this.app.post("/api/command/:nodeId", async (req, res) => {
+		this.app.patch("/api/users/:username", admin, async (req, res) => {
 			try {
-				const { nodeId } = req.params;
-				const { command, data } = req.body;
+				const { role, password } = req.body || {};
+				const user = await this.auth.updateUser(req.params.username, {
+					role,
+					password,
+				});
 
-				const nodeInfo = this.connectedNodes.get(nodeId);
-				if (!nodeInfo) {
+				if (!user) {
 					return res
 						.status(404)
-						.json({ success: false, error: "Node not connected" });
+						.json({ success: false, error: "User not found" });
 				}
 
-				const socket = this.io.sockets.sockets.get(nodeInfo.socketId);
-				if (!socket) {
-					return res
-						.status(404)
-						.json({ success: false, error: "Socket not found" });
+				// Their tokens are revoked; drop live dashboards too
+				if (role !== undefined || password !== undefined) {
+					this.signOutSockets(user.username);
 				}
 
-				// Send command to ESP32 based on command type
-				const commandMap = {
-					setThreshold: "/threshold/set",
-					stop: "/stop",
-					start: "/start",
-					reset: "/reset",
-				};
+				res.json({ success: true, user });
+			} catch (error) {
+				res.status(400).json({ success: false, error: error.message });
+			}
+		});
 
-				const eventName = commandMap[command];
-				if (!eventName) {
+		this.app.delete("/api/users/:username", admin, async (req, res) => {
+			try {
+				if (req.params.username === req.user.username) {
 					return res
 						.status(400)
-						.json({ success: false, error: "Invalid command" });
+						.json({ success: false, error: "Cannot delete yourself" });
 				}
 
-				// Emit event to ESP32
-				socket.emit("event", [eventName, data || {}]);
+				const deleted = await this.auth.deleteUser(req.params.username);
+				if (!deleted) {
+					return res
+						.status(404)
+						.json({ success: false, error: "User not found" });
+				}
+				this.signOutSockets(req.params.username);
 
-				console.log(`📤 Command sent to ${nodeId}: ${command}`, data);
-				res.json({
-					success: true,
-					message: `Command ${command} sent to ${nodeId}`,
-				});
+				res.json({ success: true });
 			} catch (error) {
 				res.status(500).json({ success: false, error: error.message });
 			}
 		});
+	}
 
-		// Get connected nodes
-		this.app.get("/api/nodes", async (req, res) => {
-			const nodes = Array.from(this.connectedNodes.entries()).map(
-				([id, info]) => ({
-					nodeId: id,
-					...info,
-				}),
-			);
-
-			res.json({ success: true, nodes });
-		});
+	setupDeviceCredentialRoutes() {
+		const admin = this.auth.requireRole("admin");
 
-		// Get node metrics
-		this.app.get("/api/metrics/:nodeId", async (req, res) => {
+		// List devices with credentials (hashes are never returned)
+		this.app.get("/api/devices/credentials", admin, async (req, res) => {
 			try {
-				const { nodeId } = req.params;
-				const metricsKey = `metrics:${nodeId}`;
-				const metrics = await this.redis.hgetall(metricsKey);
-
-				res.json({ success: true, metrics });
+				const devices = await this.deviceCredentials.list();
+				res.json({ success: true, devices });
 			} catch (error) {
 				res.status(500).json({ success: false, error: error.message });
 			}
 		});
+
+		// Issue a new API key (shown once)
+		this.app.post(
+			"/api/devices/:deviceId/credentials",
+			admin,
+			async (req, res) => {
+				try {
+					const { deviceId } = req.params;
+					const apiKey = await this.deviceCredentials.issue(
+						deviceId,
+						req.user.username,
+					);
+
+					if (!apiKey) {
+						return res.status(409).json({
+							success: false,
+							error: "Device already has active credentials, rotate instead",
+						});
+					}
+
+					console.log(`🔑 Credentials issued for ${deviceId}`);
+					res.status(201).json({ success: true, deviceId, apiKey });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
+
+		// Replace the API key; the old key stops working immediately
+		this.app.post(
+			"/api/devices/:deviceId/credentials/rotate",
+			admin,
+			async (req, res) => {
+				try {
+					const { deviceId } = req.params;
+					const apiKey = await this.deviceCredentials.rotate(
+						deviceId,
+						req.user.username,
+					);
+
+					if (!apiKey) {
+						return res
+							.status(404)
+							.json({ success: false, error: "No active credentials" });
+					}
+
+					console.log(`🔑 Credentials rotated for ${deviceId}`);
+					this.disconnectNode(deviceId);
+					res.json({ success: true, deviceId, apiKey });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
+
+		this.app.delete(
+			"/api/devices/:deviceId/credentials",
+			admin,
+			async (req, res) => {
+				try {
+					const { deviceId } = req.params;
+					const revoked = await this.deviceCredentials.revoke(
+						deviceId,
+						req.user.username,
+					);
+
+					if (!revoked) {
+						return res
+							.status(404)
+							.json({ success: false, error: "No active credentials" });
+					}
+
+					console.log(`🔒 Credentials revoked for ${deviceId}`);
+					this.disconnectNode(deviceId);
+					res.json({ success: true, deviceId });
+				} catch (error) {
+					res.status(500).json({ success: false, error: error.message });
+				}
+			},
+		);
 	}
 
 	setupSocketIO() {
+		// Authenticate devices during the handshake. Devices pass
+		// { deviceId, apiKey } as auth or query params (the ESP32 client
+		// can only set query params). Sockets without credentials may still
+		// connect as dashboard clients.
+		this.io.use(async (socket, next) => {
+			try {
+				const auth = { ...socket.handshake.query, ...socket.handshake.auth };
+				if (!auth.apiKey) return next();
+
+				const valid = await this.deviceCredentials.verify(
+					auth.deviceId,
+					auth.apiKey,
+				);
+				if (!valid) {
+					console.warn(
+						`🚫 Rejected device handshake for ${auth.deviceId || "unknown"}`,
+					);
+					return next(new Error("unauthorized"));
+				}
+
+				socket.data.deviceId = auth.deviceId;
+				next();
+			} catch (error) {
+				next(error);
+			}
+		});
+
+		// Another instance changed something this one keeps in memory
+		this.io.on("cache:invalidate", (scope, nodeId) => {
+			this.reloadCache(scope, nodeId).catch((error) =>
+				console.error(`Error reloading ${scope} cache:`, error),
+			);
+		});
+
+		// Commands routed here by the instance that received the API call
+		this.io.on("command:dispatch", (instanceId, spec, ack) => {
+			const socket = this.nodeSocket(spec.nodeId);
+			if (instanceId !== config.cluster.instanceId || !socket) {
+				ack(null);
+				return;
+			}
+
+			this.commandDispatcher.dispatch(socket, spec).then(ack, (error) => {
+				console.error(
+					`Error dispatching routed command to ${spec.nodeId}:`,
+					error,
+				);
+				ack(null);
+			});
+		});
+
+		// Queue deliveries routed here the same way
+		this.io.on("queue:deliver", (instanceId, nodeId) => {
+			const socket = this.nodeSocket(nodeId);
+			if (instanceId !== config.cluster.instanceId || !socket) return;
+
+			this.commandDispatcher
+				.deliverQueued(socket, nodeId)
+				.catch((error) =>
+					console.error(`Error delivering queue of ${nodeId}:`, error),
+				);
+		});
+
 		this.io.on("connection", (socket) => {
 			console.log(`🔌 Socket connected: ${socket.id}`);
 
@@ -246,47 +1778,79 @@ class SocketIOServer {
 			}, 3000);
 
 			// Determine if this is a node or client
-			socket.on("identify", (data) => {
+			socket.on("identify", async (data) => {
 				clearTimeout(identificationTimeout);
 				socket.identified = true;
 
-				if (data.type === "node") {
+				if (data?.type === "node") {
 					this.handleNodeConnection(socket, data);
-				} else if (data.type === "client") {
+				} else if (data?.type === "client") {
+					let user = null;
+					try {
+						user = await this.auth.verifyToken(data.token);
+					} catch (error) {
+						console.error(`Error verifying token of ${socket.id}:`, error);
+					}
+					if (!user) {
+						socket.emit("auth:error", { error: "Invalid or missing token" });
+						socket.disconnect(true);
+						return;
+					}
+
+					socket.data.user = user;
 					this.handleClientConnection(socket, data);
 				}
 			});
 
-			// Handle ESP32 direct data emission (auto-identify as node)
+			// Handle ESP32 direct data emission (auto-identify as node).
+			// Once identified, handleNodeConnection's own /save handler takes over.
 			socket.on("/save", async (payload) => {
-				if (!socket.identified) {
-					clearTimeout(identificationTimeout);
-
-					// Auto-identify as ESP32 node
-					const data =
-						typeof payload === "string" ? JSON.parse(payload) : payload;
-					const deviceId =
-						data.deviceId || `ESP32_${socket.id.substring(0, 8)}`;
-
-					console.log(`🔧 Auto-identifying ESP32 device: ${deviceId}`);
-					this.handleNodeConnection(socket, {
-						nodeId: deviceId,
-						deviceId: deviceId,
-						metadata: { type: "ESP32", autoIdentified: true },
-					});
+				if (socket.identified) return;
+				clearTimeout(identificationTimeout);
 
-					socket.identified = true;
+				let deviceId = socket.data.deviceId;
+				if (!deviceId) {
+					if (!config.devices.provisioningMode) {
+						this.rejectNode(socket, "Device credentials required");
+						return;
+					}
+
+					// Without a parsable frame there is no device id to take;
+					// ignore it and identify on the next one
+					let data = payload;
+					if (typeof payload === "string") {
+						try {
+							data = JSON.parse(payload);
+						} catch {
+							console.warn(
+								`⚠️  Ignoring unparsable /save from unidentified socket ${socket.id}`,
+							);
+							return;
+						}
+					}
+					deviceId =
+						(typeof data?.deviceId === "string" && data.deviceId) ||
+						`ESP32_${socket.id.substring(0, 8)}`;
 				}
 
+				// Auto-identify as ESP32 node
+				console.log(`🔧 Auto-identifying ESP32 device: ${deviceId}`);
+				socket.identified = true;
+				this.handleNodeConnection(socket, {
+					nodeId: deviceId,
+					deviceId: deviceId,
+					metadata: { type: "ESP32", autoIdentified: true },
+				});
+
 				// Handle the data
 				if (socket.nodeId) {
 					await this.handleESP32Data(socket.nodeId, payload);
 				}
 			});
 
-			socket.on("disconnect", () => {
+			socket.on("disconnect", (reason) => {
 				clearTimeout(identificationTimeout);
-				this.handleDisconnection(socket);
+				this.handleDisconnection(socket, reason);
 			});
 		});
 	}
@@ -301,26 +1865,64 @@ class SocketIOServer {
 			return;
 		}
 
-		this.connectedNodes.set(finalNodeId, {
+		// Only the device holding the key may register under its id
+		if (
+			socket.data.deviceId !== finalNodeId &&
+			!config.devices.provisioningMode
+		) {
+			this.rejectNode(socket, `Not authorized as ${finalNodeId}`);
+			return;
+		}
+
+		const info = {
 			socketId: socket.id,
 			connectedAt: Date.now(),
 			metadata,
 			lastDataAt: null,
-		});
+		};
+		this.connectedNodes.set(finalNodeId, info);
+		const registered = this.presence
+			.register(finalNodeId, info)
+			.catch((error) =>
+				console.error(`Error registering presence of ${finalNodeId}:`, error),
+			);
+		// Lets any instance disconnect the node
+		socket.join(`device:${finalNodeId}`);
+		this.registry
+			.connected(finalNodeId, {
+				socketId: socket.id,
+				instanceId: config.cluster.instanceId,
+				ip: this.clientAddress(socket),
+				firmware:
+					metadata.firmware ?? data.firmware ?? socket.handshake.query.firmware,
+				metadata,
+			})
+			.catch((error) =>
+				console.error(`Error recording connection of ${finalNodeId}:`, error),
+			);
 
 		console.log(`📡 Node connected: ${finalNodeId}`);
 
-		// Initialize buffer for this node
-		this.nodeBuffers.set(finalNodeId, []);
+		// Initialize buffer for this node, keeping readings a failed flush put back
+		if (!this.nodeBuffers.has(finalNodeId)) {
+			this.nodeBuffers.set(finalNodeId, []);
+		}
 
 		// Broadcast to all clients
-		this.io.emit("node:connected", { nodeId: finalNodeId, metadata });
+		this.io
+			.to("clients")
+			.emit("node:connected", { nodeId: finalNodeId, metadata });
 
 		// Handle ESP32 data event (/save)
 		socket.on("/save", async (payload) => {
 			await this.handleESP32Data(finalNodeId, payload);
 		});
 
+		// Diagnostics, separate from noise readings
+		socket.on("/health", async (payload) => {
+			await this.handleHealth(finalNodeId, payload);
+		});
+
 		// Legacy handlers for other node types
 		socket.on("data", async (reading) => {
 			await this.handleNodeData(finalNodeId, reading);
@@ -332,39 +1934,332 @@ class SocketIOServer {
 			}
 		});
 
+		// Bring the device in line with its stored config, then deliver
+		// commands queued while it was offline. Commands queued after the
+		// node shows in presence are delivered by the enqueuing instance.
+		(async () => {
+			await this.pushConfig(socket, finalNodeId);
+			await registered;
+			await this.commandDispatcher.deliverQueued(socket, finalNodeId);
+		})().catch((error) =>
+			console.error(`Error syncing ${finalNodeId} on connect:`, error),
+		);
+
+		// Command replies from firmware that cannot use Socket.IO acks
+		socket.on("/command/ack", async (reply) => {
+			try {
+				await this.commandDispatcher.handleAck(finalNodeId, reply);
+			} catch (error) {
+				console.error(`Error handling command ack from ${finalNodeId}:`, error);
+			}
+		});
+
 		// Store socket reference for sending commands
 		socket.nodeId = finalNodeId;
 	}
 
+	async pushConfig(socket, nodeId, sentBy = "system") {
+		const spec = await this.configCommand(nodeId, sentBy);
+		return spec ? this.commandDispatcher.dispatch(socket, spec) : null;
+	}
+
+	// The command bringing a node in line with its stored config. Only
+	// firmware announcing the "config" capability handles apply_config;
+	// older firmware gets the threshold alone through set_threshold, and
+	// only when it does not already run it. Null when nothing is to be sent.
+	async configCommand(nodeId, sentBy) {
+		const config = this.withSchedule(await this.deviceConfigs.get(nodeId));
+		const node =
+			this.connectedNodes.get(nodeId) || (await this.presence.get(nodeId));
+		const capabilities = node?.metadata?.capabilities;
+
+		if (Array.isArray(capabilities) && capabilities.includes("config")) {
+			const definition = this.commandRegistry.get("apply_config");
+			return {
+				nodeId,
+				command: "apply_config",
+				event: definition.event,
+				payload: this.deviceConfigs.desired({
+					...config,
+					threshold: config.effectiveThreshold,
+				}),
+				sentBy,
+			};
+		}
+
+		if (config.reported?.threshold === config.effectiveThreshold) return null;
+		const definition = this.commandRegistry.get("set_threshold");
+		return {
+			nodeId,
+			command: "set_threshold",
+			event: definition.event,
+			payload: { value: config.effectiveThreshold },
+			sentBy,
+		};
+	}
+
+	signOutSockets(username) {
+		this.io.to(`user:${username}`).emit("auth:error", {
+			error: "Session revoked",
+		});
+		this.io.in(`user:${username}`).disconnectSockets(true);
+	}
+
+	// Behind nginx the device address is in X-Forwarded-For
+	clientAddress(socket) {
+		const forwarded = socket.handshake.headers["x-forwarded-for"];
+		return forwarded
+			? forwarded.split(",")[0].trim()
+			: socket.handshake.address;
+	}
+
+	// Registry entries merged with presence; nodes connected before the
+	// registry recorded them are still listed
+	async listNodes() {
+		const [devices, online] = await Promise.all([
+			this.registry.list(),
+			this.presence.list(),
+		]);
+		const live = new Map(online.map((node) => [node.nodeId, node]));
+		const known = new Set(devices.map((device) => device.nodeId));
+
+		return [
+			...devices.map((device) => ({
+				...device,
+				...live.get(device.nodeId),
+				connected: live.has(device.nodeId),
+			})),
+			...online
+				.filter((node) => !known.has(node.nodeId))
+				.map((node) => ({ ...node, connected: true })),
+		];
+	}
+
+	async resetStaleNode(nodeId) {
+		const definition = this.commandRegistry.get(config.watchdog.resetCommand);
+		if (!definition) {
+			throw new Error(`Unknown command ${config.watchdog.resetCommand}`);
+		}
+
+		return this.sendCommand({
+			nodeId,
+			command: config.watchdog.resetCommand,
+			event: definition.event,
+			payload: {},
+			sentBy: "watchdog",
+		});
+	}
+
+	nodeSocket(nodeId) {
+		const nodeInfo = this.connectedNodes.get(nodeId);
+		return nodeInfo && this.io.sockets.sockets.get(nodeInfo.socketId);
+	}
+
+	// Dispatch to the node on whichever instance holds its socket. Resolves
+	// to the command, or null when the node is not connected anywhere.
+	async sendCommand(spec) {
+		const socket = this.nodeSocket(spec.nodeId);
+		if (socket) return this.commandDispatcher.dispatch(socket, spec);
+
+		const owner = await this.presence.get(spec.nodeId);
+		if (!owner || owner.instanceId === config.cluster.instanceId) return null;
+
+		// Only the owner answers with the command; instances that time out
+		// are left out of the responses
+		const responses = await new Promise((resolve) =>
+			this.io.serverSideEmit(
+				"command:dispatch",
+				owner.instanceId,
+				spec,
+				(err, replies) => resolve(replies || []),
+			),
+		);
+		return responses.find(Boolean) || null;
+	}
+
+	// Delivers a node's queued commands on whichever instance holds it;
+	// nothing happens while it is offline
+	async deliverQueued(nodeId) {
+		const socket = this.nodeSocket(nodeId);
+		if (socket) return this.commandDispatcher.deliverQueued(socket, nodeId);
+
+		const owner = await this.presence.get(nodeId);
+		if (owner && owner.instanceId !== config.cluster.instanceId) {
+			this.io.serverSideEmit("queue:deliver", owner.instanceId, nodeId);
+		}
+	}
+
+	// Tells the other instances to reload a cache this one has already
+	// updated through the API (the emit does not reach its sender)
+	announceChange(scope, nodeId = null) {
+		this.io.serverSideEmit("cache:invalidate", scope, nodeId);
+	}
+
+	async reloadCache(scope, nodeId) {
+		switch (scope) {
+			case "commands":
+				await this.commandRegistry.load();
+				break;
+			case "alertRules":
+				await this.alertEngine.loadRules();
+				break;
+			case "schedules":
+				await this.schedules.load();
+				await this.applySchedules();
+				break;
+			case "deviceConfig":
+				this.refreshNodeConfig(await this.deviceConfigs.get(nodeId));
+				break;
+			default:
+				console.warn(`Unknown cache to reload: ${scope}`);
+		}
+	}
+
+	// Drops what this instance derived from a node's previous config. A group
+	// change can move the node onto another schedule.
+	refreshNodeConfig(stored) {
+		const config = this.trackSchedule(stored);
+		this.live.setGroup(stored.nodeId, config.group);
+		this.alertEngine.invalidateThreshold(stored.nodeId);
+		this.deviceConfigs.forget(stored.nodeId);
+		return config;
+	}
+
+	// Adds the schedule in force and the threshold the device should run
+	withSchedule(config) {
+		const schedule = this.schedules.activeFor(config.nodeId, config.group);
+		return {
+			...config,
+			schedule,
+			effectiveThreshold: schedule ? schedule.threshold : config.threshold,
+		};
+	}
+
+	trackSchedule(config) {
+		const decorated = this.withSchedule(config);
+		if (decorated.schedule) {
+			this.activeSchedules.set(config.nodeId, decorated.schedule);
+		} else {
+			this.activeSchedules.delete(config.nodeId);
+		}
+		return decorated;
+	}
+
+	// Re-evaluate every node's schedule; push thresholds that changed to
+	// online nodes and tell dashboards which profile is active
+	async applySchedules() {
+		const configs = new Map(
+			(await this.deviceConfigs.list()).map((c) => [c.nodeId, c]),
+		);
+		for (const nodeId of [
+			...this.connectedNodes.keys(),
+			...this.activeSchedules.keys(),
+		]) {
+			if (!configs.has(nodeId)) {
+				configs.set(nodeId, await this.deviceConfigs.get(nodeId));
+			}
+		}
+
+		const describe = (s) =>
+			s ? `${s.profileId}:${s.source}:${s.label}:${s.threshold}` : "";
+
+		for (const [nodeId, stored] of configs) {
+			const previous = this.activeSchedules.get(nodeId) || null;
+			const config = this.trackSchedule(stored);
+			if (describe(previous) === describe(config.schedule)) continue;
+
+			console.log(
+				config.schedule
+					? `🗓️  ${nodeId}: ${config.schedule.profileName} ${config.schedule.label} (${config.effectiveThreshold} dB)`
+					: `🗓️  ${nodeId}: no schedule, back to ${config.threshold} dB`,
+			);
+			// Every instance runs this loop, so each tells only its own clients
+			this.io.local.to("clients").emit("config:updated", config);
+
+			const before = previous ? previous.threshold : stored.threshold;
+			if (before === config.effectiveThreshold) continue;
+
+			this.alertEngine.invalidateThreshold(nodeId);
+			this.deviceConfigs.forget(nodeId);
+
+			// Nodes on other instances are handled by their own instance
+			const socket = this.nodeSocket(nodeId);
+			if (socket) await this.pushConfig(socket, nodeId);
+		}
+	}
+
+	rejectNode(socket, reason) {
+		console.warn(`🚫 Node rejected (${socket.id}): ${reason}`);
+		socket.emit("auth:error", { error: reason });
+		socket.disconnect(true);
+	}
+
+	// Disconnects the node on whichever instance holds it
+	disconnectNode(nodeId) {
+		this.io.in(`device:${nodeId}`).disconnectSockets(true);
+	}
+
 	async handleESP32Data(nodeId, payload) {
 		try {
 			// Parse ESP32 JSON payload
-			const data = typeof payload === "string" ? JSON.parse(payload) : payload;
+			let data = payload;
+			if (typeof payload === "string") {
+				try {
+					data = JSON.parse(payload);
+				} catch {
+					await this.rejectReading(nodeId, payload, {
+						reason: "parse",
+						errors: ["payload is not valid JSON"],
+					});
+					return;
+				}
+			}
+
+			const result = this.payloads.normalize("esp32", data);
+			if (result.errors) {
+				await this.rejectReading(nodeId, data, result);
+				return;
+			}
 
-			// Extract deviceId from payload or use nodeId
-			const deviceId = data.deviceId || nodeId;
+			// The socket identity is authoritative; a payload deviceId cannot
+			// write into another node's series
+			const deviceId = nodeId;
+			const receivedAt = Date.now();
+			const { ts, tsSource } = this.resolveTimestamp(data, receivedAt);
 
-			// Transform ESP32 format to our standard format
 			const reading = {
 				nodeId: deviceId,
-				ts: Date.now(),
-				payload: {
-					min: data.min,
-					max: data.max,
-					avg: data.avg,
-					current: data.current,
-					threshold: data.threshold,
-				},
+				ts,
+				receivedAt,
+				payload: result.payload,
 				meta: {
 					source: "esp32",
+					schema: result.schema,
 					rawDeviceId: data.deviceId,
+					tsSource,
 				},
+				...this.resolveSequence(data),
 			};
 
 			// Update node info
 			const nodeInfo = this.connectedNodes.get(deviceId);
 			if (nodeInfo) {
-				nodeInfo.lastDataAt = reading.ts;
+				nodeInfo.lastDataAt = receivedAt;
+			}
+			this.markSeen(deviceId, receivedAt);
+
+			// Confirm the device runs the configured threshold
+			if (data.threshold !== undefined) {
+				const config = await this.deviceConfigs.recordReported(
+					deviceId,
+					Number(data.threshold),
+					this.activeSchedules.get(deviceId)?.threshold,
+				);
+				if (config) {
+					this.io
+						.to("clients")
+						.emit("config:updated", this.withSchedule(config));
+				}
 			}
 
 			// Add to buffer
@@ -372,8 +2267,9 @@ class SocketIOServer {
 			buffer.push(reading);
 			this.nodeBuffers.set(deviceId, buffer);
 
-			// Broadcast to clients in real-time
-			this.io.emit("data:live", reading);
+			// Broadcast to subscribed clients in real-time
+			this.live.publish(reading);
+			this.evaluateAlerts(reading);
 
 			// Flush to Redis if buffer is full
 			if (buffer.length >= config.batch.bufferSize) {
@@ -388,27 +2284,40 @@ class SocketIOServer {
 
 	async handleNodeData(nodeId, rawPayload) {
 		try {
-			// Add timestamp at server
+			const result = this.payloads.normalize("socketio", rawPayload);
+			if (result.errors) {
+				await this.rejectReading(nodeId, rawPayload, result);
+				return;
+			}
+
+			// Prefer the device measurement time, fall back to server time
+			const receivedAt = Date.now();
+			const { ts, tsSource } = this.resolveTimestamp(rawPayload, receivedAt);
+
 			const reading = {
 				nodeId,
-				ts: Date.now(),
-				payload: rawPayload,
-				meta: { source: "socketio" },
+				ts,
+				receivedAt,
+				payload: result.payload,
+				meta: { source: "socketio", schema: result.schema, tsSource },
+				...this.resolveSequence(rawPayload),
 			};
 
 			// Update node info
 			const nodeInfo = this.connectedNodes.get(nodeId);
 			if (nodeInfo) {
-				nodeInfo.lastDataAt = reading.ts;
+				nodeInfo.lastDataAt = receivedAt;
 			}
+			this.markSeen(nodeId, receivedAt);
 
 			// Add to buffer
 			const buffer = this.nodeBuffers.get(nodeId) || [];
 			buffer.push(reading);
 			this.nodeBuffers.set(nodeId, buffer);
 
-			// Broadcast to clients in real-time
-			this.io.emit("data:live", reading);
+			// Broadcast to subscribed clients in real-time
+			this.live.publish(reading);
+			this.evaluateAlerts(reading);
 
 			// Flush to Redis if buffer is full
 			if (buffer.length >= config.batch.bufferSize) {
@@ -419,51 +2328,221 @@ class SocketIOServer {
 		}
 	}
 
+	async handleHealth(nodeId, payload) {
+		try {
+			let data = payload;
+			if (typeof payload === "string") {
+				try {
+					data = JSON.parse(payload);
+				} catch {
+					await this.rejectReading(nodeId, payload, {
+						reason: "health",
+						errors: ["health payload is not valid JSON"],
+					});
+					return;
+				}
+			}
+
+			const result = await this.health.record(nodeId, data);
+			if (result.errors) {
+				await this.rejectReading(nodeId, data, {
+					reason: "health",
+					errors: result.errors,
+				});
+				return;
+			}
+
+			const { sample } = result;
+			if (sample.firmware) {
+				await this.registry.reportFirmware(nodeId, sample.firmware);
+			}
+			await this.registry.seen(nodeId, sample.at);
+
+			// Only dashboards with the node open show diagnostics
+			this.io.to(`node:${nodeId}`).emit("health:data", sample);
+		} catch (error) {
+			console.error(`Error handling health data from ${nodeId}:`, error);
+		}
+	}
+
+	// Count a payload that failed validation against the node and tell
+	// dashboards, so firmware bugs show up instead of bad data
+	async rejectReading(nodeId, data, { reason, errors }) {
+		const at = Date.now();
+		const sample = (
+			typeof data === "string" ? data : (JSON.stringify(data) ?? String(data))
+		).slice(0, 500);
+
+		console.warn(`🧪 Rejected reading from ${nodeId} (${reason}):`, errors);
+		try {
+			await this.db.collection("node_metrics").updateOne(
+				{ _id: nodeId },
+				{
+					$inc: { rejected: 1, [`rejections.${reason}`]: 1 },
+					$set: { lastRejection: { at, reason, errors, sample } },
+				},
+				{ upsert: true },
+			);
+		} catch (error) {
+			console.error(`Error counting rejected reading from ${nodeId}:`, error);
+		}
+		this.io
+			.to("clients")
+			.emit("reading:rejected", { nodeId, reason, errors, at });
+	}
+
+	// Firmware that numbers its readings sends `seq` (restarting per boot)
+	// and a `bootId`; ingest uses both to drop resends and spot gaps
+	resolveSequence(data) {
+		const present = (value) =>
+			value !== undefined && value !== null && value !== "";
+		if (!present(data.seq) || !present(data.bootId)) return {};
+
+		const deviceSeq = Number(data.seq);
+		if (!Number.isInteger(deviceSeq) || deviceSeq < 0) return {};
+
+		return { bootId: String(data.bootId), deviceSeq };
+	}
+
+	// Work out the measurement time of a reading. Devices send either an
+	// epoch `ts` (seconds or ms) or `uptime` ms plus the NTP epoch at boot
+	// (`ntpOffset`). Values outside the skew window fall back to server time.
+	resolveTimestamp(data, receivedAt) {
+		const toNumber = (value) =>
+			value === null || value === undefined || value === ""
+				? NaN
+				: Number(value);
+		let deviceTs = null;
+
+		if (Number.isFinite(toNumber(data.ts))) {
+			deviceTs = toNumber(data.ts);
+			// Epoch seconds from firmware without ms resolution
+			if (deviceTs < 1e12) deviceTs *= 1000;
+		} else if (
+			Number.isFinite(toNumber(data.uptime)) &&
+			Number.isFinite(toNumber(data.ntpOffset))
+		) {
+			deviceTs = toNumber(data.ntpOffset) + toNumber(data.uptime);
+		}
+
+		if (deviceTs === null) {
+			return { ts: receivedAt, tsSource: "server" };
+		}
+
+		const skew = deviceTs - receivedAt;
+		if (
+			skew > config.clock.maxFutureSkewMs ||
+			-skew > config.clock.maxPastAgeMs
+		) {
+			console.warn(
+				`⏱️  Device timestamp ${deviceTs} outside skew window (${skew} ms), using server time`,
+			);
+			return { ts: receivedAt, tsSource: "server-skew" };
+		}
+
+		return { ts: Math.round(deviceTs), tsSource: "device" };
+	}
+
+	markSeen(nodeId, at) {
+		this.watchdog.seen(nodeId, this.connectedNodes.get(nodeId));
+		this.registry
+			.seen(nodeId, at)
+			.catch((error) =>
+				console.error(`Error updating last seen of ${nodeId}:`, error),
+			);
+	}
+
+	// Alert evaluation must never hold up or break the ingest path
+	evaluateAlerts(reading) {
+		this.alertEngine
+			.evaluate(reading)
+			.catch((error) =>
+				console.error(`Alert evaluation failed for ${reading.nodeId}:`, error),
+			);
+	}
+
 	async flushToRedis(nodeId) {
 		const buffer = this.nodeBuffers.get(nodeId);
 		if (!buffer || buffer.length === 0) return;
 
-		const queueKey = `${config.batch.queuePrefix}${nodeId}`;
+		// Take the buffer before awaiting; readings arriving meanwhile go to a new one
+		this.nodeBuffers.set(nodeId, []);
 
-		// Push all readings to Redis queue
+		// Append all readings to the ingest stream
 		const pipeline = this.redis.pipeline();
 		for (const reading of buffer) {
-			pipeline.rpush(queueKey, JSON.stringify(reading));
+			this.readingStream.append(nodeId, reading, pipeline);
+		}
+
+		let failed;
+		try {
+			const results = await pipeline.exec();
+			failed = buffer.filter((reading, i) => results[i][0]);
+			if (failed.length > 0) {
+				console.error(
+					`❌ Redis rejected ${failed.length} readings for ${nodeId}:`,
+					results.find(([err]) => err)[0],
+				);
+			}
+		} catch (error) {
+			console.error(`❌ Error flushing readings for ${nodeId}:`, error);
+			failed = buffer;
 		}
-		await pipeline.exec();
 
-		console.log(`💾 Flushed ${buffer.length} readings to Redis for ${nodeId}`);
+		// Put failed readings back ahead of newer ones for the next flush
+		if (failed.length > 0) {
+			this.nodeBuffers.set(nodeId, [
+				...failed,
+				...(this.nodeBuffers.get(nodeId) || []),
+			]);
+		}
 
-		// Clear buffer
-		this.nodeBuffers.set(nodeId, []);
+		const flushed = buffer.length - failed.length;
+		if (flushed > 0) {
+			console.log(`💾 Flushed ${flushed} readings to Redis for ${nodeId}`);
+		}
 	}
 
 	handleClientConnection(socket, data) {
 		this.connectedClients.add(socket.id);
-		console.log(`👤 Client connected: ${socket.id}`);
-
-		// Send current node list
-		const nodes = Array.from(this.connectedNodes.entries()).map(
-			([id, info]) => ({
-				nodeId: id,
-				...info,
-			}),
+		socket.join("clients");
+		// Lets user changes on any instance sign this dashboard out
+		socket.join(`user:${socket.data.user.username}`);
+		console.log(
+			`👤 Client connected: ${socket.id} (${socket.data.user.username})`,
 		);
 
-		socket.emit("nodes:list", nodes);
-
-		// Subscribe to specific node
-		socket.on("subscribe", (nodeId) => {
-			socket.join(`node:${nodeId}`);
-			console.log(`Client ${socket.id} subscribed to ${nodeId}`);
+		// Live data only reaches rooms the client asks for: a node id or
+		// { nodeId }, { group } or { summary: true }. Only dashboard
+		// sockets get these handlers, so devices never receive the stream.
+		socket.on("subscribe", (target, ack) => {
+			const room = this.live.roomFor(target);
+			if (!room) {
+				if (typeof ack === "function") {
+					ack({ success: false, error: "Unknown subscription" });
+				}
+				return;
+			}
+			socket.join(room);
+			console.log(`Client ${socket.id} subscribed to ${room}`);
+			if (typeof ack === "function") ack({ success: true, room });
 		});
 
-		socket.on("unsubscribe", (nodeId) => {
-			socket.leave(`node:${nodeId}`);
+		socket.on("unsubscribe", (target, ack) => {
+			const room = this.live.roomFor(target);
+			if (room) socket.leave(room);
+			if (typeof ack === "function") ack({ success: Boolean(room), room });
 		});
+
+		// Sent last: clients subscribe once they have the list
+		this.listNodes()
+			.then((nodes) => socket.emit("nodes:list", nodes))
+			.catch((error) =>
+				console.error(`Error listing nodes for ${socket.id}:`, error),
+			);
 	}
 
-	handleDisconnection(socket) {
+	handleDisconnection(socket, reason) {
 		// Check if it was a node
 		for (const [nodeId, info] of this.connectedNodes.entries()) {
 			if (info.socketId === socket.id) {
@@ -474,8 +2553,24 @@ class SocketIOServer {
 
 				this.connectedNodes.delete(nodeId);
 				this.nodeBuffers.delete(nodeId);
-
-				this.io.emit("node:disconnected", { nodeId });
+				this.deviceConfigs.forget(nodeId);
+				this.registry
+					.disconnected(nodeId, { socketId: socket.id, reason })
+					.catch((error) =>
+						console.error(`Error closing session of ${nodeId}:`, error),
+					);
+
+				// Not offline if it has already reconnected elsewhere
+				this.presence
+					.unregister(nodeId, socket.id)
+					.then((removed) => {
+						if (removed) {
+							this.io.to("clients").emit("node:disconnected", { nodeId });
+						}
+					})
+					.catch((error) =>
+						console.error(`Error removing presence of ${nodeId}:`, error),
+					);
 				return;
 			}
 		}
@@ -488,12 +2583,26 @@ class SocketIOServer {
 	async shutdown() {
 		console.log("🛑 Shutting down server...");
 
+		clearInterval(this.scheduleTimer);
+		this.live.stop();
+		this.watchdog.stop();
+		this.commandDispatcher.stop();
+
 		// Flush all buffers
 		for (const nodeId of this.nodeBuffers.keys()) {
 			await this.flushToRedis(nodeId);
 		}
 
+		await this.presence.stop(this.connectedNodes);
+		for (const [nodeId, info] of this.connectedNodes) {
+			await this.registry.disconnected(nodeId, {
+				socketId: info.socketId,
+				reason: "server shutdown",
+			});
+		}
 		await this.mongoClient.close();
+		await this.redisPub.quit();
+		await this.redisSub.quit();
 		await this.redis.quit();
 		this.server.close();
 
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	leq,
+	leqFromEnergy,
+	exceedanceLevel,
+	periodOf,
+	lden,
+	toEnergy,
+} = require("../acoustics");
+const AcousticAnalytics = require("../analytics");
+
+const close = (actual, expected, tolerance = 0.01) =>
+	assert.ok(
+		Math.abs(actual - expected) <= tolerance,
+		`expected ${expected}, got ${actual}`,
+	);
+
+test("leq of a constant level is that level", () => {
+	close(leq([60, 60, 60]), 60);
+});
+
+test("leq is an energy average, not an arithmetic mean", () => {
+	// 10·log10((10^5 + 10^6) / 2)
+	close(leq([50, 60]), 57.4);
+	// One loud sample dominates: 10·log10((10^8 + 9·10^4) / 10)
+	close(leq([80, ...Array(9).fill(40)]), 70.0);
+});
+
+test("leq of no samples is null", () => {
+	assert.equal(leq([]), null);
+	assert.equal(leqFromEnergy(0, 0), null);
+});
+
+test("leqFromEnergy matches leq over the same samples", () => {
+	const levels = [42, 55.5, 61, 70.2];
+	const energy = levels.reduce((sum, level) => sum + toEnergy(level), 0);
+	close(leqFromEnergy(energy, levels.length), leq(levels), 1e-9);
+});
+
+test("L10/L50/L90 are the levels exceeded 10/50/90% of the time", () => {
+	const levels = Array.from({ length: 100 }, (_, i) => i + 1).reverse();
+	assert.equal(exceedanceLevel(levels, 10), 90);
+	assert.equal(exceedanceLevel(levels, 50), 50);
+	assert.equal(exceedanceLevel(levels, 90), 10);
+});
+
+test("periods follow 07-19 day, 19-23 evening, 23-07 night", () => {
+	assert.equal(periodOf(0), "night");
+	assert.equal(periodOf(6), "night");
+	assert.equal(periodOf(7), "day");
+	assert.equal(periodOf(18), "day");
+	assert.equal(periodOf(19), "evening");
+	assert.equal(periodOf(22), "evening");
+	assert.equal(periodOf(23), "night");
+});
+
+test("lden adds the evening and night penalties", () => {
+	// A constant level gives Lden about 6.4 dB above it
+	close(lden({ day: 60, evening: 60, night: 60 }), 66.4);
+	// Levels that exactly offset the penalties give the day level
+	close(lden({ day: 65, evening: 60, night: 55 }), 65);
+});
+
+test("lden needs all three periods", () => {
+	assert.equal(lden({ day: 60, evening: 60, night: null }), null);
+});
+
+test("compute splits raw readings into local periods", async () => {
+	const at = (hour) => Date.UTC(2024, 0, 15, hour);
+	const docs = [
+		{ at: at(10), level: 65, min: 60, max: 72 },
+		{ at: at(20), level: 60 },
+		{ at: at(2), level: 55 },
+	];
+	const db = {
+		collection: () => ({
+			aggregate: () => ({ toArray: async () => docs }),
+		}),
+	};
+
+	const analytics = new AcousticAnalytics(db, { timezone: "UTC" });
+	const result = await analytics.compute("node-1", {
+		from: at(0),
+		to: at(23),
+	});
+
+	assert.equal(result.source, "raw");
+	assert.equal(result.samples, 3);
+	assert.deepEqual(result.periods, {
+		day: { leq: 65, samples: 1 },
+		evening: { leq: 60, samples: 1 },
+		night: { leq: 55, samples: 1 },
+	});
+	assert.equal(result.lden, 65);
+	assert.equal(result.lmin, 55);
+	assert.equal(result.lmax, 72);
+});
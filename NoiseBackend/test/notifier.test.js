@@ -0,0 +1,316 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const net = require("node:net");
+const { ObjectId } = require("mongodb");
+const NotificationService = require("../notifier");
+
+// Deliveries log as they go; keep the runner's output to test results
+test.mock.method(console, "log", () => {});
+test.mock.method(console, "error", () => {});
+
+// Just enough of a MongoDB collection for the notifier: equality, $in, $lt,
+// $exists and $or filters, $set and $push updates
+const matches = (doc, filter) =>
+	Object.entries(filter).every(([key, cond]) => {
+		if (key === "$or") return cond.some((branch) => matches(doc, branch));
+		const value = doc[key];
+		if (cond instanceof ObjectId) return cond.equals(value);
+		if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+			if ("$in" in cond) return cond.$in.includes(value);
+			if ("$lt" in cond) return value !== undefined && value < cond.$lt;
+			if ("$exists" in cond) return (value !== undefined) === cond.$exists;
+		}
+		return Array.isArray(value) ? value.includes(cond) : value === cond;
+	});
+
+const fakeCollection = (docs = []) => ({
+	docs,
+	async createIndex() {},
+	async insertOne(doc) {
+		const _id = doc._id || new ObjectId();
+		docs.push({ ...doc, _id });
+		return { insertedId: _id };
+	},
+	find(filter) {
+		const found = docs.filter((doc) => matches(doc, filter));
+		return {
+			sort: () => ({ toArray: async () => found }),
+			toArray: async () => found,
+		};
+	},
+	async findOne(filter) {
+		return docs.find((doc) => matches(doc, filter)) || null;
+	},
+	async updateOne(filter, update) {
+		const doc = docs.find((d) => matches(d, filter));
+		if (!doc) return { matchedCount: 0 };
+		Object.assign(doc, update.$set);
+		for (const [key, value] of Object.entries(update.$push || {})) {
+			doc[key] = [...(doc[key] || []), value];
+		}
+		return { matchedCount: 1 };
+	},
+	async findOneAndUpdate(filter, update) {
+		const { matchedCount } = await this.updateOne(filter, update);
+		return matchedCount ? this.findOne({ _id: filter._id }) : null;
+	},
+});
+
+const fakeDb = () => {
+	const collections = {};
+	return {
+		collection: (name) => (collections[name] ??= fakeCollection()),
+	};
+};
+
+const alert = {
+	alertId: "a1",
+	ruleName: "Night limit",
+	nodeId: "ESP32_01",
+	metric: "avg",
+	value: 71.2,
+	threshold: 65,
+	peak: 80.4,
+	openedAt: Date.UTC(2026, 0, 1, 23, 0),
+	resolvedAt: null,
+};
+
+// A webhook that answers 500 to the first `failures` requests, then 200
+const startWebhook = async (failures) => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = "";
+		req.on("data", (chunk) => (body += chunk));
+		req.on("end", () => {
+			requests.push({ headers: req.headers, body: JSON.parse(body) });
+			res.statusCode = requests.length <= failures ? 500 : 200;
+			res.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	const url = `http://127.0.0.1:${server.address().port}/hook`;
+	return { server, url, requests };
+};
+
+// A plaintext SMTP sink recording each message's envelope and data
+const startSmtp = async () => {
+	const messages = [];
+	const server = net.createServer((socket) => {
+		let message = { rcpt: [], data: "" };
+		let inData = false;
+		let buffer = "";
+		socket.write("220 localhost test\r\n");
+		socket.on("data", (chunk) => {
+			buffer += chunk;
+			let end;
+			while ((end = buffer.indexOf("\r\n")) >= 0) {
+				const line = buffer.slice(0, end);
+				buffer = buffer.slice(end + 2);
+				if (inData) {
+					if (line === ".") {
+						inData = false;
+						messages.push(message);
+						message = { rcpt: [], data: "" };
+						socket.write("250 queued\r\n");
+					} else {
+						message.data += `${line}\n`;
+					}
+				} else if (/^(EHLO|HELO)/i.test(line)) {
+					socket.write("250 localhost\r\n");
+				} else if (/^MAIL FROM:/i.test(line)) {
+					message.from = line.slice(10);
+					socket.write("250 ok\r\n");
+				} else if (/^RCPT TO:/i.test(line)) {
+					message.rcpt.push(line.slice(8));
+					socket.write("250 ok\r\n");
+				} else if (/^DATA/i.test(line)) {
+					inData = true;
+					socket.write("354 go ahead\r\n");
+				} else if (/^QUIT/i.test(line)) {
+					socket.end("221 bye\r\n");
+				} else {
+					socket.write("250 ok\r\n");
+				}
+			}
+		});
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	return { server, port: server.address().port, messages };
+};
+
+const webhookChannel = (url, extra = {}) => ({
+	_id: new ObjectId(),
+	name: "ops-webhook",
+	type: "webhook",
+	enabled: true,
+	events: ["raised", "resolved"],
+	config: { url, headers: { Authorization: "Bearer s3cret" } },
+	...extra,
+});
+
+test("webhook delivery retries with backoff until it succeeds", async (t) => {
+	const hook = await startWebhook(2);
+	t.after(() => hook.server.close());
+
+	const notifier = new NotificationService(fakeDb(), {
+		maxAttempts: 5,
+		baseDelayMs: 5,
+	});
+	const delivered = await notifier.deliver(
+		webhookChannel(hook.url),
+		"raised",
+		alert,
+	);
+
+	assert.equal(delivered, true);
+	assert.equal(hook.requests.length, 3);
+	assert.equal(hook.requests[2].headers.authorization, "Bearer s3cret");
+	assert.deepEqual(hook.requests[2].body, { event: "raised", alert });
+
+	const [delivery] = notifier.deliveries.docs;
+	assert.equal(delivery.status, "delivered");
+	assert.deepEqual(
+		delivery.attempts.map((a) => a.error),
+		["Webhook responded 500", "Webhook responded 500", null],
+	);
+	assert.ok(delivery.deliveredAt);
+});
+
+test("webhook delivery is marked failed after maxAttempts", async (t) => {
+	const hook = await startWebhook(Infinity);
+	t.after(() => hook.server.close());
+
+	const notifier = new NotificationService(fakeDb(), { baseDelayMs: 5 });
+	const delivered = await notifier.deliver(
+		webhookChannel(hook.url, { maxAttempts: 3 }),
+		"resolved",
+		alert,
+	);
+
+	assert.equal(delivered, false);
+	assert.equal(hook.requests.length, 3);
+	const [delivery] = notifier.deliveries.docs;
+	assert.equal(delivery.status, "failed");
+	assert.equal(delivery.attempts.length, 3);
+	assert.equal(delivery.deliveredAt, null);
+});
+
+test("SMTP delivery sends the formatted alert", async (t) => {
+	const smtp = await startSmtp();
+	t.after(() => smtp.server.close());
+
+	const notifier = new NotificationService(fakeDb(), { baseDelayMs: 5 });
+	const delivered = await notifier.deliver(
+		{
+			_id: new ObjectId(),
+			name: "ops-mail",
+			type: "smtp",
+			config: {
+				host: "127.0.0.1",
+				port: smtp.port,
+				from: "guard@example.com",
+				to: "ops@example.com",
+			},
+		},
+		"raised",
+		alert,
+	);
+
+	assert.equal(delivered, true);
+	assert.equal(smtp.messages.length, 1);
+	assert.match(smtp.messages[0].rcpt[0], /ops@example\.com/);
+	assert.match(
+		smtp.messages[0].data,
+		/Subject: \[SilenceGuard\] ALERT: ESP32_01 Night limit/,
+	);
+	assert.match(smtp.messages[0].data, /avg: 71\.2 dB \(threshold 65 dB/);
+});
+
+test("channel secrets and header values are masked", () => {
+	const notifier = new NotificationService(fakeDb());
+	const channel = notifier.toPublic(
+		webhookChannel("https://example.com/hook", {
+			config: {
+				url: "https://example.com/hook",
+				token: "t0ken",
+				headers: { Authorization: "Bearer s3cret", "X-Api-Key": "k3y" },
+			},
+		}),
+	);
+
+	assert.equal(channel.config.url, "https://example.com/hook");
+	assert.equal(channel.config.token, "********");
+	assert.deepEqual(channel.config.headers, {
+		Authorization: "********",
+		"X-Api-Key": "********",
+	});
+});
+
+test("masked header values sent back keep the stored ones", async () => {
+	const db = fakeDb();
+	const notifier = new NotificationService(db);
+	const stored = webhookChannel("https://example.com/hook");
+	await notifier.channels.insertOne(stored);
+
+	const updated = await notifier.updateChannel(stored._id.toString(), {
+		config: {
+			url: "https://example.com/hook2",
+			headers: { Authorization: "********", "X-Extra": "1" },
+		},
+	});
+
+	assert.equal(updated.config.url, "https://example.com/hook2");
+	assert.deepEqual(notifier.channels.docs[0].config.headers, {
+		Authorization: "Bearer s3cret",
+		"X-Extra": "1",
+	});
+});
+
+test("recover resumes or fails deliveries interrupted by a restart", async (t) => {
+	const hook = await startWebhook(0);
+	t.after(() => hook.server.close());
+
+	const notifier = new NotificationService(fakeDb(), { baseDelayMs: 5 });
+	const live = webhookChannel(hook.url);
+	const disabled = webhookChannel(hook.url, { enabled: false });
+	await notifier.channels.insertOne(live);
+	await notifier.channels.insertOne(disabled);
+
+	const past = Date.now() - 1000;
+	const interrupted = (channel, extra) => ({
+		_id: new ObjectId(),
+		channelId: channel._id,
+		event: "raised",
+		alert,
+		maxAttempts: 5,
+		status: "retrying",
+		attempts: [{ at: past, error: "Webhook responded 500" }],
+		leaseUntil: past,
+		...extra,
+	});
+	const resumable = interrupted(live);
+	const ofDisabled = interrupted(disabled);
+	const exhausted = interrupted(live, { maxAttempts: 1 });
+	// Still retried by a running instance
+	const leased = interrupted(live, { leaseUntil: Date.now() + 60000 });
+	for (const delivery of [resumable, ofDisabled, exhausted, leased]) {
+		await notifier.deliveries.insertOne(delivery);
+	}
+
+	assert.deepEqual(await notifier.recover(), { resumed: 1, failed: 2 });
+
+	const byId = (delivery) =>
+		notifier.deliveries.docs.find((d) => d._id.equals(delivery._id));
+	assert.equal(byId(ofDisabled).status, "failed");
+	assert.equal(byId(exhausted).status, "failed");
+	assert.equal(byId(leased).status, "retrying");
+
+	// The resumed delivery runs in the background
+	for (let i = 0; i < 100 && byId(resumable).status !== "delivered"; i++) {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+	assert.equal(byId(resumable).status, "delivered");
+	assert.equal(byId(resumable).attempts.length, 2);
+	assert.equal(hook.requests.length, 1);
+});
@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PayloadValidator = require("../payload-schemas");
+
+const validator = new PayloadValidator();
+
+// [name, deviceType, data, payload]; payload is the canonical reading
+const accepted = [
+	[
+		"esp32 interval statistics",
+		"esp32",
+		{ avg: 55.2, min: 41, max: 68.4, current: 60, threshold: 70, unit: "dBA" },
+		{
+			level: 55.2,
+			min: 41,
+			max: 68.4,
+			avg: 55.2,
+			current: 60,
+			threshold: 70,
+			unit: "dBA",
+		},
+	],
+	[
+		"esp32 drops unknown and device-only fields",
+		"esp32",
+		{ avg: 50, seq: 7, bootId: "b1", uptime: 1200, ts: 1760000000000 },
+		{ level: 50, avg: 50 },
+	],
+	["explicit version 1", "esp32", { v: 1, avg: 50 }, { level: 50, avg: 50 }],
+	[
+		"avg rounded just above max",
+		"esp32",
+		{ avg: 60.5, min: 50, max: 60 },
+		{ level: 60.5, min: 50, max: 60, avg: 60.5 },
+	],
+	[
+		"socketio db is the level and current value",
+		"socketio",
+		{ db: 55 },
+		{ level: 55, avg: 55, current: 55 },
+	],
+	[
+		"socketio noise is the level and current value",
+		"socketio",
+		{ noise: 48, min: 40, max: 50 },
+		{ level: 48, min: 40, max: 50, avg: 48, current: 48 },
+	],
+	[
+		"socketio level wins over db and noise",
+		"socketio",
+		{ level: 52, db: 55, noise: 48 },
+		{ level: 52, avg: 52, current: 55 },
+	],
+	[
+		"socketio avg alone is the level",
+		"socketio",
+		{ avg: 44 },
+		{ level: 44, avg: 44 },
+	],
+	[
+		"socketio keeps a separate avg",
+		"socketio",
+		{ db: 55, avg: 50, min: 45, max: 58 },
+		{ level: 55, min: 45, max: 58, avg: 50, current: 55 },
+	],
+];
+
+for (const [name, deviceType, data, payload] of accepted) {
+	test(`normalize accepts: ${name}`, () => {
+		assert.deepEqual(validator.normalize(deviceType, data), {
+			payload,
+			schema: `${deviceType}@1`,
+		});
+	});
+}
+
+// [name, deviceType, data, reason, error]
+const rejected = [
+	["NaN dB", "esp32", { avg: NaN }, "type", /\/avg must be number/],
+	["NaN db", "socketio", { db: NaN }, "type", /\/db must be number/],
+	["negative dB", "esp32", { avg: -1 }, "minimum", /\/avg must be >= 0/],
+	["negative noise", "socketio", { noise: -3 }, "minimum", /\/noise/],
+	["dB above the range", "esp32", { avg: 201 }, "maximum", /\/avg/],
+	["dB as text", "socketio", { level: "55" }, "type", /\/level/],
+	[
+		"avg below min beyond rounding",
+		"esp32",
+		{ avg: 49.4, min: 50, max: 60 },
+		"consistency",
+		/avg outside min\/max/,
+	],
+	[
+		"avg above max beyond rounding",
+		"esp32",
+		{ avg: 60.6, min: 50, max: 60 },
+		"consistency",
+		/avg outside min\/max/,
+	],
+	[
+		"current outside min/max",
+		"socketio",
+		{ db: 70, min: 50, max: 60, avg: 55 },
+		"consistency",
+		/current outside min\/max/,
+	],
+	[
+		"min above max",
+		"esp32",
+		{ avg: 55, min: 60, max: 50 },
+		"consistency",
+		/min 60 is above max 50/,
+	],
+	[
+		"unknown version",
+		"esp32",
+		{ v: 2, avg: 50 },
+		"version",
+		/Unknown payload schema esp32@2/,
+	],
+	[
+		"unknown device type",
+		"lora",
+		{ avg: 50 },
+		"version",
+		/Unknown payload schema lora@1/,
+	],
+	[
+		"esp32 without avg",
+		"esp32",
+		{ db: 55 },
+		"required",
+		/must have required property 'avg'/,
+	],
+	["socketio without a level", "socketio", { min: 40 }, "required", /anyOf/],
+	["an array", "socketio", [55], "format", /must be a JSON object/],
+	["null", "esp32", null, "format", /must be a JSON object/],
+];
+
+for (const [name, deviceType, data, reason, error] of rejected) {
+	test(`normalize rejects: ${name}`, () => {
+		const result = validator.normalize(deviceType, data);
+		assert.equal(result.payload, undefined);
+		assert.equal(result.reason, reason);
+		assert.match(result.errors.join("; "), error);
+	});
+}
+
+test("SCHEMAS lists the versions of each device type", () => {
+	assert.deepEqual(PayloadValidator.SCHEMAS, { esp32: [1], socketio: [1] });
+});
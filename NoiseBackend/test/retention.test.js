@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RetentionService = require("../retention");
+
+const DAY_MS = 86400000;
+const NOW = Date.UTC(2026, 9, 19, 15, 0);
+
+test.mock.method(console, "log", () => {});
+test.mock.method(console, "warn", () => {});
+
+// [name, rawDays, state, expected]; state.cutoff is the archive watermark
+const decisions = [
+	["raw readings kept forever", 0, { cutoff: NOW, startedAt: NOW }, false],
+	["nothing archived yet", 30, null, false],
+	[
+		"archive a day or more ahead of the TTL",
+		30,
+		{ cutoff: NOW - 29 * DAY_MS, startedAt: NOW - 3600000 },
+		true,
+	],
+	[
+		"archive less than a day ahead after a stop",
+		30,
+		{ cutoff: NOW - 29 * DAY_MS - 1, startedAt: NOW - 3600000 },
+		false,
+	],
+	[
+		"archive behind the TTL after a long stop",
+		30,
+		{ cutoff: NOW - 32 * DAY_MS, startedAt: NOW - 3 * DAY_MS },
+		false,
+	],
+	[
+		"import written after the last run",
+		30,
+		{
+			cutoff: NOW - 28 * DAY_MS,
+			startedAt: NOW - 3600000,
+			holdUntil: NOW - 60000,
+		},
+		false,
+	],
+	[
+		"import archived by the last run",
+		30,
+		{
+			cutoff: NOW - 28 * DAY_MS,
+			startedAt: NOW - 3600000,
+			holdUntil: NOW - 7200000,
+		},
+		true,
+	],
+];
+
+for (const [name, rawDays, state, expected] of decisions) {
+	test(`expiryAllowed: ${name}`, () => {
+		assert.equal(RetentionService.expiryAllowed(rawDays, state, NOW), expected);
+	});
+}
+
+// retention_state and readings with no days to archive; collMod calls are
+// recorded as the expireAfterSeconds they set
+const fakeDb = () => {
+	const state = new Map();
+	const expiry = [];
+	let failArchive = false;
+
+	const stateCollection = {
+		async findOne({ _id }) {
+			return state.get(_id) || null;
+		},
+		async updateOne(filter, update, { upsert } = {}) {
+			const doc = state.get(filter._id);
+			if (doc && filter.until && !(doc.until < filter.until.$lt)) {
+				throw Object.assign(new Error("E11000"), { code: 11000 });
+			}
+			if (!doc && !upsert) return;
+			const next = { ...doc, _id: filter._id, ...update.$set };
+			for (const [key, value] of Object.entries(update.$max || {})) {
+				next[key] = Math.max(next[key] ?? -Infinity, value);
+			}
+			state.set(filter._id, next);
+		},
+		async deleteOne({ _id, owner }) {
+			if (state.get(_id)?.owner === owner) state.delete(_id);
+		},
+	};
+
+	return {
+		state,
+		expiry,
+		failArchive: (fail) => (failArchive = fail),
+		collection: (name) =>
+			name === "retention_state"
+				? stateCollection
+				: {
+						aggregate: () => ({
+							toArray: async () => {
+								if (failArchive) throw new Error("disk full");
+								return [];
+							},
+						}),
+					},
+		async command({ expireAfterSeconds }) {
+			expiry.push(expireAfterSeconds);
+		},
+	};
+};
+
+test("expiry resumes once the archive is ahead and pauses when it fails", async () => {
+	const db = fakeDb();
+	const retention = new RetentionService(db, { rawDays: 30 });
+
+	await retention.runOnce();
+	assert.deepEqual(db.expiry, ["off", 30 * 86400]);
+	assert.equal(retention.expiryEnabled, true);
+
+	db.failArchive(true);
+	await assert.rejects(retention.runOnce(), /disk full/);
+	assert.equal(db.expiry.at(-1), "off");
+	assert.equal(retention.expiryEnabled, false);
+
+	db.failArchive(false);
+	await retention.runOnce();
+	assert.equal(db.expiry.at(-1), 30 * 86400);
+});
+
+test("a stale watermark pauses expiry before archiving", async () => {
+	const db = fakeDb();
+	const retention = new RetentionService(db, { rawDays: 30 });
+	db.state.set("raw", {
+		_id: "raw",
+		cutoff: Date.now() - 31 * DAY_MS,
+		startedAt: Date.now() - 3 * DAY_MS,
+	});
+	db.failArchive(true);
+
+	await assert.rejects(retention.runOnce());
+	assert.deepEqual(db.expiry, ["off", "off"]);
+});
+
+test("an import keeps expiry off until a later run archives it", async () => {
+	const db = fakeDb();
+	const retention = new RetentionService(db, { rawDays: 30 });
+	await retention.runOnce();
+	assert.equal(db.expiry.at(-1), 30 * 86400);
+
+	// The importer's own instance, as in the Socket.IO server
+	await new RetentionService(db).holdExpiry();
+	assert.equal(db.expiry.at(-1), "off");
+
+	// Runs starting before the hold ends do not resume expiry
+	await retention.runOnce();
+	assert.equal(db.expiry.at(-1), "off");
+
+	const raw = db.state.get("raw");
+	raw.holdUntil = raw.startedAt - 1;
+	assert.equal(await retention.syncExpiry(), true);
+	assert.equal(db.expiry.at(-1), 30 * 86400);
+	assert.equal(db.state.has("expiry-lock"), false);
+});
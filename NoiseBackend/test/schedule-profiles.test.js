@@ -0,0 +1,235 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const ScheduleService = require("../schedule-profiles");
+
+const profile = (name, fields) => ({
+	_id: new ObjectId(),
+	name,
+	enabled: true,
+	windows: [],
+	overrides: [],
+	nodes: [],
+	groups: [],
+	...fields,
+});
+
+// Europe/Berlin switches to CEST on 2026-03-29 and back to CET on 2026-10-25
+const dorm = profile("Dorm", {
+	timezone: "Europe/Berlin",
+	nodes: ["N1"],
+	windows: [
+		{
+			label: "Sunday night",
+			days: [0],
+			start: "22:00",
+			end: "07:00",
+			threshold: 45,
+		},
+		{
+			label: "Weekday",
+			days: [1, 2, 3, 4, 5],
+			start: "08:00",
+			end: "18:00",
+			threshold: 60,
+		},
+	],
+	overrides: [
+		{ label: "Holidays", from: "2026-12-24", to: "2026-12-26", threshold: 40 },
+		{
+			label: "Exam",
+			from: "2026-07-01",
+			to: "2026-07-01",
+			start: "10:00",
+			end: "12:00",
+			threshold: 50,
+		},
+	],
+});
+const lab = profile("Lab", {
+	timezone: "UTC",
+	groups: ["lab"],
+	windows: [
+		{
+			label: "Always",
+			days: [0, 1, 2, 3, 4, 5, 6],
+			start: "00:00",
+			end: "00:00",
+			threshold: 70,
+		},
+	],
+});
+const paused = profile("Paused", {
+	enabled: false,
+	nodes: ["N3"],
+	windows: [
+		{
+			days: [0, 1, 2, 3, 4, 5, 6],
+			start: "00:00",
+			end: "00:00",
+			threshold: 30,
+		},
+	],
+});
+
+const service = new ScheduleService(
+	{ collection: () => ({}) },
+	{ defaultTimezone: "UTC" },
+);
+service.profiles = [dorm, lab, paused];
+
+const cases = [
+	// Overnight window across Sunday -> Monday (times in UTC, Berlin on CET)
+	[
+		"Sunday 21:59 is before the overnight window",
+		"N1",
+		null,
+		"2026-10-25T20:59Z",
+		null,
+	],
+	[
+		"Sunday 23:30 is in the overnight window",
+		"N1",
+		null,
+		"2026-10-25T22:30Z",
+		["Dorm", "window", 45],
+	],
+	[
+		"Monday 06:59 still belongs to Sunday night",
+		"N1",
+		null,
+		"2026-10-26T05:59Z",
+		["Dorm", "window", 45],
+	],
+	[
+		"Monday 07:00 ends the overnight window",
+		"N1",
+		null,
+		"2026-10-26T06:00Z",
+		null,
+	],
+	["Saturday night has no window", "N1", null, "2026-10-24T21:30Z", null],
+	[
+		"Sunday 00:30 belongs to Saturday night",
+		"N1",
+		null,
+		"2026-10-24T22:30Z",
+		null,
+	],
+
+	// The same UTC time on either side of a DST change
+	[
+		"20:00Z a week before spring-forward is 21:00 CET",
+		"N1",
+		null,
+		"2026-03-22T20:00Z",
+		null,
+	],
+	[
+		"20:00Z after spring-forward is 22:00 CEST",
+		"N1",
+		null,
+		"2026-03-29T20:00Z",
+		["Dorm", "window", 45],
+	],
+	[
+		"06:30Z before fall-back is 08:30 CEST",
+		"N1",
+		null,
+		"2026-10-19T06:30Z",
+		["Dorm", "window", 60],
+	],
+	[
+		"06:30Z after fall-back is 07:30 CET",
+		"N1",
+		null,
+		"2026-10-26T06:30Z",
+		null,
+	],
+
+	// Overrides beat windows
+	[
+		"a whole-day override beats the weekday window",
+		"N1",
+		null,
+		"2026-12-24T11:00Z",
+		["Dorm", "override", 40],
+	],
+	[
+		"an override includes its last day",
+		"N1",
+		null,
+		"2026-12-26T22:59Z",
+		["Dorm", "override", 40],
+	],
+	[
+		"a timed override beats the window inside its hours",
+		"N1",
+		null,
+		"2026-07-01T09:00Z",
+		["Dorm", "override", 50],
+	],
+	[
+		"outside its hours the window applies again",
+		"N1",
+		null,
+		"2026-07-01T11:00Z",
+		["Dorm", "window", 60],
+	],
+
+	// Node assignment beats group assignment
+	[
+		"a node's own profile wins over its group's",
+		"N1",
+		"lab",
+		"2026-10-26T07:00Z",
+		["Dorm", "window", 60],
+	],
+	[
+		"with nothing active the group profile is not used",
+		"N1",
+		"lab",
+		"2026-10-26T06:00Z",
+		null,
+	],
+	[
+		"an unassigned node gets its group's profile",
+		"N2",
+		"lab",
+		"2026-10-26T06:00Z",
+		["Lab", "window", 70],
+	],
+	[
+		"a disabled node profile falls back to the group",
+		"N3",
+		"lab",
+		"2026-10-26T06:00Z",
+		["Lab", "window", 70],
+	],
+	[
+		"a node with no profile has no schedule",
+		"N2",
+		null,
+		"2026-10-26T06:00Z",
+		null,
+	],
+];
+
+for (const [name, nodeId, group, at, expected] of cases) {
+	test(`activeFor: ${name}`, () => {
+		const active = service.activeFor(nodeId, group, new Date(at));
+		if (!expected) {
+			assert.equal(active, null);
+			return;
+		}
+		const [profileName, source, threshold] = expected;
+		assert.deepEqual(
+			{
+				profileName: active?.profileName,
+				source: active?.source,
+				threshold: active?.threshold,
+			},
+			{ profileName, source, threshold },
+		);
+	});
+}
@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const SequenceTracker = require("../sequence-tracker");
+
+// Gaps are logged as they are found
+test.mock.method(console, "warn", () => {});
+
+// Just enough of a MongoDB collection for the tracker: equality, $in, $lte
+// and $gte filters, $min/$max/$set/$setOnInsert upserts and unordered
+// inserts failing on duplicate _ids
+const matches = (doc, filter) =>
+	Object.entries(filter).every(([key, cond]) => {
+		const value = doc[key];
+		if (cond && typeof cond === "object") {
+			if ("$in" in cond) return cond.$in.includes(value);
+			return (
+				value !== undefined &&
+				!("$lte" in cond && value > cond.$lte) &&
+				!("$gte" in cond && value < cond.$gte)
+			);
+		}
+		return value === cond;
+	});
+
+const fakeCollection = () => {
+	const docs = [];
+	return {
+		docs,
+		find(filter) {
+			const found = docs.filter((doc) => matches(doc, filter));
+			return { toArray: async () => found };
+		},
+		async insertMany(batch) {
+			const writeErrors = [];
+			batch.forEach((doc, index) => {
+				if (doc._id !== undefined && docs.some((d) => d._id === doc._id)) {
+					writeErrors.push({ index, code: 11000 });
+				} else {
+					docs.push({ _id: new ObjectId(), ...doc });
+				}
+			});
+			if (writeErrors.length > 0) {
+				throw Object.assign(new Error("E11000"), { writeErrors });
+			}
+		},
+		async findOneAndUpdate(filter, update) {
+			let doc = docs.find((d) => matches(d, filter));
+			const before = doc ? { ...doc } : null;
+			if (!doc) {
+				doc = { ...filter, ...update.$setOnInsert };
+				docs.push(doc);
+			}
+			Object.assign(doc, update.$set);
+			for (const [key, value] of Object.entries(update.$min || {})) {
+				doc[key] = Math.min(doc[key] ?? Infinity, value);
+			}
+			for (const [key, value] of Object.entries(update.$max || {})) {
+				doc[key] = Math.max(doc[key] ?? -Infinity, value);
+			}
+			return before;
+		},
+		async findOneAndDelete(filter) {
+			const index = docs.findIndex((d) => matches(d, filter));
+			return index < 0 ? null : docs.splice(index, 1)[0];
+		},
+		async deleteMany(filter) {
+			for (const doc of docs.filter((d) => matches(d, filter))) {
+				docs.splice(docs.indexOf(doc), 1);
+			}
+		},
+	};
+};
+
+const fakeDb = () => {
+	const collections = {};
+	return {
+		collection: (name) => (collections[name] ??= fakeCollection()),
+	};
+};
+
+const ranges = (tracker) =>
+	tracker.missing.docs
+		.map(({ from, to, count }) => [from, to, count])
+		.sort((a, b) => a[0] - b[0]);
+
+const readings = (bootId, seqs) =>
+	seqs.map((deviceSeq) => ({ bootId, deviceSeq }));
+
+test("recordBoot: the first batch records gaps after its first number", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.recordBoot("N1", "b1", [12, 5, 6, 9]);
+
+	const [boot] = tracker.boots.docs;
+	assert.equal(boot.firstSeq, 5);
+	assert.equal(boot.lastSeq, 12);
+	// Nothing before 5: where the boot's numbering starts is unknown
+	assert.deepEqual(ranges(tracker), [
+		[7, 8, 2],
+		[10, 11, 2],
+	]);
+});
+
+test("recordBoot: later batches extend the range both ways", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.recordBoot("N1", "b1", [5, 6]);
+	await tracker.recordBoot("N1", "b1", [2, 9]);
+
+	const [boot] = tracker.boots.docs;
+	assert.equal(boot.firstSeq, 2);
+	assert.equal(boot.lastSeq, 9);
+	assert.deepEqual(ranges(tracker), [
+		[3, 4, 2],
+		[7, 8, 2],
+	]);
+});
+
+test("recordBoot: late arrivals fill the gaps they fall in", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.recordBoot("N1", "b1", [1, 20]);
+	await tracker.recordBoot("N1", "b1", [2, 10, 19]);
+
+	assert.deepEqual(ranges(tracker), [
+		[3, 9, 7],
+		[11, 18, 8],
+	]);
+});
+
+test("recordBoot: boots keep separate ranges", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.recordBoot("N1", "b1", [1, 4]);
+	await tracker.recordBoot("N1", "b2", [2]);
+
+	assert.equal(tracker.boots.docs.length, 2);
+	assert.deepEqual(
+		tracker.missing.docs.map(({ bootId, from, to }) => [bootId, from, to]),
+		[["b1", 2, 3]],
+	);
+});
+
+test("fill: an edge shrinks a range, the middle splits it", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.recordBoot("N1", "b1", [0, 10]);
+
+	await tracker.fill("N1", "b1", 1);
+	assert.deepEqual(ranges(tracker), [[2, 9, 8]]);
+
+	await tracker.fill("N1", "b1", 5);
+	assert.deepEqual(ranges(tracker), [
+		[2, 4, 3],
+		[6, 9, 4],
+	]);
+
+	// Outside any range, and in another boot, nothing changes
+	await tracker.fill("N1", "b1", 5);
+	await tracker.fill("N1", "b2", 3);
+	assert.equal(tracker.missing.docs.length, 2);
+});
+
+test("filterNew: a claim held by the same entry still counts", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	const batch = [...readings("b1", [1, 2, 2]), { ts: 1 }];
+
+	const first = await tracker.filterNew("N1", batch, () => "1-0");
+	assert.deepEqual(first, [...readings("b1", [1, 2]), { ts: 1 }]);
+
+	// Redelivered to a worker after a crash
+	const redelivered = await tracker.filterNew("N1", batch, () => "1-0");
+	assert.deepEqual(redelivered, first);
+});
+
+test("filterNew: numbers claimed by another entry are dropped", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.filterNew("N1", readings("b1", [1, 2]), () => "1-0");
+
+	// A resend of 2 handled at the same time as the original
+	const resend = await tracker.filterNew(
+		"N1",
+		readings("b1", [2, 3]),
+		() => "2-0",
+	);
+	assert.deepEqual(resend, readings("b1", [3]));
+	assert.deepEqual(
+		tracker.claims.docs.map(({ _id, streamId }) => [_id, streamId]),
+		[
+			["N1:b1:1", "1-0"],
+			["N1:b1:2", "1-0"],
+			["N1:b1:3", "2-0"],
+		],
+	);
+});
+
+test("filterNew: released claims let a later resend through", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	await tracker.filterNew("N1", readings("b1", [1]), () => "1-0");
+	await tracker.release(["1-0"]);
+
+	const resend = await tracker.filterNew(
+		"N1",
+		readings("b1", [1]),
+		() => "2-0",
+	);
+	assert.deepEqual(resend, readings("b1", [1]));
+});
+
+test("filterNew: stored readings are dropped with or without claims", async () => {
+	const tracker = new SequenceTracker(fakeDb());
+	tracker.readings.docs.push({ nodeId: "N1", bootId: "b1", deviceSeq: 1 });
+
+	assert.deepEqual(
+		await tracker.filterNew("N1", readings("b1", [1, 2])),
+		readings("b1", [2]),
+	);
+	assert.deepEqual(
+		await tracker.filterNew("N1", readings("b1", [1, 2]), () => "1-0"),
+		readings("b1", [2]),
+	);
+});
@@ -1,6 +1,6 @@
 import {
   Activity, Database, Wifi, WifiOff, Bell, BellOff,
-  Zap, RefreshCw, ChevronLeft, Radio, Volume2, TrendingUp,
+  Zap, RefreshCw, ChevronLeft, Radio, Volume2, TrendingUp, LogOut, CalendarClock, Download,
 } from "lucide-react";
 import React, { useEffect, useRef, useState, useCallback } from "react";
 import {
@@ -10,637 +10,22 @@ import {
 import io from "socket.io-client";
 
 const API_URL = "https://silenceguard-gsfcu.ddns.net";
-const StatusDot = ({ live }) => (
-	<span style={{
-		display: 'inline-block',
-		width: 8,
-		height: 8,
-		borderRadius: '50%',
-		background: live ? '#22C55E' : '#CBD5E1',
-		boxShadow: live ? '0 0 0 3px rgba(34,197,94,0.2)' : 'none',
-		animation: live ? 'pulse 2s infinite' : 'none',
-	}} />
-);
-
-const Footer = () => (
-	<footer style={{
-		background: '#fff',
-		borderTop: '1px solid #E2E8F0',
-		padding: '12px 20px',
-		marginTop: '16px',
-		textAlign: 'center',
-		fontSize: 13,
-		color: '#64748B',
-		display: 'flex',
-		flexDirection: 'column',
-		alignItems: 'center',
-		gap: 8,
-	}}>
-		<a
-			href="https://dcs.gsfcuniversity.ac.in/academic/School-cp/home.aspx"
-			target="_blank"
-			rel="noreferrer"
-			style={{
-				textDecoration: 'none',
-				color: '#fff',
-				background: '#0EA5E9',
-				padding: '8px 18px',
-				borderRadius: 8,
-				fontWeight: 700,
-			}}
-		>
-			Back to DCS
-		</a>
-		<div>Developed with 💖 by team Burning Curiosity</div>
-	</footer>
-);
-
-export default function IoTDashboard() {
-	const [socket, setSocket] = useState(null);
-	const [nodes, setNodes] = useState([]);
-	const [selectedNode, setSelectedNode] = useState(null);
-	const [liveData, setLiveData] = useState({});
-	const [historicalData, setHistoricalData] = useState([]);
-	const [metrics, setMetrics] = useState({});
-	const [view, setView] = useState("overview");
-	const [timeRange, setTimeRange] = useState("1h");
-	const lastSeqRef = useRef({});
-
-	useEffect(() => {
-		const newSocket = io(API_URL);
-		newSocket.on("connect", () => {
-			newSocket.emit("identify", { type: "client" });
-		});
-		newSocket.on("nodes:list", (nodesList) => setNodes(nodesList));
-		newSocket.on("node:connected", (data) => {
-			setNodes((prev) => [...prev.filter((n) => n.nodeId !== data.nodeId), data]);
-		});
-		newSocket.on("node:disconnected", (data) => {
-			setNodes((prev) => prev.filter((n) => n.nodeId !== data.nodeId));
-		});
-		newSocket.on("data:live", (reading) => {
-			const { nodeId, ts, payload, seq } = reading;
-			setLiveData((prev) => ({ ...prev, [nodeId]: { ts, payload, seq } }));
-			if (lastSeqRef.current[nodeId] && seq && seq !== lastSeqRef.current[nodeId] + 1) {
-				fetchMissingData(nodeId, lastSeqRef.current[nodeId]);
-			}
-			if (seq) lastSeqRef.current[nodeId] = seq;
-		});
-		setSocket(newSocket);
-		return () => newSocket.close();
-	}, []);
-
-	useEffect(() => {
-		fetchNodes();
-		const interval = setInterval(fetchNodes, 5000);
-		return () => clearInterval(interval);
-	}, []);
-
-	useEffect(() => {
-		const fetchMetrics = async () => {
-			for (const node of nodes) {
-				try {
-					const res = await fetch(`${API_URL}/api/metrics/${node.nodeId}`);
-					const data = await res.json();
-					if (data.success) {
-						setMetrics((prev) => ({ ...prev, [node.nodeId]: data.metrics }));
-					}
-				} catch (err) {}
-			}
-		};
-		if (nodes.length > 0) {
-			fetchMetrics();
-			const interval = setInterval(fetchMetrics, 10000);
-			return () => clearInterval(interval);
-		}
-	}, [nodes]);
-
-	const fetchNodes = async () => {
-		try {
-			const res = await fetch(`${API_URL}/api/nodes`);
-			const data = await res.json();
-			if (data.success) setNodes(data.nodes);
-		} catch (err) {}
-	};
-
-	const fetchMissingData = async (nodeId, lastSeq) => {
-		try {
-			await fetch(`${API_URL}/api/sync/${nodeId}?lastSeq=${lastSeq}`);
-		} catch (err) {}
-	};
-
-	const fetchHistoricalData = async (nodeId) => {
-		try {
-			const now = Date.now();
-			const ranges = { "1h": 3600000, "6h": 21600000, "24h": 86400000, "7d": 604800000 };
-			const fromTs = now - ranges[timeRange];
-			const res = await fetch(`${API_URL}/api/series/${nodeId}?fromTs=${fromTs}&toTs=${now}&limit=1000`);
-			const data = await res.json();
-			if (data.success) setHistoricalData(data.data);
-		} catch (err) {}
-	};
-
-	const handleNodeClick = (node) => {
-		setSelectedNode(node);
-		setView("detail");
-		fetchHistoricalData(node.nodeId);
-		if (socket) socket.emit("subscribe", node.nodeId);
-	};
-
-	const handleBackToOverview = () => {
-		if (socket && selectedNode) socket.emit("unsubscribe", selectedNode.nodeId);
-		setSelectedNode(null);
-		setView("overview");
-		setHistoricalData([]);
-	};
-
-	const sendCommand = async (nodeId, command, data = {}) => {
-		try {
-			const res = await fetch(`${API_URL}/api/command/${nodeId}`, {
-				method: "POST",
-				headers: { "Content-Type": "application/json" },
-				body: JSON.stringify({ command, data }),
-			});
-			const result = await res.json();
-			alert(result.success ? `Command "${command}" sent to ${nodeId}` : `Failed: ${result.error}`);
-		} catch (err) {
-			alert("Error sending command");
-		}
-	};
-
-	const formatTimestamp = (ts) => new Date(ts).toLocaleTimeString();
-
-	const getChartData = () =>
-		historicalData.map((item) => ({
-			time: formatTimestamp(item.ts),
-			...item.payload,
-			seq: item.seq,
-		}));
-
-	const CHART_COLORS = ["#0EA5E9", "#10B981", "#F59E0B", "#EF4444"];
-
-	const styles = {
-		page: {
-			minHeight: '100vh',
-			background: '#F8FAFC',
-			fontFamily: "'DM Sans', 'Outfit', system-ui, sans-serif",
-			color: '#0F172A',
-		},
-		header: {
-			background: '#fff',
-			borderBottom: '1px solid #E2E8F0',
-			padding: '0 2rem',
-			height: 64,
-			display: 'flex',
-			alignItems: 'center',
-			justifyContent: 'space-between',
-			position: 'sticky',
-			top: 0,
-			zIndex: 50,
-			boxShadow: '0 1px 3px rgba(15,23,42,0.06)',
-		},
-		logoArea: {
-			display: 'flex',
-			alignItems: 'center',
-			gap: 12,
-		},
-		brandName: {
-			fontWeight: 700,
-			fontSize: 20,
-			letterSpacing: '-0.5px',
-			color: '#0F172A',
-		},
-		brandSub: {
-			fontSize: 11,
-			color: '#64748B',
-			letterSpacing: '0.08em',
-			textTransform: 'uppercase',
-			fontWeight: 500,
-		},
-		content: {
-			maxWidth: 1200,
-			margin: '0 auto',
-			padding: '2rem 1.5rem',
-		},
-		card: {
-			background: '#fff',
-			border: '1px solid #E2E8F0',
-			borderRadius: 16,
-			padding: '1.5rem',
-		},
-		statCard: (accent) => ({
-			background: '#fff',
-			border: `1px solid #E2E8F0`,
-			borderRadius: 16,
-			padding: '1.5rem',
-			borderTop: `3px solid ${accent}`,
-		}),
-		statLabel: {
-			fontSize: 12,
-			color: '#64748B',
-			fontWeight: 600,
-			letterSpacing: '0.06em',
-			textTransform: 'uppercase',
-			marginBottom: 8,
-		},
-		statValue: {
-			fontSize: 32,
-			fontWeight: 700,
-			color: '#0F172A',
-			letterSpacing: '-1px',
-		},
-		sectionTitle: {
-			fontSize: 18,
-			fontWeight: 700,
-			color: '#0F172A',
-			marginBottom: '1rem',
-			letterSpacing: '-0.3px',
-		},
-		nodeCard: {
-			background: '#fff',
-			border: '1px solid #E2E8F0',
-			borderRadius: 16,
-			padding: '1.25rem',
-			cursor: 'pointer',
-			transition: 'all 0.18s ease',
-		},
-		nodeCardHover: {
-			borderColor: '#0EA5E9',
-			boxShadow: '0 4px 20px rgba(14,165,233,0.12)',
-			transform: 'translateY(-2px)',
-		},
-		liveChip: {
-			background: '#F0FDF4',
-			color: '#16A34A',
-			border: '1px solid #BBF7D0',
-			borderRadius: 20,
-			padding: '2px 10px',
-			fontSize: 11,
-			fontWeight: 700,
-			letterSpacing: '0.08em',
-		},
-		pill: (active) => ({
-			padding: '6px 14px',
-			borderRadius: 8,
-			fontSize: 13,
-			fontWeight: 600,
-			cursor: 'pointer',
-			border: active ? '1px solid #0EA5E9' : '1px solid #E2E8F0',
-			background: active ? '#EFF6FF' : '#fff',
-			color: active ? '#0369A1' : '#64748B',
-			transition: 'all 0.15s',
-		}),
-		backBtn: {
-			display: 'inline-flex',
-			alignItems: 'center',
-			gap: 6,
-			padding: '8px 16px',
-			borderRadius: 10,
-			border: '1px solid #E2E8F0',
-			background: '#fff',
-			color: '#0F172A',
-			fontWeight: 600,
-			fontSize: 14,
-			cursor: 'pointer',
-			marginBottom: 24,
-			transition: 'all 0.15s',
-		},
-		ctrlBtn: (color) => ({
-			padding: '10px 0',
-			borderRadius: 10,
-			border: 'none',
-			background: color,
-			color: '#fff',
-			fontWeight: 600,
-			fontSize: 14,
-			cursor: 'pointer',
-			transition: 'opacity 0.15s',
-			width: '100%',
-		}),
-		valueTag: {
-			background: '#F8FAFC',
-			border: '1px solid #E2E8F0',
-			borderRadius: 12,
-			padding: '12px 16px',
-		},
-		table: {
-			width: '100%',
-			borderCollapse: 'collapse',
-			fontSize: 13,
-		},
-		th: {
-			textAlign: 'left',
-			padding: '10px 12px',
-			fontWeight: 600,
-			color: '#64748B',
-			fontSize: 11,
-			letterSpacing: '0.06em',
-			textTransform: 'uppercase',
-			borderBottom: '1px solid #E2E8F0',
-		},
-		td: {
-			padding: '10px 12px',
-			borderBottom: '1px solid #F1F5F9',
-			fontFamily: 'monospace',
-			color: '#334155',
-		},
-	};
-
-	const Header = () => (
-		<header style={styles.header}>
-			<div style={styles.logoArea}>
-				<div style={{ display: 'flex', gap: 20, alignItems: 'center' }}>
-					<img src="/Gemini_Generated_Image_1oycc21oycc21oyc.png" alt="Gemini Generated" style={{ height: "8vh", objectFit: 'contain' }} />
-					<div>
-						<div style={styles.brandName}>SilenceGuard</div>
-					</div>
-					<img src="/gsfcu-logo.png" alt="GSFCU" style={{ display: "block", height: 25, objectFit: 'contain' }} />
-					<img src="/guiitar.jpg" alt="Guiitar" style={{  display: "block", height: 50, objectFit: 'contain' }} />
-				</div>
-
-			</div>
-			<div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-				<div style={{
-					width: 8, height: 8, borderRadius: '50%',
-					background: '#22C55E',
-					boxShadow: '0 0 0 3px rgba(34,197,94,0.2)',
-				}} />
-				<span style={{ fontSize: 13, color: '#64748B', fontWeight: 500 }}>
-					{nodes.length} device{nodes.length !== 1 ? 's' : ''} connected
-				</span>
-			</div>
-		</header>
-	);
-
-	if (view === "detail" && selectedNode) {
-		const live = liveData[selectedNode.nodeId];
-		return (
-			<div style={styles.page}>
-				<Header />
-				<div style={styles.content}>
-					<button style={styles.backBtn} onClick={handleBackToOverview}>
-						← Back to Overview
-					</button>
-
-					<div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 28 }}>
-						<div style={{
-							width: 44, height: 44, borderRadius: 12, background: '#0F172A',
-							display: 'flex', alignItems: 'center', justifyContent: 'center',
-						}}>
-							<Server size={22} color="#38BDF8" />
-						</div>
-						<div>
-							<h1 style={{ fontSize: 24, fontWeight: 700, letterSpacing: '-0.5px' }}>
-								{selectedNode.nodeId}
-							</h1>
-							<span style={styles.liveChip}>● LIVE</span>
-						</div>
-					</div>
-
-					{/* Stats Row */}
-					<div style={{ display: 'grid', gridTemplateColumns: 'repeat(3,1fr)', gap: 16, marginBottom: 24 }}>
-						{[
-							{ label: 'Status', value: 'Active', accent: '#22C55E', icon: <Activity size={18} color="#22C55E" /> },
-							{ label: 'Last Update', value: live ? formatTimestamp(live.ts) : 'N/A', accent: '#0EA5E9', icon: <Clock size={18} color="#0EA5E9" /> },
-							{ label: 'Sequence', value: live?.seq || 0, accent: '#8B5CF6', icon: <Database size={18} color="#8B5CF6" /> },
-						].map((s) => (
-							<div key={s.label} style={styles.statCard(s.accent)}>
-								<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
-									<span style={styles.statLabel}>{s.label}</span>
-									{s.icon}
-								</div>
-								<div style={{ fontSize: 22, fontWeight: 700, color: '#0F172A' }}>{s.value}</div>
-							</div>
-						))}
-					</div>
-
-					{/* Current Values */}
-					{live && (
-						<div style={{ ...styles.card, marginBottom: 24 }}>
-							<div style={styles.sectionTitle}>Live Readings</div>
-							<div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill,minmax(140px,1fr))', gap: 12 }}>
-								{Object.entries(live.payload).map(([key, value]) => (
-									<div key={key} style={styles.valueTag}>
-										<div style={{ fontSize: 11, color: '#64748B', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 4 }}>{key}</div>
-										<div style={{ fontSize: 22, fontWeight: 700, color: '#0F172A', fontFamily: 'monospace' }}>
-											{typeof value === 'number' ? value.toFixed(2) : value}
-										</div>
-									</div>
-								))}
-							</div>
-						</div>
-					)}
-
-					{/* Controls */}
-					<div style={{ ...styles.card, marginBottom: 24 }}>
-						<div style={styles.sectionTitle}>Device Controls</div>
-						<div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 12 }}>
-							<button style={styles.ctrlBtn('#22C55E')} onClick={() => sendCommand(selectedNode.nodeId, 'start')}>▶ Start</button>
-							<button style={styles.ctrlBtn('#F59E0B')} onClick={() => sendCommand(selectedNode.nodeId, 'stop')}>⏸ Stop</button>
-							<button style={styles.ctrlBtn('#0EA5E9')} onClick={() => {
-								const t = prompt('Enter threshold value:', '80');
-								if (t) sendCommand(selectedNode.nodeId, 'setThreshold', { threshold: parseInt(t) });
-							}}>⚙ Threshold</button>
-							<button style={styles.ctrlBtn('#EF4444')} onClick={() => {
-								if (confirm('Reset device?')) sendCommand(selectedNode.nodeId, 'reset');
-							}}>↺ Reset</button>
-						</div>
-					</div>
-
-					{/* Time Range + Chart */}
-					<div style={{ ...styles.card, marginBottom: 24 }}>
-						<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
-							<div style={styles.sectionTitle}>Historical Data</div>
-							<div style={{ display: 'flex', gap: 8 }}>
-								{["1h", "6h", "24h", "7d"].map((r) => (
-									<button key={r} style={styles.pill(timeRange === r)} onClick={() => {
-										setTimeRange(r);
-										fetchHistoricalData(selectedNode.nodeId);
-									}}>{r}</button>
-								))}
-							</div>
-						</div>
-						{historicalData.length > 0 ? (
-							<ResponsiveContainer width="100%" height={320}>
-								<LineChart data={getChartData()}>
-									<CartesianGrid strokeDasharray="3 3" stroke="#F1F5F9" />
-									<XAxis dataKey="time" stroke="#94A3B8" tick={{ fontSize: 11 }} />
-									<YAxis stroke="#94A3B8" tick={{ fontSize: 11 }} />
-									<Tooltip contentStyle={{ background: '#fff', border: '1px solid #E2E8F0', borderRadius: 10, fontSize: 13, boxShadow: '0 4px 16px rgba(0,0,0,0.08)' }} />
-									<Legend wrapperStyle={{ fontSize: 12 }} />
-									{historicalData.length > 0 && Object.keys(historicalData[0].payload).map((key, idx) => (
-										<Line key={key} type="monotone" dataKey={key}
-											stroke={CHART_COLORS[idx % 4]} strokeWidth={2} dot={false} />
-									))}
-								</LineChart>
-							</ResponsiveContainer>
-						) : (
-							<div style={{ padding: '3rem', textAlign: 'center', color: '#94A3B8' }}>
-								<TrendingUp size={40} style={{ margin: '0 auto 12px', opacity: 0.4, display: 'block' }} />
-								<p style={{ fontSize: 14 }}>Loading historical data...</p>
-							</div>
-						)}
-					</div>
-
-					{/* Table */}
-					<div style={styles.card}>
-						<div style={styles.sectionTitle}>Recent Records</div>
-						<div style={{ overflowX: 'auto' }}>
-							<table style={styles.table}>
-								<thead>
-									<tr>
-										<th style={styles.th}>Seq</th>
-										<th style={styles.th}>Timestamp</th>
-										{historicalData.length > 0 && Object.keys(historicalData[0].payload).map((k) => (
-											<th key={k} style={styles.th}>{k}</th>
-										))}
-									</tr>
-								</thead>
-								<tbody>
-									{historicalData.slice(-10).reverse().map((rec, idx) => (
-										<tr key={idx}>
-											<td style={styles.td}>{rec.seq}</td>
-											<td style={styles.td}>{new Date(rec.ts).toLocaleString()}</td>
-											{Object.values(rec.payload).map((v, vi) => (
-												<td key={vi} style={styles.td}>{typeof v === 'number' ? v.toFixed(2) : v}</td>
-											))}
-										</tr>
-									))}
-								</tbody>
-							</table>
-						</div>
-					</div>
-				</div>
-				<Footer />
-			</div>
-		);
-	}
-
-	return (
-		<div style={styles.page}>
-			<Header />
-			<div style={styles.content}>
-				{/* Page title */}
-				<div style={{ marginBottom: 28 }}>
-					<h1 style={{ fontSize: 26, fontWeight: 700, letterSpacing: '-0.5px', color: '#0F172A' }}>
-						Overview
-					</h1>
-					<p style={{ color: '#64748B', marginTop: 4, fontSize: 14 }}>
-						Real-time monitoring of all connected IoT devices
-					</p>
-				</div>
-
-				{/* Stats */}
-				<div style={{ display: 'grid', gridTemplateColumns: 'repeat(3,1fr)', gap: 16, marginBottom: 32 }}>
-					{[
-						{ label: 'Connected Nodes', value: nodes.length, accent: '#0EA5E9', icon: <Wifi size={18} color="#0EA5E9" /> },
-						{ label: 'Active Streams', value: Object.keys(liveData).length, accent: '#22C55E', icon: <Activity size={18} color="#22C55E" /> },
-						{ label: 'Total Records', value: Object.values(metrics).reduce((s, m) => s + parseInt(m.totalRecords || 0), 0).toLocaleString(), accent: '#8B5CF6', icon: <Database size={18} color="#8B5CF6" /> },
-					].map((s) => (
-						<div key={s.label} style={styles.statCard(s.accent)}>
-							<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
-								<span style={styles.statLabel}>{s.label}</span>
-								{s.icon}
-							</div>
-							<div style={styles.statValue}>{s.value}</div>
-						</div>
-					))}
-				</div>
-
-				{/* Devices */}
-				<div style={{ marginBottom: 16, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-					<h2 style={{ fontSize: 18, fontWeight: 700, color: '#0F172A', letterSpacing: '-0.3px' }}>Devices</h2>
-					<span style={{ fontSize: 12, color: '#94A3B8', fontWeight: 500 }}>
-						Updated every 5s
-					</span>
-				</div>
-
-				{nodes.length === 0 ? (
-					<div style={{ ...styles.card, textAlign: 'center', padding: '4rem 2rem' }}>
-						<WifiOff size={44} color="#CBD5E1" style={{ margin: '0 auto 16px', display: 'block' }} />
-						<p style={{ fontSize: 16, fontWeight: 600, color: '#64748B' }}>No devices connected</p>
-						<p style={{ color: '#94A3B8', marginTop: 6, fontSize: 14 }}>Waiting for IoT nodes to connect...</p>
-					</div>
-				) : (
-					<div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill,minmax(300px,1fr))', gap: 16 }}>
-						{nodes.map((node) => {
-							const live = liveData[node.nodeId];
-							const nm = metrics[node.nodeId] || {};
-							return (
-								<div key={node.nodeId} className="node-card" style={{ ...styles.nodeCard, transition: 'all 0.18s ease' }} onClick={() => handleNodeClick(node)}>
-									<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 14 }}>
-										<div>
-											<h3 style={{ fontWeight: 700, fontSize: 16, color: '#0F172A', marginBottom: 4 }}>{node.nodeId}</h3>
-											{live ? (
-												<div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-													<StatusDot live />
-													<span style={{ fontSize: 11, color: '#22C55E', fontWeight: 700 }}>LIVE</span>
-												</div>
-											) : (
-												<div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-													<StatusDot live={false} />
-													<span style={{ fontSize: 11, color: '#94A3B8', fontWeight: 600 }}>OFFLINE</span>
-												</div>
-											)}
-										</div>
-										<div style={{
-											width: 36, height: 36, borderRadius: 10, background: live ? '#F0FDF4' : '#F8FAFC',
-											display: 'flex', alignItems: 'center', justifyContent: 'center',
-											border: '1px solid ' + (live ? '#BBF7D0' : '#E2E8F0'),
-										}}>
-											{live ? <Wifi size={18} color="#22C55E" /> : <WifiOff size={18} color="#CBD5E1" />}
-										</div>
-									</div>
-
-									{live && (
-										<div style={{ background: '#F8FAFC', borderRadius: 10, padding: 12, marginBottom: 14, border: '1px solid #F1F5F9' }}>
-											<div style={{ fontSize: 10, color: '#94A3B8', fontWeight: 700, letterSpacing: '0.08em', marginBottom: 8, textTransform: 'uppercase' }}>Live Data</div>
-											<div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
-												{Object.entries(live.payload).slice(0, 4).map(([k, v]) => (
-													<div key={k}>
-														<div style={{ fontSize: 10, color: '#94A3B8', fontWeight: 600, marginBottom: 1, textTransform: 'uppercase' }}>{k}</div>
-														<div style={{ fontFamily: 'monospace', fontWeight: 700, fontSize: 14, color: '#0F172A' }}>
-															{typeof v === 'number' ? v.toFixed(2) : v}
-														</div>
-													</div>
-												))}
-											</div>
-										</div>
-									)}
-
-									<div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 14 }}>
-										{[
-											{ label: 'Records', value: parseInt(nm.totalRecords || 0).toLocaleString() },
-											{ label: 'Last Update', value: live ? formatTimestamp(live.ts) : 'N/A' },
-											{ label: 'Sequence', value: live?.seq || 0 },
-										].map((r) => (
-											<div key={r.label} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 13 }}>
-												<span style={{ color: '#94A3B8' }}>{r.label}</span>
-												<span style={{ fontFamily: 'monospace', fontWeight: 600, color: '#334155' }}>{r.value}</span>
-											</div>
-										))}
-									</div>
-
-									<button style={{
-										width: '100%', padding: '9px 0', borderRadius: 10,
-										background: '#0F172A', color: '#fff',
-										fontWeight: 600, fontSize: 13, border: 'none', cursor: 'pointer',
-										letterSpacing: '0.01em',
-									}}>
-										View Details →
-									</button>
-								</div>
-							);
-						})}
-					</div>
-				)}
-			</div>
-			<Footer />
-		</div>
-	);
-}
-=======
+const SESSION_KEY = "silenceguard.session";
+
+/* Used until the server config for a node has loaded */
 const THRESHOLD_DEFAULT = 50;
+/* Points per history chart, whatever the range */
+const HISTORY_POINTS = 400;
+const HISTORY_RANGES = { "1h": 3600000, "6h": 21600000, "24h": 86400000, "7d": 604800000 };
+
+/* "5m ago" for offline devices' last-seen times */
+function timeAgo(ms) {
+  const s = Math.max(0, Math.round((Date.now() - ms) / 1000));
+  if (s < 60)    return `${s}s ago`;
+  if (s < 3600)  return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
 
 /* ─────────────────────────────────────────────
    DIGITAL TWIN  — exact replica of physical device
@@ -765,21 +150,23 @@ function DigitalTwin({ db = 0, threshold = 50, isOnline = false, alertActive = f
 /* ─────────────────────────────────────────────
    NODE CARD
 ───────────────────────────────────────────── */
-function NodeCard({ node, liveData, metrics, onClick }) {
+function NodeCard({ node, liveData, metrics, threshold = THRESHOLD_DEFAULT, schedule, pending = 0, onClick }) {
   const d  = liveData[node.nodeId];
-  const db = d?.payload?.db ?? d?.payload?.noise ?? 0;
-  const isOver = db > THRESHOLD_DEFAULT;
+  const db = d?.payload?.level ?? d?.payload?.db ?? d?.payload?.noise ?? 0;
+  const rejected = metrics[node.nodeId]?.rejected ?? 0;
+  const lastRejection = metrics[node.nodeId]?.lastRejection;
+  const isOver = db > threshold;
   const color =
-    db < 40 ? "#22c55e" : db < THRESHOLD_DEFAULT ? "#facc15" : "#ef4444";
+    db < 40 ? "#22c55e" : db < threshold ? "#facc15" : "#ef4444";
 
   return (
     <button
-      className={`nc ${isOver ? "nc--alert" : ""}`}
+      className={`nc ${isOver ? "nc--alert" : ""} ${node.connected ? "" : "nc--offline"}`}
       onClick={() => onClick(node)}
     >
       <div className="nc__top">
         <span className="nc__id"><Radio size={13} /> {node.nodeId}</span>
-        <span className={`nc__dot ${node.connected ? "nc__dot--on" : "nc__dot--off"}`} />
+        <span className={`nc__dot ${!node.connected ? "nc__dot--off" : node.stale ? "nc__dot--stale" : "nc__dot--on"}`} />
       </div>
 
       {/* Mini arc gauge */}
@@ -806,6 +193,27 @@ function NodeCard({ node, liveData, metrics, onClick }) {
         <Database size={11} />
         {metrics[node.nodeId]?.totalRecords?.toLocaleString() ?? "0"} records
       </div>
+      {schedule && (
+        <div className="nc__sched" title={`${schedule.profileName} · ${threshold} dB`}>
+          <CalendarClock size={11} /> {schedule.label || schedule.profileName}
+        </div>
+      )}
+      {rejected > 0 && (
+        <div className="nc__rejected" title={lastRejection ? `Last: ${lastRejection.errors.join("; ")}` : undefined}>
+          {rejected.toLocaleString()} invalid payload{rejected !== 1 ? "s" : ""}
+        </div>
+      )}
+      {node.connected && node.stale && (
+        <div className="nc__stale">
+          Stale · {node.lastDataAt ? `last data ${timeAgo(node.lastDataAt)}` : "no data yet"}
+        </div>
+      )}
+      {!node.connected && node.lastSeen && (
+        <div className="nc__seen">Offline · last seen {timeAgo(node.lastSeen)}</div>
+      )}
+      {pending > 0 && (
+        <div className="nc__pending">{pending} command{pending !== 1 ? "s" : ""} pending</div>
+      )}
     </button>
   );
 }
@@ -830,7 +238,8 @@ function CustomTooltip({ active, payload, label }) {
 /* ─────────────────────────────────────────────
    STAT CARD
 ───────────────────────────────────────────── */
-function StatCard({ label, value, color, icon: Icon, sub }) {
+function StatCard({ label, value, color, icon, sub }) {
+  const Icon = icon;
   return (
     <div className="sc">
       <div className="sc__icon" style={{ color }}><Icon size={20} /></div>
@@ -841,10 +250,329 @@ function StatCard({ label, value, color, icon: Icon, sub }) {
   );
 }
 
+/* ─────────────────────────────────────────────
+   COMMAND HELPERS
+───────────────────────────────────────────── */
+const OPEN_STATUSES = ["queued", "pending"];
+
+/* Insert or replace by commandId, newest first */
+function upsertCommand(list, cmd) {
+  return [cmd, ...list.filter(c => c.commandId !== cmd.commandId)]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 500);
+}
+
+/* A command the server refused never gets an id; show it as failed locally */
+function localFailure(nodeId, command, error) {
+  return {
+    commandId: `local-${Date.now()}`, nodeId, command,
+    status: "failed", error, sentBy: "you", createdAt: Date.now(),
+  };
+}
+
+/* ─────────────────────────────────────────────
+   COMMAND CONTROL — one per catalog entry
+───────────────────────────────────────────── */
+const COMMAND_ICONS = { ping: Zap, reboot: RefreshCw, set_threshold: Activity, reset: WifiOff };
+
+function CommandControl({ def, onSend }) {
+  const params = Object.entries(def.schema?.properties ?? {});
+  const [values, setValues] = useState(
+    () => Object.fromEntries(params.map(([k, p]) => [k, p.default ?? ""]))
+  );
+  const Icon = COMMAND_ICONS[def.name] ?? Radio;
+  const isNumeric = (p) => p.type === "number" || p.type === "integer";
+
+  const send = () => {
+    if (def.danger && !confirm(`${def.label}: are you sure?`)) return;
+    const payload = Object.fromEntries(
+      params
+        .filter(([k]) => values[k] !== "")
+        .map(([k, p]) => [k, isNumeric(p) ? Number(values[k]) : values[k]])
+    );
+    onSend(def.name, payload);
+  };
+
+  return (
+    <div className="cmd-ctl">
+      <button className={`cmd-btn ${def.danger ? "cmd-btn--danger" : ""}`}
+        title={def.description} onClick={send}>
+        <Icon size={15} /> {def.label}
+      </button>
+      {params.map(([k, p]) => (
+        <input key={k} className="cmd-input"
+          type={isNumeric(p) ? "number" : "text"}
+          min={p.minimum} max={p.maximum}
+          placeholder={p.title ?? k} value={values[k]}
+          onChange={e => setValues(v => ({ ...v, [k]: e.target.value }))} />
+      ))}
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────
+   CONFIG PANEL — server-side device configuration
+───────────────────────────────────────────── */
+const CONFIG_FIELDS = [
+  { key: "threshold",          label: "Base threshold (dB)", type: "number" },
+  { key: "samplingIntervalMs", label: "Sampling (ms)",       type: "number" },
+  { key: "calibrationOffset",  label: "Calibration (dB)",    type: "number" },
+  { key: "locationLabel",      label: "Location",            type: "text"   },
+  { key: "group",              label: "Group",               type: "text"   },
+];
+
+function ConfigPanel({ config, canEdit, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Only edited fields are sent; Number("") would turn a cleared field into 0
+  const save = async () => {
+    const changes = {};
+    for (const { key, label, type } of CONFIG_FIELDS) {
+      const raw = draft[key] ?? "";
+      if (type === "number") {
+        const blank = String(raw).trim() === "";
+        if (blank && config[key] == null) continue;
+        const value = Number(raw);
+        if (blank || !Number.isFinite(value)) {
+          setError(`${label} must be a number`);
+          return;
+        }
+        if (value !== config[key]) changes[key] = value;
+      } else if (raw !== (config[key] ?? "")) {
+        changes[key] = raw;
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      setError(null);
+      setDraft(null);
+      return;
+    }
+    const err = await onSave(changes);
+    setError(err);
+    if (!err) setDraft(null);
+  };
+
+  const sync =
+    config.inSync === true  ? { cls: "cfg-sync--ok",   text: "Confirmed by device" } :
+    config.inSync === false ? { cls: "cfg-sync--warn", text: `Device reports ${config.reported?.threshold} dB` } :
+                              { cls: "",               text: "Awaiting device report" };
+
+  return (
+    <div className="panel">
+      <div className="panel__title">Configuration</div>
+      <div className="cfg-grid">
+        {CONFIG_FIELDS.map(({ key, label, type }) => (
+          <label key={key} className="cfg-field">
+            <span className="lm-lbl">{label}</span>
+            {draft ? (
+              <input className="cmd-input cfg-input" type={type} value={draft[key] ?? ""}
+                onChange={e => setDraft(d => ({ ...d, [key]: e.target.value }))} />
+            ) : (
+              <span className="cfg-val">{config[key] === "" || config[key] == null ? "—" : config[key]}</span>
+            )}
+          </label>
+        ))}
+      </div>
+      <div className="cfg-sched">
+        <CalendarClock size={13} />
+        {config.schedule
+          ? <span><b>{config.schedule.profileName}</b>{config.schedule.label && ` · ${config.schedule.label}`} — {config.schedule.threshold} dB{config.schedule.source === "override" ? " (override)" : ""}</span>
+          : <span>No schedule active — base threshold applies</span>}
+      </div>
+      <div className="cfg-foot">
+        <span className={`cfg-sync ${sync.cls}`}>{sync.text}</span>
+        {error && <span className="cfg-err">{error}</span>}
+        {canEdit && (draft ? (
+          <>
+            <button className="time-btn" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="time-btn active" onClick={save}>Save &amp; push</button>
+          </>
+        ) : (
+          <button className="time-btn" onClick={() => setDraft({ ...config })}>Edit</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────
+   DIAGNOSTICS (/health telemetry)
+───────────────────────────────────────────── */
+const HEALTH_SAMPLES = 120;
+
+function formatUptime(ms) {
+  const m = Math.floor(ms / 60000);
+  const d = Math.floor(m / 1440), h = Math.floor((m % 1440) / 60);
+  return d > 0 ? `${d}d ${h}h` : h > 0 ? `${h}h ${m % 60}m` : `${m}m`;
+}
+
+function rssiQuality(rssi) {
+  return rssi >= -55 ? { text: "Excellent", color: "#22c55e" } :
+         rssi >= -67 ? { text: "Good",      color: "#22c55e" } :
+         rssi >= -80 ? { text: "Weak",      color: "#facc15" } :
+                       { text: "Poor",      color: "#ef4444" };
+}
+
+function DiagnosticsPanel({ health }) {
+  const h = health?.latest;
+  if (!h) {
+    return (
+      <div className="panel">
+        <div className="panel__title">Diagnostics</div>
+        <div className="cmd-empty">No diagnostics reported yet</div>
+      </div>
+    );
+  }
+
+  const quality = h.rssi != null ? rssiQuality(h.rssi) : null;
+  const heap = [...health.samples].reverse()
+    .filter(s => s.freeHeap != null)
+    .map(s => ({ time: new Date(s.at).toLocaleTimeString(), kb: Math.round(s.freeHeap / 1024) }));
+  const fields = [
+    ["Wi-Fi RSSI",    h.rssi != null ? <span style={{ color: quality.color }}>{h.rssi} dBm · {quality.text}</span> : null],
+    ["Free heap",     h.freeHeap != null ? `${(h.freeHeap / 1024).toFixed(1)} KB` : null],
+    ["Min free heap", h.minFreeHeap != null ? `${(h.minFreeHeap / 1024).toFixed(1)} KB` : null],
+    ["Uptime",        h.uptime != null ? formatUptime(h.uptime) : null],
+    ["Reset reason",  h.resetReason],
+    ["Firmware",      h.firmware],
+  ];
+
+  return (
+    <div className="panel">
+      <div className="panel__title">Diagnostics</div>
+      <div className="cfg-grid">
+        {fields.map(([label, value]) => (
+          <div key={label} className="cfg-field">
+            <span className="lm-lbl">{label}</span>
+            <span className="cfg-val">{value ?? "—"}</span>
+          </div>
+        ))}
+      </div>
+      {heap.length > 1 && (
+        <ResponsiveContainer width="100%" height={70}>
+          <AreaChart data={heap} margin={{ top: 4, right: 0, left: 0, bottom: 0 }}>
+            <XAxis dataKey="time" hide />
+            <YAxis hide domain={["auto", "auto"]} />
+            <Tooltip content={({ active, payload, label }) => active && payload?.length ? (
+              <div className="ctt">
+                <p className="ctt__time">{label}</p>
+                <p style={{ color: "#a78bfa" }}>free heap: <b>{payload[0].value}</b> KB</p>
+              </div>
+            ) : null} />
+            <Area type="monotone" dataKey="kb" stroke="#a78bfa" fill="#a78bfa" fillOpacity={0.15} isAnimationActive={false} />
+          </AreaChart>
+        </ResponsiveContainer>
+      )}
+      <div className="cfg-foot">
+        <span className="cfg-sync">Reported {timeAgo(h.at)}</span>
+      </div>
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────
+   LOGIN SCREEN
+───────────────────────────────────────────── */
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error,    setError]    = useState(null);
+  const [busy,     setBusy]     = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const r = await fetch(`${API_URL}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      const d = await r.json();
+      if (d.success) onLogin({ token: d.token, user: d.user });
+      else setError(d.error);
+    } catch {
+      setError("Server unreachable");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <style>{`
+        body { background: #070b14; margin: 0; }
+        .login {
+          min-height: 100vh; display: flex; align-items: center; justify-content: center;
+          font-family: 'Rajdhani', sans-serif; color: #e2e8f0;
+        }
+        .login__card {
+          width: 340px; background: #0c1220; border: 1px solid #1e2d47;
+          border-radius: 16px; padding: 2rem; display: flex; flex-direction: column; gap: .9rem;
+        }
+        .login__title {
+          font-family: 'Syne', sans-serif; font-weight: 800; letter-spacing: .08em;
+          color: #06b6d4; font-size: 1.1rem; text-align: center; margin-bottom: .4rem;
+        }
+        .login__input {
+          background: #111827; border: 1px solid #1e2d47; border-radius: 10px;
+          color: #e2e8f0; padding: .65rem .9rem; font-size: .95rem; font-family: inherit;
+        }
+        .login__input:focus { outline: none; border-color: #06b6d4; }
+        .login__btn {
+          background: #06b6d4; color: #000; border: none; border-radius: 10px;
+          padding: .7rem; font-weight: 700; font-size: .95rem; cursor: pointer;
+        }
+        .login__btn:disabled { opacity: .6; cursor: default; }
+        .login__err { color: #ef4444; font-size: .85rem; text-align: center; }
+      `}</style>
+      <div className="login">
+        <form className="login__card" onSubmit={submit}>
+          <div className="login__title">SILENCE GUARD</div>
+          <input className="login__input" placeholder="Username" autoComplete="username"
+            value={username} onChange={e => setUsername(e.target.value)} />
+          <input className="login__input" placeholder="Password" type="password"
+            autoComplete="current-password"
+            value={password} onChange={e => setPassword(e.target.value)} />
+          {error && <div className="login__err">{error}</div>}
+          <button className="login__btn" disabled={busy || !username || !password}>
+            {busy ? "Signing in…" : "Sign in"}
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
+
+/* ─────────────────────────────────────────────
+   SESSION GATE
+───────────────────────────────────────────── */
+export default function App() {
+  const [session, setSession] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(SESSION_KEY)); } catch { return null; }
+  });
+
+  const handleLogin = (s) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(s));
+    setSession(s);
+  };
+
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
+  }, []);
+
+  return session
+    ? <IoTDashboard session={session} onLogout={handleLogout} />
+    : <LoginScreen onLogin={handleLogin} />;
+}
+
 /* ─────────────────────────────────────────────
    MAIN APP
 ───────────────────────────────────────────── */
-export default function IoTDashboard() {
+function IoTDashboard({ session, onLogout }) {
   const [nodes,          setNodes]          = useState([]);
   const [selectedNode,   setSelectedNode]   = useState(null);
   const [liveData,       setLiveData]       = useState({});
@@ -852,10 +580,44 @@ export default function IoTDashboard() {
   const [metrics,        setMetrics]        = useState({});
   const [view,           setView]           = useState("overview");
   const [timeRange,      setTimeRange]      = useState("1h");
+  const [exporting,      setExporting]      = useState(false);
+  const [exportError,    setExportError]    = useState(null);
+  const [uptime,         setUptime]         = useState(null);
+  const [health,         setHealth]         = useState(null);
   const [alertMuted,     setAlertMuted]     = useState(false);
   const [tick,           setTick]           = useState(0);
+  const [commands,       setCommands]       = useState([]);
+  const [openCommands,   setOpenCommands]   = useState([]);
+  const [catalog,        setCatalog]        = useState([]);
+  const [configs,        setConfigs]        = useState({});
+  const [openAlerts,     setOpenAlerts]     = useState([]);
   const socketRef  = useRef(null);
   const lastSeqRef = useRef({});
+  /* Node whose live room we are in; rejoined after a reconnect */
+  const subscribedRef = useRef(null);
+  const canControl = session.user.role !== "viewer";
+
+  /* Authenticated fetch — an expired token drops back to the login screen */
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const r = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${session.token}` },
+    });
+    if (r.status === 401) onLogout();
+    return r;
+  }, [session.token, onLogout]);
+
+  const fetchNodes = useCallback(async () => {
+    try {
+      const r = await apiFetch("/api/nodes");
+      const d = await r.json();
+      if (d.success) setNodes(d.nodes);
+    } catch { /* retry on next poll */ }
+  }, [apiFetch]);
+
+  const fetchMissing = useCallback(async (nodeId, lastSeq) => {
+    try { await apiFetch(`/api/sync/${nodeId}?lastSeq=${lastSeq}`); } catch { /* best effort */ }
+  }, [apiFetch]);
 
   /* Tick for wave animation */
   useEffect(() => {
@@ -867,10 +629,42 @@ export default function IoTDashboard() {
   useEffect(() => {
     const s = io(API_URL);
     socketRef.current = s;
-    s.on("connect",           ()   => s.emit("identify", { type: "client" }));
-    s.on("nodes:list",        setNodes);
-    s.on("node:connected",    d    => setNodes(p => [...p.filter(n => n.nodeId !== d.nodeId), d]));
-    s.on("node:disconnected", d    => setNodes(p => p.filter(n => n.nodeId !== d.nodeId)));
+    s.on("connect",           ()   => s.emit("identify", { type: "client", token: session.token }));
+    s.on("auth:error",        onLogout);
+    s.on("nodes:list",        list => {
+      setNodes(list);
+      // Rooms are per connection: the overview summary, plus the open node
+      s.emit("subscribe", { summary: true });
+      if (subscribedRef.current) s.emit("subscribe", subscribedRef.current);
+    });
+    s.on("node:connected",    d    => setNodes(p => [
+      ...p.filter(n => n.nodeId !== d.nodeId),
+      { ...p.find(n => n.nodeId === d.nodeId), ...d, connected: true, stale: false },
+    ]));
+    /* Offline devices stay listed, greyed out */
+    s.on("node:disconnected", d    => setNodes(p => p.map(n => n.nodeId === d.nodeId
+      ? { ...n, connected: false, lastSeen: Date.now() }
+      : n)));
+    /* Watchdog: connected but silent nodes are stale until they report again */
+    s.on("device:health",     h    => setNodes(p => p.map(n => n.nodeId === h.nodeId
+      ? { ...n, stale: h.status === "stale", staleSince: h.staleSince, lastDataAt: h.lastDataAt ?? n.lastDataAt }
+      : n)));
+    s.on("health:data",       h    => {
+      if (h.nodeId !== subscribedRef.current) return;
+      setHealth(p => ({ latest: h, samples: [h, ...(p?.samples ?? [])].slice(0, HEALTH_SAMPLES) }));
+    });
+    s.on("config:updated",    c    => setConfigs(p => ({ ...p, [c.nodeId]: c })));
+    s.on("alert:raised",      a    => {
+      setOpenAlerts(p => [a, ...p.filter(o => o.alertId !== a.alertId)]);
+      setAlertMuted(false);
+    });
+    s.on("alert:resolved",    a    => setOpenAlerts(p => p.filter(o => o.alertId !== a.alertId)));
+    s.on("command:status",    c    => {
+      setCommands(p => upsertCommand(p, c));
+      setOpenCommands(p => OPEN_STATUSES.includes(c.status)
+        ? upsertCommand(p, c)
+        : p.filter(o => o.commandId !== c.commandId));
+    });
     s.on("data:live", reading => {
       const { nodeId, ts, payload, seq } = reading;
       setLiveData(p => ({ ...p, [nodeId]: { ts, payload, seq } }));
@@ -878,15 +672,24 @@ export default function IoTDashboard() {
         fetchMissing(nodeId, lastSeqRef.current[nodeId]);
       if (seq) lastSeqRef.current[nodeId] = seq;
     });
+    s.on("data:summary", ({ nodes: summary }) => {
+      setLiveData(p => {
+        const next = { ...p };
+        for (const n of summary) {
+          next[n.nodeId] = { ...p[n.nodeId], ts: n.ts, payload: { ...p[n.nodeId]?.payload, level: n.level } };
+        }
+        return next;
+      });
+    });
     return () => s.close();
-  }, []);
+  }, [session.token, onLogout, fetchMissing]);
 
   /* Poll nodes */
   useEffect(() => {
     fetchNodes();
     const id = setInterval(fetchNodes, 5000);
     return () => clearInterval(id);
-  }, []);
+  }, [fetchNodes]);
 
   /* Metrics */
   useEffect(() => {
@@ -894,77 +697,210 @@ export default function IoTDashboard() {
     const go = async () => {
       for (const node of nodes) {
         try {
-          const r = await fetch(`${API_URL}/api/metrics/${node.nodeId}`);
+          const r = await apiFetch(`/api/metrics/${node.nodeId}`);
           const d = await r.json();
           if (d.success) setMetrics(p => ({ ...p, [node.nodeId]: d.metrics }));
-        } catch {}
+        } catch { /* keep last known metrics */ }
       }
     };
     go();
     const id = setInterval(go, 10000);
     return () => clearInterval(id);
-  }, [nodes]);
+  }, [nodes, apiFetch]);
 
-  const fetchNodes = async () => {
-    try {
-      const r = await fetch(`${API_URL}/api/nodes`);
-      const d = await r.json();
-      if (d.success) setNodes(d.nodes);
-    } catch {}
-  };
+  /* Device configs (thresholds come from the server, not a constant) */
+  useEffect(() => {
+    const go = async () => {
+      try {
+        const r = await apiFetch("/api/configs");
+        const d = await r.json();
+        if (d.success) setConfigs(Object.fromEntries(d.configs.map(c => [c.nodeId, c])));
+      } catch { /* keep last known configs */ }
+    };
+    go();
+    const id = setInterval(go, 30000);
+    return () => clearInterval(id);
+  }, [apiFetch]);
 
-  const fetchMissing = async (nodeId, lastSeq) => {
-    try { await fetch(`${API_URL}/api/sync/${nodeId}?lastSeq=${lastSeq}`); } catch {}
-  };
+  /* Open alerts are evaluated server-side; the socket keeps them current */
+  useEffect(() => {
+    (async () => {
+      try {
+        const r = await apiFetch("/api/alerts?status=open");
+        const d = await r.json();
+        if (d.success) setOpenAlerts(d.alerts);
+      } catch { /* alert:raised events still arrive */ }
+    })();
+  }, [apiFetch]);
+
+  /* Command catalog drives the control panel */
+  useEffect(() => {
+    (async () => {
+      try {
+        const r = await apiFetch("/api/commands/catalog");
+        const d = await r.json();
+        if (d.success) setCatalog(d.commands.filter(c => !c.deprecated && !c.hidden));
+      } catch { /* controls stay empty until the server is reachable */ }
+    })();
+  }, [apiFetch]);
+
+  /* Commands still waiting for delivery or an ack, across all nodes */
+  useEffect(() => {
+    const go = async () => {
+      try {
+        const r = await apiFetch(`/api/commands?status=${OPEN_STATUSES.join(",")}&limit=500`);
+        const d = await r.json();
+        if (d.success) setOpenCommands(d.commands);
+      } catch { /* socket updates keep the list current */ }
+    };
+    go();
+    const id = setInterval(go, 30000);
+    return () => clearInterval(id);
+  }, [apiFetch]);
 
   const fetchHistory = useCallback(async (nodeId, range = timeRange) => {
     try {
-      const ranges = { "1h": 3600000, "6h": 21600000, "24h": 86400000, "7d": 604800000 };
       const now = Date.now();
-      const r = await fetch(
-        `${API_URL}/api/series/${nodeId}?fromTs=${now - ranges[range]}&toTs=${now}&limit=1000`
+      const r = await apiFetch(
+        `/api/series/${nodeId}?fromTs=${now - HISTORY_RANGES[range]}&toTs=${now}&points=${HISTORY_POINTS}&method=lttb`
       );
       const d = await r.json();
       if (d.success) setHistoricalData(d.data);
-    } catch {}
-  }, [timeRange]);
+    } catch { /* chart keeps previous data */ }
+  }, [timeRange, apiFetch]);
+
+  /* Raw readings of the selected range as gzipped CSV, times in the browser's zone */
+  const exportHistory = useCallback(async (nodeId) => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const now = Date.now();
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const r = await apiFetch(
+        `/api/export/${nodeId}?fromTs=${now - HISTORY_RANGES[timeRange]}&toTs=${now}&format=csv&gzip=1&timezone=${encodeURIComponent(timezone)}`
+      );
+      if (!r.ok) { setExportError((await r.json()).error); return; }
+      const url = URL.createObjectURL(await r.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = /filename="(.+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] ?? `${nodeId}.csv.gz`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setExportError("Server unreachable");
+    } finally {
+      setExporting(false);
+    }
+  }, [timeRange, apiFetch]);
+
+  const fetchCommands = async (nodeId) => {
+    try {
+      const r = await apiFetch(`/api/commands/${nodeId}?limit=20`);
+      const d = await r.json();
+      if (d.success) setCommands(d.commands);
+    } catch { /* live updates still arrive over the socket */ }
+  };
+
+  const fetchConfig = async (nodeId) => {
+    try {
+      const r = await apiFetch(`/api/nodes/${nodeId}/config`);
+      const d = await r.json();
+      if (d.success) setConfigs(p => ({ ...p, [nodeId]: d.config }));
+    } catch { /* defaults shown until the next refresh */ }
+  };
+
+  const fetchUptime = async (nodeId) => {
+    try {
+      const r = await apiFetch(`/api/nodes/${nodeId}/sessions?limit=1`);
+      const d = await r.json();
+      if (d.success) setUptime(d.uptime);
+    } catch { /* shown as -- */ }
+  };
+
+  const fetchHealth = async (nodeId) => {
+    try {
+      const r = await apiFetch(`/api/nodes/${nodeId}/health?limit=${HEALTH_SAMPLES}`);
+      const d = await r.json();
+      if (d.success) setHealth({ latest: d.latest, samples: d.samples });
+    } catch { /* panel shows no diagnostics */ }
+  };
 
   const handleNodeClick = (node) => {
     setSelectedNode(node);
     setView("detail");
     fetchHistory(node.nodeId);
+    fetchCommands(node.nodeId);
+    fetchConfig(node.nodeId);
+    fetchUptime(node.nodeId);
+    fetchHealth(node.nodeId);
+    // Readings outside the room never arrived, so no gap to sync on the first one
+    delete lastSeqRef.current[node.nodeId];
+    subscribedRef.current = node.nodeId;
     socketRef.current?.emit("subscribe", node.nodeId);
   };
 
   const handleBack = () => {
     socketRef.current?.emit("unsubscribe", selectedNode?.nodeId);
+    subscribedRef.current = null;
     setSelectedNode(null);
     setView("overview");
     setHistoricalData([]);
+    setExportError(null);
+    setUptime(null);
+    setHealth(null);
   };
 
   const sendCommand = async (nodeId, command, data = {}) => {
     try {
-      const r = await fetch(`${API_URL}/api/command/${nodeId}`, {
+      const r = await apiFetch(`/api/command/${nodeId}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ command, data }),
       });
       const res = await r.json();
-      alert(res.success ? `✅ "${command}" sent` : `❌ ${res.error}`);
-    } catch { alert("Error sending command"); }
+      const error = res.details ? `${res.error}: ${res.details.join(", ")}` : res.error;
+      if (res.success) setCommands(p => upsertCommand(p, res.command));
+      else setCommands(p => upsertCommand(p, localFailure(nodeId, command, error)));
+    } catch {
+      setCommands(p => upsertCommand(p, localFailure(nodeId, command, "Server unreachable")));
+    }
+  };
+
+  const saveConfig = async (nodeId, changes) => {
+    try {
+      const r = await apiFetch(`/api/nodes/${nodeId}/config`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      const res = await r.json();
+      if (!res.success) return res.details ? res.details.join(", ") : res.error;
+      setConfigs(p => ({ ...p, [nodeId]: res.config }));
+      if (res.command) setCommands(p => upsertCommand(p, res.command));
+      return null;
+    } catch {
+      return "Server unreachable";
+    }
   };
 
   /* Derived */
   const selLive = selectedNode ? liveData[selectedNode.nodeId] : null;
-  const selDb   = selLive?.payload?.db ?? selLive?.payload?.noise ?? 0;
+  const selCommands = commands.filter(c => c.nodeId === selectedNode?.nodeId);
+  const selDb   = selLive?.payload?.level ?? selLive?.payload?.db ?? selLive?.payload?.noise ?? 0;
+  // Schedules can override the base threshold; the server sends the effective one
+  const thresholdFor = (nodeId) =>
+    configs[nodeId]?.effectiveThreshold ?? configs[nodeId]?.threshold ?? THRESHOLD_DEFAULT;
+  const selThreshold = selectedNode ? thresholdFor(selectedNode.nodeId) : THRESHOLD_DEFAULT;
+  const onlineCount = nodes.filter(n => n.connected).length;
   const totalRec = Object.values(metrics).reduce((s, m) => s + parseInt(m?.totalRecords || 0), 0);
-  const anyAlert = Object.values(liveData).some(
-    d => (d?.payload?.db ?? d?.payload?.noise ?? 0) > THRESHOLD_DEFAULT
-  );
+  const anyAlert = openAlerts.length > 0;
+  const alertNodes = [...new Set(openAlerts.map(a => a.nodeId))];
+  // The server downsamples the whole range to ~HISTORY_POINTS level values
   const chartData = historicalData.map(item => ({
-    time: new Date(item.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
-    ...item.payload,
+    time: timeRange === "7d"
+      ? new Date(item.ts).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" })
+      : new Date(item.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+    db: Math.round(item.value * 10) / 10,
   }));
 
   /* ── JSX ── */
@@ -1022,6 +958,13 @@ export default function IoTDashboard() {
           -webkit-background-clip: text; -webkit-text-fill-color: transparent;
         }
         .hdr__spacer { flex: 1; }
+        .hdr__user { font-family: var(--mono); font-size: .72rem; color: var(--muted); }
+        .hdr__logout {
+          display: flex; align-items: center; gap: 5px;
+          background: none; border: 1px solid var(--b1); color: var(--muted);
+          border-radius: 7px; padding: 4px 10px; font-size: .75rem;
+        }
+        .hdr__logout:hover { border-color: var(--acc); color: var(--acc); }
         .hdr__pill {
           display: flex; align-items: center; gap: 6px;
           background: var(--s2); border: 1px solid var(--b1);
@@ -1109,9 +1052,16 @@ export default function IoTDashboard() {
         .nc__dot { width: 8px; height: 8px; border-radius: 50%; }
         .nc__dot--on  { background: var(--green); box-shadow: 0 0 6px var(--green); }
         .nc__dot--off { background: var(--muted); }
+        .nc__dot--stale { background: var(--yellow); box-shadow: 0 0 6px var(--yellow); }
         .nc__arc { display: flex; justify-content: center; }
         .nc__label { font-size: .8rem; font-weight: 600; text-align: center; }
         .nc__records { font-family: var(--mono); font-size: .68rem; color: var(--muted); display: flex; align-items: center; gap: 4px; }
+        .nc__sched { font-family: var(--mono); font-size: .68rem; color: var(--acc); display: flex; align-items: center; gap: 4px; }
+        .nc__pending { font-family: var(--mono); font-size: .68rem; color: var(--yellow); }
+        .nc--offline { opacity: .6; }
+        .nc__stale { font-family: var(--mono); font-size: .68rem; color: var(--yellow); }
+        .nc__seen { font-family: var(--mono); font-size: .68rem; color: var(--muted); }
+        .nc__rejected { font-family: var(--mono); font-size: .68rem; color: var(--red); }
 
         /* ── Empty state ── */
         .empty {
@@ -1248,7 +1198,7 @@ export default function IoTDashboard() {
         }
 
         /* ── Live metrics ── */
-        .live-metrics { display: grid; grid-template-columns: repeat(3,1fr); gap: .8rem; }
+        .live-metrics { display: grid; grid-template-columns: repeat(4,1fr); gap: .8rem; }
         .lm-box {
           background: var(--s2); border: 1px solid var(--b1);
           border-radius: 12px; padding: 1rem; text-align: center;
@@ -1267,6 +1217,9 @@ export default function IoTDashboard() {
         .time-btn.active, .time-btn:hover {
           background: var(--acc); border-color: var(--acc); color: #000;
         }
+        .export-btn { display: inline-flex; align-items: center; gap: 5px; margin-left: .5rem; }
+        .export-btn:disabled { opacity: .6; cursor: wait; }
+        .export-err { color: var(--red); font-size: .75rem; font-family: var(--mono); margin: -.5rem 0 .8rem; }
 
         /* ── Command buttons ── */
         .cmd-grid { display: grid; grid-template-columns: repeat(2,1fr); gap: .8rem; }
@@ -1279,6 +1232,48 @@ export default function IoTDashboard() {
         }
         .cmd-btn:hover { border-color: var(--acc); color: var(--acc); transform: translateY(-1px); }
         .cmd-btn--danger:hover { border-color: var(--red); color: var(--red); }
+        .cmd-ctl { display: flex; gap: .5rem; }
+        .cmd-ctl .cmd-btn { flex: 1; }
+        .cmd-input {
+          width: 80px; background: var(--s2); border: 1px solid var(--b1);
+          color: var(--txt); border-radius: 12px; padding: 0 .6rem;
+          font-family: var(--mono); font-size: .8rem;
+        }
+        .cmd-input:focus { outline: none; border-color: var(--acc); }
+
+        /* ── Config panel ── */
+        .cfg-grid { display: grid; grid-template-columns: repeat(2,1fr); gap: .8rem; margin-bottom: 1rem; }
+        .cfg-field { display: flex; flex-direction: column; gap: 4px; }
+        .cfg-val { font-family: var(--mono); font-size: 1rem; }
+        .cfg-input { width: 100%; padding: .4rem .6rem; }
+        .cfg-sched { display: flex; align-items: center; gap: .5rem; font-size: .78rem; color: var(--muted); margin-bottom: .8rem; }
+        .cfg-sched b { color: var(--acc); font-weight: 600; }
+        .cfg-foot { display: flex; align-items: center; gap: .5rem; }
+        .cfg-sync { flex: 1; font-size: .78rem; color: var(--muted); }
+        .cfg-sync--ok { color: var(--green); }
+        .cfg-sync--warn { color: var(--yellow); }
+        .cfg-err { color: var(--red); font-size: .78rem; }
+
+        /* ── Command history ── */
+        .cmd-empty { color: var(--muted); font-size: .85rem; }
+        .cmd-log { list-style: none; display: flex; flex-direction: column; gap: .4rem; }
+        .cmd-log__row {
+          display: flex; align-items: center; gap: .8rem;
+          background: var(--s2); border: 1px solid var(--b1);
+          border-radius: 10px; padding: .5rem .8rem;
+        }
+        .cmd-log__name { font-family: var(--mono); font-size: .8rem; }
+        .cmd-log__meta { flex: 1; color: var(--muted); font-size: .75rem; }
+        .cmd-status {
+          font-family: var(--mono); font-size: .68rem; text-transform: uppercase;
+          border-radius: 20px; padding: 2px 9px; border: 1px solid;
+        }
+        .cmd-status--queued,
+        .cmd-status--pending { color: var(--yellow); }
+        .cmd-status--expired { color: var(--muted); }
+        .cmd-status--acked   { color: var(--green); }
+        .cmd-status--failed,
+        .cmd-status--timeout { color: var(--red); }
 
         /* ── Chart tooltip ── */
         .ctt {
@@ -1326,12 +1321,18 @@ export default function IoTDashboard() {
           />
           <span className="hdr__title">SILENCE GUARD · CAMPUS SYSTEM</span>
           <div className="hdr__spacer" />
-          {nodes.length > 0 && (
+          {onlineCount > 0 && (
             <div className="hdr__pill">
               <div className="pulse" />
-              {nodes.length} NODE{nodes.length !== 1 ? "S" : ""} LIVE
+              {onlineCount} NODE{onlineCount !== 1 ? "S" : ""} LIVE
             </div>
           )}
+          <div className="hdr__user">
+            {session.user.username} · {session.user.role.toUpperCase()}
+          </div>
+          <button className="hdr__logout" onClick={onLogout}>
+            <LogOut size={13} /> Sign out
+          </button>
         </header>
 
         <main className="main">
@@ -1339,7 +1340,7 @@ export default function IoTDashboard() {
           {anyAlert && !alertMuted && (
             <div className="alert-banner">
               <Bell size={15} />
-              ⚠ Noise threshold exceeded on one or more devices!
+              ⚠ Noise threshold exceeded on {alertNodes.join(", ")}
               <div className="alert-banner__spacer" />
               <button className="mute-btn" onClick={() => setAlertMuted(true)}>
                 <BellOff size={12} /> Mute
@@ -1357,18 +1358,19 @@ export default function IoTDashboard() {
 
               {/* ── STATS ── */}
               <div className="stats">
-                <StatCard label="Connected Nodes"  value={nodes.length}               color="#06b6d4" icon={Wifi}      />
+                <StatCard label="Connected Nodes"  value={onlineCount}                color="#06b6d4" icon={Wifi}
+                  sub={`${nodes.length} registered`} />
                 <StatCard label="Active Streams"   value={Object.keys(liveData).length} color="#22c55e" icon={Activity}  />
                 <StatCard label="Total Records"    value={totalRec.toLocaleString()}  color="#a78bfa" icon={Database}  />
               </div>
 
               {/* ── DEVICES ── */}
-              <div className="section-lbl">Connected Devices</div>
+              <div className="section-lbl">Devices</div>
 
               {nodes.length === 0 ? (
                 <div className="empty">
                   <WifiOff size={52} style={{ opacity: .25, margin: "0 auto" }} />
-                  <h3>No devices connected</h3>
+                  <h3>No devices registered</h3>
                   <p>Waiting for IoT nodes to come online…</p>
                 </div>
               ) : (
@@ -1377,6 +1379,9 @@ export default function IoTDashboard() {
                     <NodeCard key={node.nodeId}
                       node={node} liveData={liveData}
                       metrics={metrics} onClick={handleNodeClick}
+                      threshold={thresholdFor(node.nodeId)}
+                      schedule={configs[node.nodeId]?.schedule}
+                      pending={openCommands.filter(c => c.nodeId === node.nodeId).length}
                     />
                   ))}
                 </div>
@@ -1400,9 +1405,9 @@ export default function IoTDashboard() {
                   <div className="panel__title">Digital Twin</div>
                   <DigitalTwin
                     db={selDb}
-                    threshold={THRESHOLD_DEFAULT}
-                    isOnline={selectedNode?.connected ?? false}
-                    alertActive={selDb > THRESHOLD_DEFAULT}
+                    threshold={selThreshold}
+                    isOnline={nodes.find(n => n.nodeId === selectedNode?.nodeId)?.connected ?? false}
+                    alertActive={selDb > selThreshold}
                     tick={tick}
                   />
                 </div>
@@ -1415,14 +1420,14 @@ export default function IoTDashboard() {
                     <div className="live-metrics">
                       <div className="lm-box">
                         <div className="lm-val" style={{
-                          color: selDb < 40 ? "#22c55e" : selDb < 50 ? "#facc15" : "#ef4444"
+                          color: selDb < 40 ? "#22c55e" : selDb < selThreshold ? "#facc15" : "#ef4444"
                         }}>
                           {selDb > 0 ? Math.round(selDb) : "--"}
                         </div>
                         <div className="lm-lbl">dB SPL (Live)</div>
                       </div>
                       <div className="lm-box">
-                        <div className="lm-val" style={{ color: "#06b6d4" }}>{THRESHOLD_DEFAULT}</div>
+                        <div className="lm-val" style={{ color: "#06b6d4" }}>{selThreshold}</div>
                         <div className="lm-lbl">Threshold (dB)</div>
                       </div>
                       <div className="lm-box">
@@ -1431,6 +1436,12 @@ export default function IoTDashboard() {
                         </div>
                         <div className="lm-lbl">Total Records</div>
                       </div>
+                      <div className="lm-box">
+                        <div className="lm-val" style={{ color: "#22c55e" }}>
+                          {uptime != null ? `${(uptime * 100).toFixed(1)}%` : "--"}
+                        </div>
+                        <div className="lm-lbl">Uptime (7d)</div>
+                      </div>
                     </div>
                   </div>
 
@@ -1446,8 +1457,14 @@ export default function IoTDashboard() {
                             {r}
                           </button>
                         ))}
+                        <button className="time-btn export-btn" disabled={exporting}
+                          title={`Download raw readings for the last ${timeRange} as CSV`}
+                          onClick={() => exportHistory(selectedNode.nodeId)}>
+                          <Download size={12} /> {exporting ? "Exporting…" : "Export"}
+                        </button>
                       </div>
                     </div>
+                    {exportError && <div className="export-err">Export failed: {exportError}</div>}
                     <ResponsiveContainer width="100%" height={200}>
                       <AreaChart data={chartData}>
                         <defs>
@@ -1460,31 +1477,51 @@ export default function IoTDashboard() {
                         <XAxis dataKey="time" tick={{ fill: "#64748b", fontSize: 10, fontFamily: "'Share Tech Mono'" }} />
                         <YAxis tick={{ fill: "#64748b", fontSize: 10, fontFamily: "'Share Tech Mono'" }} domain={[0, 100]} />
                         <Tooltip content={<CustomTooltip />} />
-                        <ReferenceLine y={THRESHOLD_DEFAULT} stroke="#ef4444" strokeDasharray="4 4"
-                          label={{ value: `${THRESHOLD_DEFAULT} dB`, fill: "#ef4444", fontSize: 10 }} />
-                        <Area type="monotone" dataKey="db"    stroke="#06b6d4" fill="url(#gDb)" strokeWidth={2} dot={false} />
-                        <Area type="monotone" dataKey="noise" stroke="#0891b2" fill="url(#gDb)" strokeWidth={2} dot={false} />
+                        <ReferenceLine y={selThreshold} stroke="#ef4444" strokeDasharray="4 4"
+                          label={{ value: `${selThreshold} dB`, fill: "#ef4444", fontSize: 10 }} />
+                        <Area type="monotone" dataKey="db" stroke="#06b6d4" fill="url(#gDb)" strokeWidth={2} dot={false} />
                       </AreaChart>
                     </ResponsiveContainer>
                   </div>
 
-                  {/* Commands */}
-                  <div className="panel">
+                  <ConfigPanel key={selectedNode.nodeId}
+                    config={configs[selectedNode.nodeId] ?? { nodeId: selectedNode.nodeId, threshold: THRESHOLD_DEFAULT }}
+                    canEdit={canControl}
+                    onSave={changes => saveConfig(selectedNode.nodeId, changes)} />
+
+                  <DiagnosticsPanel health={health} />
+
+                  {/* Commands — operators and admins only */}
+                  {canControl && <div className="panel">
                     <div className="panel__title">Device Controls</div>
                     <div className="cmd-grid">
-                      <button className="cmd-btn" onClick={() => sendCommand(selectedNode.nodeId, "ping")}>
-                        <Zap size={15} /> Ping Device
-                      </button>
-                      <button className="cmd-btn" onClick={() => sendCommand(selectedNode.nodeId, "reboot")}>
-                        <RefreshCw size={15} /> Reboot
-                      </button>
-                      <button className="cmd-btn" onClick={() => sendCommand(selectedNode.nodeId, "set_threshold", { value: 50 })}>
-                        <Activity size={15} /> Set Threshold 50 dB
-                      </button>
-                      <button className="cmd-btn cmd-btn--danger" onClick={() => sendCommand(selectedNode.nodeId, "reset")}>
-                        <WifiOff size={15} /> Reset Node
-                      </button>
+                      {catalog.map(def => (
+                        <CommandControl key={def.name} def={def}
+                          onSend={(name, payload) => sendCommand(selectedNode.nodeId, name, payload)} />
+                      ))}
                     </div>
+                  </div>}
+
+                  {/* Command history with live status */}
+                  <div className="panel">
+                    <div className="panel__title">Command History</div>
+                    {selCommands.length === 0 ? (
+                      <div className="cmd-empty">No commands sent yet</div>
+                    ) : (
+                      <ul className="cmd-log">
+                        {selCommands.map(c => (
+                          <li key={c.commandId} className="cmd-log__row">
+                            <span className="cmd-log__name">{c.command}</span>
+                            <span className="cmd-log__meta">
+                              {c.sentBy ?? "system"} · {new Date(c.createdAt).toLocaleTimeString()}
+                            </span>
+                            <span className={`cmd-status cmd-status--${c.status}`} title={c.error ?? ""}>
+                              {c.status}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1499,4 +1536,3 @@ export default function IoTDashboard() {
     </>
   );
 }
->>>>>>> 7c1d6dd (Changing the frontend view)